@@ -1,3 +1,184 @@
+import { FILTERABLE_ENTITY_FIELDS } from '../utils/memory-entities.js';
+
+// Client-side filtering over-fetches this many times topK per round
+const FILTER_OVERFETCH_FACTOR = 4;
+// Upper bound for client-side filter candidates
+const FILTER_MAX_CANDIDATES = 1000;
+
+/**
+ * Base error for failed backend operations.
+ * `retryable` tells callers (and retry policies) whether trying again may succeed.
+ */
+export class BackendError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} details - Error details
+     * @param {string} details.operation - Backend operation (insert, query, ...)
+     * @param {number} details.status - HTTP status, if any
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { operation = '', status = 0, cause = undefined } = {}) {
+        super(message, { cause });
+        this.name = 'BackendError';
+        this.operation = operation;
+        this.status = status;
+        this.retryable = false;
+    }
+}
+
+/**
+ * The backend did not answer in time
+ */
+export class BackendTimeoutError extends BackendError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'BackendTimeoutError';
+        this.retryable = true;
+    }
+}
+
+/**
+ * The backend answered with an error (5xx responses and network failures are retryable)
+ */
+export class BackendServerError extends BackendError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'BackendServerError';
+        this.retryable = !details.status || details.status >= 500;
+    }
+}
+
+/**
+ * The route or collection does not exist (e.g. plugin not installed, collection never created)
+ */
+export class BackendNotFoundError extends BackendError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'BackendNotFoundError';
+    }
+}
+
+/**
+ * The caller cancelled the operation through its AbortSignal
+ */
+export class BackendAbortError extends BackendError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'BackendAbortError';
+    }
+}
+
+/**
+ * Query filter accepted by VectorBackend.query. All given conditions must match.
+ * @typedef {object} QueryFilter
+ * @property {{min?: number, max?: number}} [turnRange] - Inclusive turn index range
+ * @property {string[]} [tags] - Matches items having at least one of these tags (case-insensitive)
+ * @property {string|string[]} [speaker] - Speaker name(s) of the summarized message
+ * @property {{from?: number, to?: number}} [createdAt] - Inclusive creation time range (ms timestamps)
+ * @property {Object<string, string[]>} [entities] - Structured fields (characters, locations, items, keywords):
+ *           per given field, matches items having at least one of the values (case-insensitive)
+ */
+
+/**
+ * Check whether a filter has conditions on structured memory fields
+ * @param {QueryFilter|null} filter - Query filter
+ * @returns {boolean}
+ */
+export function hasEntityFilter(filter) {
+    return FILTERABLE_ENTITY_FIELDS.some(field => filter?.entities?.[field]?.length > 0);
+}
+
+/**
+ * Check whether a filter has no conditions
+ * @param {QueryFilter|null} filter - Query filter
+ * @returns {boolean}
+ */
+export function isEmptyFilter(filter) {
+    if (!filter) return true;
+    return !filter.turnRange && !filter.createdAt && !filter.speaker && !(filter.tags?.length > 0) && !hasEntityFilter(filter);
+}
+
+/**
+ * Read the filterable fields of a stored item.
+ * Uses `item.metadata` when present, otherwise the JSON metadata in `item.text`.
+ * @param {{text?: string, index?: number, metadata?: object}} item - Stored or returned item
+ * @returns {{turnIndex?: number, speaker?: string, tags?: string[], createdAt?: number, characters?: string[]}}
+ *          (and the other FILTERABLE_ENTITY_FIELDS)
+ */
+export function getFilterFields(item) {
+    let source = item.metadata && Object.keys(item.metadata).length > 0 ? item.metadata : null;
+
+    if (!source && item.text) {
+        try {
+            const parsed = JSON.parse(item.text);
+            if (parsed && typeof parsed === 'object') {
+                source = parsed;
+            }
+        } catch {
+            // Plain text item - only the index is known
+        }
+    }
+
+    return {
+        turnIndex: source?.turnIndex ?? item.index,
+        speaker: source?.speaker,
+        tags: source?.tags,
+        createdAt: source?.createdAt,
+        ...Object.fromEntries(FILTERABLE_ENTITY_FIELDS.map(field => [field, source?.[field]])),
+    };
+}
+
+/**
+ * Check whether item values share at least one value with the wanted ones (case-insensitive)
+ * @param {string[]} values - Item values
+ * @param {string[]} wanted - Filter values
+ * @returns {boolean}
+ */
+function hasAnyValue(values, wanted) {
+    const itemValues = new Set((values || []).map(value => String(value).toLowerCase()));
+    return wanted.some(value => itemValues.has(String(value).toLowerCase()));
+}
+
+/**
+ * Check whether filterable fields match a filter.
+ * Fields the item does not carry (undefined) are not checked, so callers holding
+ * authoritative metadata should re-check the results.
+ * @param {object} fields - Item fields (see getFilterFields)
+ * @param {QueryFilter|null} filter - Query filter
+ * @returns {boolean}
+ */
+export function matchesFilter(fields, filter) {
+    if (isEmptyFilter(filter)) return true;
+
+    const { turnRange, createdAt, speaker, tags, entities } = filter;
+
+    if (turnRange && fields.turnIndex !== undefined) {
+        if (turnRange.min !== undefined && fields.turnIndex < turnRange.min) return false;
+        if (turnRange.max !== undefined && fields.turnIndex > turnRange.max) return false;
+    }
+
+    if (createdAt && fields.createdAt !== undefined) {
+        if (createdAt.from !== undefined && fields.createdAt < createdAt.from) return false;
+        if (createdAt.to !== undefined && fields.createdAt > createdAt.to) return false;
+    }
+
+    if (speaker && fields.speaker !== undefined) {
+        const speakers = Array.isArray(speaker) ? speaker : [speaker];
+        if (!speakers.includes(fields.speaker)) return false;
+    }
+
+    if (tags?.length > 0 && fields.tags !== undefined) {
+        if (!hasAnyValue(fields.tags, tags)) return false;
+    }
+
+    for (const field of FILTERABLE_ENTITY_FIELDS) {
+        const wanted = entities?.[field];
+        if (wanted?.length > 0 && fields[field] !== undefined && !hasAnyValue(fields[field], wanted)) return false;
+    }
+
+    return true;
+}
+
 /**
  * Abstract base class for vector storage backends
  */
@@ -10,40 +191,100 @@ export class VectorBackend {
      * Insert items into the vector store
      * @param {string} collectionId - Collection identifier
      * @param {Array<{hash: string, text: string, index: number, metadata?: object}>} items - Items to insert
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<{success: boolean, inserted: number}>}
      */
-    async insert(collectionId, items) {
+    async insert(collectionId, items, options = {}) {
         throw new Error('Not implemented');
     }
 
     /**
-     * Query similar items from the vector store
+     * Query similar items from the vector store.
+     * When a filter is given, top-K is applied after filtering.
      * @param {string} collectionId - Collection identifier
      * @param {string} queryText - Text to search for
      * @param {number} topK - Number of results to return
      * @param {number} threshold - Minimum similarity threshold
+     * @param {QueryFilter|null} filter - Metadata filter
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<Array<{hash: string, text: string, index: number, score: number, metadata?: object}>>}
      */
-    async query(collectionId, queryText, topK, threshold) {
+    async query(collectionId, queryText, topK, threshold, filter = null, options = {}) {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Whether query filters are applied by the store itself
+     * (otherwise they are applied client-side with queryWithClientFilter)
+     * @returns {boolean}
+     */
+    supportsFilters() {
+        return false;
+    }
+
+    /**
+     * Client-side filter fallback for stores without filter support.
+     * Over-fetches candidates, filters them and widens the search until topK matches are found
+     * or the store has no more candidates.
+     * @param {QueryFilter} filter - Metadata filter
+     * @param {number} topK - Number of results to return
+     * @param {(candidateCount: number) => Promise<Array>} fetchCandidates - Unfiltered query for N candidates
+     * @returns {Promise<Array>} Filtered results, best first
+     */
+    async queryWithClientFilter(filter, topK, fetchCandidates) {
+        let candidateCount = Math.min(topK * FILTER_OVERFETCH_FACTOR, FILTER_MAX_CANDIDATES);
+
+        while (true) {
+            const candidates = await fetchCandidates(candidateCount);
+            const matches = candidates.filter(item => matchesFilter(getFilterFields(item), filter));
+
+            const exhausted = candidates.length < candidateCount || candidateCount >= FILTER_MAX_CANDIDATES;
+            if (matches.length >= topK || exhausted) {
+                return matches.slice(0, topK);
+            }
+
+            candidateCount = Math.min(candidateCount * 2, FILTER_MAX_CANDIDATES);
+        }
+    }
+
+    /**
+     * Replace items by hash (upsert - missing items are inserted).
+     * Default implementation deletes then re-inserts; stores with native upsert override it.
+     * @param {string} collectionId - Collection identifier
+     * @param {Array<{hash: string, text: string, index: number, metadata?: object}>} items - Items to write
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<{success: boolean, updated: number}>}
+     */
+    async update(collectionId, items, options = {}) {
+        if (!items || items.length === 0) {
+            return { success: true, updated: 0 };
+        }
+
+        await this.delete(collectionId, items.map(item => item.hash), options);
+        await this.insert(collectionId, items, options);
+        return { success: true, updated: items.length };
+    }
+
     /**
      * Delete items by hash
      * @param {string} collectionId - Collection identifier
      * @param {string[]} hashes - Hashes to delete
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<{success: boolean, deleted: number}>}
      */
-    async delete(collectionId, hashes) {
+    async delete(collectionId, hashes, options = {}) {
         throw new Error('Not implemented');
     }
 
     /**
-     * List all hashes in collection
+     * List all hashes in collection.
+     * A missing collection lists as empty; other failures throw (never an empty list),
+     * so callers do not mistake an outage for an empty collection.
      * @param {string} collectionId - Collection identifier
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<string[]>}
      */
-    async list(collectionId) {
+    async list(collectionId, options = {}) {
         throw new Error('Not implemented');
     }
 
@@ -51,26 +292,78 @@ export class VectorBackend {
      * Get items by hashes
      * @param {string} collectionId - Collection identifier
      * @param {string[]} hashes - Hashes to retrieve
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<Array<{hash: string, text: string, index: number, metadata?: object}>>}
      */
-    async getByHashes(collectionId, hashes) {
+    async getByHashes(collectionId, hashes, options = {}) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Whether stored vectors can be read and written directly (exportVectors / importVectors).
+     * Stores without it are rebuilt from summaries (re-embedded) on import.
+     * @returns {boolean}
+     */
+    supportsVectorTransfer() {
+        return false;
+    }
+
+    /**
+     * Read the stored vectors of a collection
+     * @param {string} collectionId - Collection identifier
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<Array<{hash: string, vector: number[]}>>}
+     */
+    async exportVectors(collectionId, options = {}) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Write items with precomputed vectors (no embedding). Existing items with the same hash are replaced.
+     * @param {string} collectionId - Collection identifier
+     * @param {Array<{hash: string, text: string, index: number, metadata?: object, vector: number[]}>} items - Items to write
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<{success: boolean, imported: number}>}
+     */
+    async importVectors(collectionId, items, options = {}) {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Collection statistics.
+     * Default implementation counts listed hashes; stores that know more override it.
+     * @param {string} collectionId - Collection identifier
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<{vectorCount: number, sizeBytes: number|null, dimension: number|null, lastWrite: number|null}>}
+     *   Unknown values are null; lastWrite is a ms timestamp
+     */
+    async stats(collectionId, options = {}) {
+        const hashes = await this.list(collectionId, options);
+        return {
+            vectorCount: hashes.filter(h => h).length,
+            sizeBytes: null,
+            dimension: null,
+            lastWrite: null,
+        };
+    }
+
     /**
      * Purge entire collection
      * @param {string} collectionId - Collection identifier
+     * @param {{signal?: AbortSignal}} options - Request options
      * @returns {Promise<{success: boolean}>}
      */
-    async purge(collectionId) {
+    async purge(collectionId, options = {}) {
         throw new Error('Not implemented');
     }
 
     /**
      * Health check
-     * @returns {Promise<{healthy: boolean, message?: string}>}
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<{healthy: boolean, message?: string, model?: string|null}>} `model` identifies
+     *   the embedding model producing the vectors (null when the store does not report it)
      */
-    async healthCheck() {
+    async healthCheck(options = {}) {
         throw new Error('Not implemented');
     }
 
@@ -81,6 +374,24 @@ export class VectorBackend {
     getName() {
         throw new Error('Not implemented');
     }
+
+    /**
+     * Get the text to embed for an item.
+     * Items store JSON metadata in `text`; only the summary carries meaning.
+     * @param {{text: string}} item - Item to embed
+     * @returns {string}
+     */
+    getEmbeddingText(item) {
+        try {
+            const parsed = JSON.parse(item.text);
+            if (parsed && typeof parsed.summary === 'string') {
+                return parsed.summary;
+            }
+        } catch {
+            // Plain text item
+        }
+        return item.text || '';
+    }
 }
 
 /**
@@ -104,4 +415,24 @@ export class BackendFactory {
     static getAvailableBackends() {
         return Array.from(BackendFactory.backends.keys());
     }
+
+    /**
+     * Check whether a backend is registered
+     * @param {string} name - Backend name
+     * @returns {boolean}
+     */
+    static has(name) {
+        return BackendFactory.backends.has(name);
+    }
+
+    /**
+     * Get human-readable name for a registered backend
+     * Uses the static `displayName` of the backend class when defined
+     * @param {string} name - Backend name
+     * @returns {string}
+     */
+    static getDisplayName(name) {
+        const BackendClass = BackendFactory.backends.get(name);
+        return BackendClass?.displayName || name;
+    }
 }
@@ -0,0 +1,411 @@
+import {
+    VectorBackend,
+    BackendFactory,
+    BackendAbortError,
+    BackendTimeoutError,
+    getFilterFields,
+    matchesFilter,
+} from './backend-interface.js';
+import { cosineSimilarity, createHashingEmbedder } from '../utils/embedding-utils.js';
+import {
+    requestToPromise,
+    transactionToPromise,
+    collectionKeyRange,
+    openIndexedDB,
+} from '../utils/idb-utils.js';
+
+const DB_NAME = 'uwu-memory-vectors';
+const DB_VERSION = 1;
+const STORE_NAME = 'vectors';
+const COLLECTION_INDEX = 'collectionId';
+
+// Embedding timeouts per operation (ms); override with settings.backendTimeouts
+const DEFAULT_TIMEOUTS = {
+    insert: 30000,
+    query: 10000,
+    health: 5000,
+};
+
+/**
+ * Throw if the caller cancelled the operation (IndexedDB requests themselves cannot be aborted)
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @param {string} operation - Operation name
+ */
+function throwIfAborted(signal, operation) {
+    if (signal?.aborted) {
+        throw new BackendAbortError(`${operation} cancelled`, { operation });
+    }
+}
+
+/**
+ * In-browser backend storing vectors in IndexedDB.
+ * Runs cosine top-K locally, so vector search works without the server plugin.
+ * Embeddings come from a pluggable embedding function (see setEmbeddingFunction); the built-in
+ * hashing embedder is a lexical fallback, semantic search needs a real embedding model.
+ */
+export class IndexedDBBackend extends VectorBackend {
+    static displayName = 'IndexedDB (In-Browser)';
+
+    constructor(settings) {
+        super(settings);
+        this.dbPromise = null;
+        this.embeddingFunction = createHashingEmbedder();
+    }
+
+    /**
+     * Initialize backend (request headers are not needed for local storage)
+     */
+    init() {
+        // Nothing to do - database is opened lazily
+    }
+
+    getName() {
+        return 'indexeddb';
+    }
+
+    supportsFilters() {
+        return true;
+    }
+
+    /**
+     * Replace the embedding function
+     * @param {Function|null} embeddingFunction - (texts: string[], {signal}) => Promise<number[][]>, optionally with a `modelId` property. Null restores the built-in embedder.
+     */
+    setEmbeddingFunction(embeddingFunction) {
+        this.embeddingFunction = typeof embeddingFunction === 'function'
+            ? embeddingFunction
+            : createHashingEmbedder();
+    }
+
+    /**
+     * Identity of the embedding model in use
+     * @returns {string}
+     */
+    getEmbeddingModelId() {
+        return this.embeddingFunction.modelId || 'custom';
+    }
+
+    /**
+     * Open (or create) the vector database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = openIndexedDB(DB_NAME, DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: ['collectionId', 'hash'] });
+                store.createIndex(COLLECTION_INDEX, 'collectionId', { unique: false });
+            }
+        });
+
+        // Allow a retry on the next call if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get the embedding timeout for an operation
+     * @param {string} operation - Operation name (key of DEFAULT_TIMEOUTS)
+     * @returns {number} Timeout in ms
+     */
+    getTimeout(operation) {
+        return this.settings?.backendTimeouts?.[operation] || DEFAULT_TIMEOUTS[operation];
+    }
+
+    /**
+     * Embed texts with the configured embedding function, with a timeout linked to the caller's AbortSignal.
+     * The embedding function gets {signal}; one that ignores it is abandoned when the signal fires.
+     * @param {string[]} texts - Texts to embed
+     * @param {string} operation - Operation name (timeout and error details)
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<number[][]>}
+     * @throws {BackendError} Typed error on timeout or cancellation
+     */
+    async embed(texts, operation, signal = undefined) {
+        throwIfAborted(signal, operation);
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.getTimeout(operation));
+        const onCallerAbort = () => controller.abort();
+        signal?.addEventListener('abort', onCallerAbort, { once: true });
+        const aborted = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+        });
+
+        let vectors;
+        try {
+            vectors = await Promise.race([this.embeddingFunction(texts, { signal: controller.signal }), aborted]);
+        } catch (error) {
+            if (timedOut) {
+                throw new BackendTimeoutError(`Embedding for ${operation} timed out after ${this.getTimeout(operation)}ms`, { operation, cause: error });
+            }
+            throwIfAborted(signal, operation);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onCallerAbort);
+        }
+
+        if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+            throw new Error('Embedding function returned an unexpected number of vectors');
+        }
+        return vectors;
+    }
+
+    async insert(collectionId, items, options = {}) {
+        if (!items || items.length === 0) {
+            return { success: true, inserted: 0 };
+        }
+
+        try {
+            const vectors = await this.embed(items.map(item => this.getEmbeddingText(item)), 'insert', options.signal);
+            const db = await this.openDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const now = Date.now();
+
+            items.forEach((item, i) => {
+                store.put({
+                    collectionId,
+                    hash: item.hash,
+                    text: item.text,
+                    index: item.index,
+                    metadata: item.metadata || {},
+                    vector: Array.from(vectors[i]),
+                    updatedAt: now,
+                });
+            });
+
+            await transactionToPromise(transaction);
+            return { success: true, inserted: items.length };
+        } catch (error) {
+            console.error('IndexedDBBackend insert error:', error);
+            throw error;
+        }
+    }
+
+    async update(collectionId, items, options = {}) {
+        // put() replaces records with the same [collectionId, hash] key
+        const result = await this.insert(collectionId, items, options);
+        return { success: true, updated: result.inserted };
+    }
+
+    async query(collectionId, queryText, topK, threshold, filter = null, options = {}) {
+        try {
+            const [queryVector] = await this.embed([queryText || ''], 'query', options.signal);
+            const db = await this.openDatabase();
+            const records = await requestToPromise(
+                db.transaction(STORE_NAME, 'readonly')
+                    .objectStore(STORE_NAME)
+                    .index(COLLECTION_INDEX)
+                    .getAll(IDBKeyRange.only(collectionId)),
+            );
+
+            const minScore = threshold || 0.0;
+            const results = [];
+
+            for (const record of records) {
+                // Filter before scoring so top-K counts matching records only
+                if (!matchesFilter(getFilterFields(record), filter)) continue;
+
+                const score = cosineSimilarity(queryVector, record.vector);
+                if (score < minScore) continue;
+
+                results.push({
+                    hash: record.hash,
+                    text: record.text,
+                    index: record.index,
+                    score,
+                    metadata: record.metadata,
+                });
+            }
+
+            results.sort((a, b) => b.score - a.score);
+            return results.slice(0, topK);
+        } catch (error) {
+            console.error('IndexedDBBackend query error:', error);
+            throw error;
+        }
+    }
+
+    async delete(collectionId, hashes, options = {}) {
+        try {
+            const db = await this.openDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+
+            for (const hash of hashes) {
+                store.delete([collectionId, hash]);
+            }
+
+            await transactionToPromise(transaction);
+            return { success: true, deleted: hashes.length };
+        } catch (error) {
+            console.error('IndexedDBBackend delete error:', error);
+            throw error;
+        }
+    }
+
+    async list(collectionId, options = {}) {
+        try {
+            const db = await this.openDatabase();
+            const keys = await requestToPromise(
+                db.transaction(STORE_NAME, 'readonly')
+                    .objectStore(STORE_NAME)
+                    .getAllKeys(collectionKeyRange(collectionId)),
+            );
+            return keys.map(key => key[1]);
+        } catch (error) {
+            console.error('IndexedDBBackend list error:', error);
+            throw error;
+        }
+    }
+
+    async getByHashes(collectionId, hashes, options = {}) {
+        if (!hashes || hashes.length === 0) {
+            return [];
+        }
+
+        try {
+            const db = await this.openDatabase();
+            const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+            const records = await Promise.all(
+                hashes.map(hash => requestToPromise(store.get([collectionId, hash]))),
+            );
+
+            return records
+                .filter(record => record)
+                .map(record => ({
+                    hash: record.hash,
+                    text: record.text,
+                    index: record.index,
+                    metadata: record.metadata,
+                }));
+        } catch (error) {
+            console.error('IndexedDBBackend getByHashes error:', error);
+            throw error;
+        }
+    }
+
+    supportsVectorTransfer() {
+        return true;
+    }
+
+    async exportVectors(collectionId, options = {}) {
+        try {
+            const db = await this.openDatabase();
+            const records = await requestToPromise(
+                db.transaction(STORE_NAME, 'readonly')
+                    .objectStore(STORE_NAME)
+                    .getAll(collectionKeyRange(collectionId)),
+            );
+            return records.map(record => ({ hash: record.hash, vector: record.vector }));
+        } catch (error) {
+            console.error('IndexedDBBackend exportVectors error:', error);
+            throw error;
+        }
+    }
+
+    async importVectors(collectionId, items, options = {}) {
+        if (!items || items.length === 0) {
+            return { success: true, imported: 0 };
+        }
+
+        try {
+            throwIfAborted(options.signal, 'importVectors');
+            const db = await this.openDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const now = Date.now();
+
+            for (const item of items) {
+                store.put({
+                    collectionId,
+                    hash: item.hash,
+                    text: item.text,
+                    index: item.index,
+                    metadata: item.metadata || {},
+                    vector: Array.from(item.vector),
+                    updatedAt: now,
+                });
+            }
+
+            await transactionToPromise(transaction);
+            return { success: true, imported: items.length };
+        } catch (error) {
+            console.error('IndexedDBBackend importVectors error:', error);
+            throw error;
+        }
+    }
+
+    async stats(collectionId, options = {}) {
+        try {
+            const db = await this.openDatabase();
+            const records = await requestToPromise(
+                db.transaction(STORE_NAME, 'readonly')
+                    .objectStore(STORE_NAME)
+                    .getAll(collectionKeyRange(collectionId)),
+            );
+
+            let sizeBytes = 0;
+            let lastWrite = null;
+            for (const record of records) {
+                // Rough in-memory size: 8 bytes per vector number, 2 per text character
+                sizeBytes += (record.vector?.length || 0) * 8 + (record.text?.length || 0) * 2;
+                if (record.updatedAt && (!lastWrite || record.updatedAt > lastWrite)) {
+                    lastWrite = record.updatedAt;
+                }
+            }
+
+            return {
+                vectorCount: records.length,
+                sizeBytes,
+                dimension: records[0]?.vector?.length ?? null,
+                lastWrite,
+            };
+        } catch (error) {
+            console.error('IndexedDBBackend stats error:', error);
+            throw error;
+        }
+    }
+
+    async purge(collectionId, options = {}) {
+        try {
+            const db = await this.openDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).delete(collectionKeyRange(collectionId));
+            await transactionToPromise(transaction);
+            return { success: true };
+        } catch (error) {
+            console.error('IndexedDBBackend purge error:', error);
+            throw error;
+        }
+    }
+
+    async healthCheck(options = {}) {
+        try {
+            await this.openDatabase();
+            if (this.embeddingFunction.remote) {
+                // An unreachable embedding server would fail every insert and query
+                await this.embed(['health check'], 'health', options.signal);
+            }
+            const model = this.getEmbeddingModelId();
+            return { healthy: true, message: `OK (${model})`, model };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+}
+
+// Register backend
+BackendFactory.register('indexeddb', IndexedDBBackend);
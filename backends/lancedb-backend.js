@@ -1,12 +1,55 @@
-import { VectorBackend, BackendFactory } from './backend-interface.js';
+import {
+    VectorBackend,
+    BackendFactory,
+    BackendError,
+    BackendTimeoutError,
+    BackendServerError,
+    BackendNotFoundError,
+    BackendAbortError,
+    isEmptyFilter,
+    hasEntityFilter,
+} from './backend-interface.js';
+import { retry } from '../utils/async-utils.js';
+
+const API_BASE = '/api/plugins/uwu-memory';
+
+// Per-operation request timeouts (ms); override with settings.backendTimeouts
+const DEFAULT_TIMEOUTS = {
+    insert: 30000,
+    update: 30000,
+    query: 10000,
+    delete: 15000,
+    list: 10000,
+    getByHashes: 15000,
+    stats: 10000,
+    purge: 30000,
+    health: 5000,
+};
+
+// Idempotent operations are retried with backoff; insert is not (the plugin appends rows).
+// A timed-out query is not retried either: it blocks generation, and a hung plugin would hang again.
+const RETRY_OPTIONS = {
+    maxAttempts: 3,
+    delay: 500,
+    maxDelay: 4000,
+};
 
 /**
  * LanceDB backend using server plugin
  */
 export class LanceDBBackend extends VectorBackend {
+    static displayName = 'LanceDB (Server Plugin)';
+
     constructor(settings) {
         super(settings);
         this.getRequestHeaders = null;
+        // Set from the health endpoint - older plugin versions ignore query filters
+        this.filterSupported = false;
+        // Structured field (entities) filters need a newer plugin than the other filters
+        this.entityFilterSupported = false;
+        // Set from the health endpoint - older plugin versions have no /update or /stats route
+        this.updateSupported = false;
+        this.statsSupported = false;
     }
 
     /**
@@ -22,6 +65,10 @@ export class LanceDBBackend extends VectorBackend {
         return 'lancedb';
     }
 
+    supportsFilters() {
+        return this.filterSupported;
+    }
+
     /**
      * Get headers with Content-Type for JSON requests
      * @returns {object}
@@ -34,32 +81,101 @@ export class LanceDBBackend extends VectorBackend {
         };
     }
 
-    async insert(collectionId, items) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
+    /**
+     * Get the timeout for an operation
+     * @param {string} operation - Operation name (key of DEFAULT_TIMEOUTS)
+     * @returns {number} Timeout in ms
+     */
+    getTimeout(operation) {
+        return this.settings?.backendTimeouts?.[operation] || DEFAULT_TIMEOUTS[operation];
+    }
+
+    /**
+     * Send one request to the plugin with a timeout, linked to the caller's AbortSignal
+     * @param {string} operation - Operation name (also the route, except health)
+     * @param {object|null} body - JSON body (null sends a GET)
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<object>} Parsed JSON response
+     * @throws {BackendError} Typed error (timeout, server error, not found, aborted)
+     */
+    async send(operation, body, signal) {
+        if (signal?.aborted) {
+            throw new BackendAbortError(`${operation} cancelled`, { operation });
         }
 
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.getTimeout(operation));
+        const onCallerAbort = () => controller.abort();
+        signal?.addEventListener('abort', onCallerAbort, { once: true });
+
         try {
-            const response = await fetch('/api/plugins/uwu-memory/insert', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
-                    collectionId,
-                    items: items.map(item => ({
-                        hash: item.hash,
-                        text: item.text,
-                        index: item.index,
-                        metadata: item.metadata || {},
-                    })),
-                }),
-            });
+            const response = await fetch(`${API_BASE}/${operation}`, body === null
+                ? { method: 'GET', headers: this.getRequestHeaders(), signal: controller.signal }
+                : { method: 'POST', headers: this.getJsonHeaders(), body: JSON.stringify(body), signal: controller.signal });
 
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || `Insert failed: ${response.status}`);
+                const errorBody = await response.json().catch(() => ({}));
+                const message = errorBody.error || `${operation} failed: ${response.status}`;
+                const ErrorClass = response.status === 404 ? BackendNotFoundError : BackendServerError;
+                throw new ErrorClass(message, { operation, status: response.status });
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error instanceof BackendError) throw error;
+            if (timedOut) {
+                throw new BackendTimeoutError(`${operation} timed out after ${this.getTimeout(operation)}ms`, { operation, cause: error });
+            }
+            if (signal?.aborted) {
+                throw new BackendAbortError(`${operation} cancelled`, { operation, cause: error });
             }
+            // Network failure (plugin down, connection reset)
+            throw new BackendServerError(`${operation} failed: ${error.message}`, { operation, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * Send a request, retrying idempotent operations with backoff on retryable errors
+     * @param {string} operation - Operation name
+     * @param {object|null} body - JSON body (null sends a GET)
+     * @param {{signal?: AbortSignal, idempotent?: boolean, retryOnTimeout?: boolean}} options - Request options
+     * @returns {Promise<object>} Parsed JSON response
+     */
+    async request(operation, body, { signal, idempotent = true, retryOnTimeout = true } = {}) {
+        if (!this.getRequestHeaders) {
+            throw new BackendError('LanceDBBackend not initialized', { operation });
+        }
 
-            const result = await response.json();
+        if (!idempotent) {
+            return await this.send(operation, body, signal);
+        }
+
+        return await retry(() => this.send(operation, body, signal), {
+            ...RETRY_OPTIONS,
+            shouldRetry: (error) => error.retryable && !signal?.aborted
+                && (retryOnTimeout || !(error instanceof BackendTimeoutError)),
+            onRetry: (attempt, error) => console.warn(`LanceDBBackend ${operation} attempt ${attempt} failed, retrying:`, error.message),
+        });
+    }
+
+    async insert(collectionId, items, options = {}) {
+        try {
+            const result = await this.request('insert', {
+                collectionId,
+                items: items.map(item => ({
+                    hash: item.hash,
+                    text: item.text,
+                    index: item.index,
+                    metadata: item.metadata || {},
+                })),
+            }, { signal: options.signal, idempotent: false });
             return { success: true, inserted: result.inserted };
         } catch (error) {
             console.error('LanceDBBackend insert error:', error);
@@ -67,29 +183,61 @@ export class LanceDBBackend extends VectorBackend {
         }
     }
 
-    async query(collectionId, queryText, topK, threshold) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
+    async update(collectionId, items, options = {}) {
+        if (!items || items.length === 0) {
+            return { success: true, updated: 0 };
         }
 
-        try {
-            const response = await fetch('/api/plugins/uwu-memory/query', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
+        if (this.updateSupported) {
+            try {
+                // Upsert by hash - safe to retry
+                const result = await this.request('update', {
                     collectionId,
-                    queryText,
-                    topK,
-                    threshold: threshold || 0.0,
-                }),
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || `Query failed: ${response.status}`);
+                    items: items.map(item => ({
+                        hash: item.hash,
+                        text: item.text,
+                        index: item.index,
+                        metadata: item.metadata || {},
+                    })),
+                }, { signal: options.signal });
+                return { success: true, updated: result.updated ?? items.length };
+            } catch (error) {
+                console.error('LanceDBBackend update error:', error);
+                throw error;
             }
+        }
+
+        return await super.update(collectionId, items, options);
+    }
 
-            const result = await response.json();
+    async query(collectionId, queryText, topK, threshold, filter = null, options = {}) {
+        if (isEmptyFilter(filter) || (this.filterSupported && (this.entityFilterSupported || !hasEntityFilter(filter)))) {
+            return await this.fetchQuery(collectionId, queryText, topK, threshold, filter, options);
+        }
+
+        return await this.queryWithClientFilter(filter, topK,
+            (candidateCount) => this.fetchQuery(collectionId, queryText, candidateCount, threshold, null, options));
+    }
+
+    /**
+     * Run a query on the plugin
+     * @param {string} collectionId - Collection identifier
+     * @param {string} queryText - Text to search for
+     * @param {number} topK - Number of results to return
+     * @param {number} threshold - Minimum similarity threshold
+     * @param {object|null} filter - Metadata filter (only sent when not empty)
+     * @param {{signal?: AbortSignal}} options - Request options
+     * @returns {Promise<Array>}
+     */
+    async fetchQuery(collectionId, queryText, topK, threshold, filter = null, options = {}) {
+        try {
+            const result = await this.request('query', {
+                collectionId,
+                queryText,
+                topK,
+                threshold: threshold || 0.0,
+                ...(isEmptyFilter(filter) ? {} : { filter }),
+            }, { signal: options.signal, retryOnTimeout: false });
             return result.results || [];
         } catch (error) {
             console.error('LanceDBBackend query error:', error);
@@ -97,27 +245,12 @@ export class LanceDBBackend extends VectorBackend {
         }
     }
 
-    async delete(collectionId, hashes) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
-        }
-
+    async delete(collectionId, hashes, options = {}) {
         try {
-            const response = await fetch('/api/plugins/uwu-memory/delete', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
-                    collectionId,
-                    hashes,
-                }),
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || `Delete failed: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.request('delete', {
+                collectionId,
+                hashes,
+            }, { signal: options.signal });
             return { success: true, deleted: result.deleted };
         } catch (error) {
             console.error('LanceDBBackend delete error:', error);
@@ -125,90 +258,71 @@ export class LanceDBBackend extends VectorBackend {
         }
     }
 
-    async list(collectionId) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
-        }
-
+    async list(collectionId, options = {}) {
         try {
-            const response = await fetch('/api/plugins/uwu-memory/list', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
-                    collectionId,
-                }),
-            });
-
-            if (!response.ok) {
-                if (response.status === 404) {
-                    return [];
-                }
-                const error = await response.json();
-                throw new Error(error.error || `List failed: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.request('list', {
+                collectionId,
+            }, { signal: options.signal });
             return result.hashes || [];
         } catch (error) {
+            if (error instanceof BackendNotFoundError) {
+                return [];
+            }
             console.error('LanceDBBackend list error:', error);
-            return [];
+            throw error;
         }
     }
 
-    async getByHashes(collectionId, hashes) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
-        }
-
+    async getByHashes(collectionId, hashes, options = {}) {
         if (!hashes || hashes.length === 0) {
             return [];
         }
 
         try {
-            const response = await fetch('/api/plugins/uwu-memory/getByHashes', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
-                    collectionId,
-                    hashes,
-                }),
-            });
-
-            if (!response.ok) {
-                if (response.status === 404) {
-                    return [];
-                }
-                const error = await response.json();
-                throw new Error(error.error || `GetByHashes failed: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.request('getByHashes', {
+                collectionId,
+                hashes,
+            }, { signal: options.signal });
             return result.items || [];
         } catch (error) {
+            if (error instanceof BackendNotFoundError) {
+                return [];
+            }
             console.error('LanceDBBackend getByHashes error:', error);
-            return [];
+            throw error;
         }
     }
 
-    async purge(collectionId) {
-        if (!this.getRequestHeaders) {
-            throw new Error('LanceDBBackend not initialized');
-        }
-
-        try {
-            const response = await fetch('/api/plugins/uwu-memory/purge', {
-                method: 'POST',
-                headers: this.getJsonHeaders(),
-                body: JSON.stringify({
+    async stats(collectionId, options = {}) {
+        if (this.statsSupported) {
+            try {
+                const result = await this.request('stats', {
                     collectionId,
-                }),
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || `Purge failed: ${response.status}`);
+                }, { signal: options.signal });
+                return {
+                    vectorCount: result.vectorCount || 0,
+                    sizeBytes: result.sizeBytes ?? null,
+                    dimension: result.dimension ?? null,
+                    lastWrite: result.lastWrite ?? null,
+                };
+            } catch (error) {
+                if (!(error instanceof BackendNotFoundError)) {
+                    console.error('LanceDBBackend stats error:', error);
+                    throw error;
+                }
+                // The collection does not exist yet
+                return { vectorCount: 0, sizeBytes: null, dimension: null, lastWrite: null };
             }
+        }
+
+        return await super.stats(collectionId, options);
+    }
 
+    async purge(collectionId, options = {}) {
+        try {
+            await this.request('purge', {
+                collectionId,
+            }, { signal: options.signal });
             return { success: true };
         } catch (error) {
             console.error('LanceDBBackend purge error:', error);
@@ -216,23 +330,19 @@ export class LanceDBBackend extends VectorBackend {
         }
     }
 
-    async healthCheck() {
+    async healthCheck(options = {}) {
         if (!this.getRequestHeaders) {
             return { healthy: false, message: 'Not initialized' };
         }
 
         try {
-            const response = await fetch('/api/plugins/uwu-memory/health', {
-                method: 'GET',
-                headers: this.getRequestHeaders(),
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                return { healthy: true, message: `OK (${result.backend})` };
-            }
-
-            return { healthy: false, message: `Status: ${response.status}` };
+            // No retries - the periodic health check is the retry loop
+            const result = await this.request('health', null, { signal: options.signal, idempotent: false });
+            this.filterSupported = Array.isArray(result.features) && result.features.includes('filter');
+            this.entityFilterSupported = Array.isArray(result.features) && result.features.includes('entity-filter');
+            this.updateSupported = Array.isArray(result.features) && result.features.includes('update');
+            this.statsSupported = Array.isArray(result.features) && result.features.includes('stats');
+            return { healthy: true, message: `OK (${result.backend})`, model: result.model || null };
         } catch (error) {
             return { healthy: false, message: error.message };
         }
@@ -0,0 +1,318 @@
+import {
+    VectorBackend,
+    BackendFactory,
+    BackendError,
+    BackendServerError,
+    BackendNotFoundError,
+    BackendAbortError,
+    isEmptyFilter,
+} from './backend-interface.js';
+import { fnv1a } from '../utils/text-utils.js';
+
+/**
+ * Embedding sources accepted by SillyTavern's /api/vector routes
+ * (sources that need extra connection settings, like Ollama, are configured in the Vectors extension)
+ */
+export const ST_VECTOR_SOURCES = [
+    { value: 'transformers', label: 'Local (Transformers)' },
+    { value: 'openai', label: 'OpenAI' },
+    { value: 'cohere', label: 'Cohere' },
+    { value: 'mistral', label: 'MistralAI' },
+    { value: 'togetherai', label: 'TogetherAI' },
+    { value: 'nomicai', label: 'NomicAI' },
+    { value: 'palm', label: 'Google AI Studio' },
+    { value: 'vertexai', label: 'Google Vertex AI' },
+];
+
+const DEFAULT_SOURCE = 'transformers';
+const HEALTH_COLLECTION_ID = 'uwu_memory_health_check';
+
+/**
+ * Key a memory hash is stored under in core.
+ * Core coerces hashes to numbers (/list would return null for ours), so items are stored under
+ * a 32-bit FNV-1a key - the same kind of numeric hash the Vectors extension writes.
+ * A key listed without a known memory hash comes back as its decimal string and maps to itself.
+ * @param {string} hash - Memory hash
+ * @returns {number}
+ */
+export function toCoreKey(hash) {
+    const text = String(hash);
+    return /^\d+$/.test(text) ? Number(text) : fnv1a(text);
+}
+
+/**
+ * Backend using SillyTavern's built-in /api/vector endpoints (the Vectors extension storage).
+ * Embedding source and model come from settings (stVectorSource / stVectorModel).
+ * Core keeps only a numeric key, the text and the index of each item, so listed items carry
+ * no metadata; memory hashes are resolved from the keys through the hash resolver.
+ */
+export class STVectorsBackend extends VectorBackend {
+    static displayName = 'SillyTavern Vectors (Built-in)';
+
+    constructor(settings) {
+        super(settings);
+        this.getRequestHeaders = null;
+        this.hashResolver = null;
+    }
+
+    /**
+     * Initialize with request headers function
+     * @param {Function} getRequestHeaders - Function to get request headers
+     */
+    init(getRequestHeaders) {
+        this.getRequestHeaders = getRequestHeaders;
+    }
+
+    getName() {
+        return 'st-vectors';
+    }
+
+    /**
+     * Set the function listing the memory hashes a collection is known to hold
+     * (core returns numeric keys only; they are mapped back through these hashes)
+     * @param {Function|null} hashResolver - (collectionId: string) => string[]
+     */
+    setHashResolver(hashResolver) {
+        this.hashResolver = typeof hashResolver === 'function' ? hashResolver : null;
+    }
+
+    /**
+     * Map core keys of a collection to memory hashes
+     * @param {string} collectionId - Collection identifier
+     * @returns {Map<number, string>}
+     */
+    getKeyMap(collectionId) {
+        const known = this.hashResolver ? this.hashResolver(collectionId) || [] : [];
+        const keyMap = new Map();
+        for (const hash of known) {
+            keyMap.set(toCoreKey(hash), String(hash));
+        }
+        return keyMap;
+    }
+
+    /**
+     * Resolve a hash returned by core to a memory hash
+     * @param {Map<number, string>} keyMap - Key map from getKeyMap
+     * @param {number|string|null} coreHash - Hash from a core response
+     * @returns {string|null} Memory hash (unknown keys as decimal strings), null if core could not read it
+     */
+    resolveHash(keyMap, coreHash) {
+        if (coreHash === null || coreHash === undefined) return null;
+        if (typeof coreHash === 'number') {
+            return keyMap.get(coreHash) ?? String(coreHash);
+        }
+        // Items written under the plain memory hash (before numeric keys) still carry it
+        return /^\d+$/.test(coreHash) ? keyMap.get(Number(coreHash)) ?? coreHash : coreHash;
+    }
+
+    /**
+     * Get source fields sent with every request
+     * @returns {{source: string, model?: string}}
+     */
+    getSourceBody() {
+        const body = { source: this.settings?.stVectorSource || DEFAULT_SOURCE };
+        if (this.settings?.stVectorModel) {
+            body.model = this.settings.stVectorModel;
+        }
+        return body;
+    }
+
+    /**
+     * POST to a core vector route
+     * @param {string} route - Route name (insert, query, list, delete, purge)
+     * @param {object} body - Request body (source fields are added)
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<Response>}
+     * @throws {BackendError} Typed error (server error, not found, aborted)
+     */
+    async post(route, body, signal = undefined) {
+        if (!this.getRequestHeaders) {
+            throw new BackendError('STVectorsBackend not initialized', { operation: route });
+        }
+
+        let response;
+        try {
+            response = await fetch(`/api/vector/${route}`, {
+                method: 'POST',
+                headers: {
+                    ...this.getRequestHeaders(),
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    ...this.getSourceBody(),
+                    ...body,
+                }),
+                signal,
+            });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new BackendAbortError(`Vector ${route} cancelled`, { operation: route, cause: error });
+            }
+            throw new BackendServerError(`Vector ${route} failed: ${error.message}`, { operation: route, cause: error });
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            const ErrorClass = response.status === 404 ? BackendNotFoundError : BackendServerError;
+            throw new ErrorClass(`Vector ${route} failed: ${response.status}${errorText ? ` - ${errorText}` : ''}`, {
+                operation: route,
+                status: response.status,
+            });
+        }
+
+        return response;
+    }
+
+    /**
+     * List the core keys of a collection
+     * @param {string} collectionId - Collection identifier
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<Array<number|null>>} Keys (null for items core cannot key by number)
+     */
+    async listCoreKeys(collectionId, signal = undefined) {
+        const response = await this.post('list', { collectionId }, signal);
+        const keys = await response.json();
+        return Array.isArray(keys) ? keys : [];
+    }
+
+    async insert(collectionId, items, options = {}) {
+        try {
+            await this.post('insert', {
+                collectionId,
+                // Embed the summary only; metadata stays in persistent storage
+                items: items.map(item => ({
+                    hash: toCoreKey(item.hash),
+                    text: this.getEmbeddingText(item),
+                    index: item.index,
+                })),
+            }, options.signal);
+            return { success: true, inserted: items.length };
+        } catch (error) {
+            console.error('STVectorsBackend insert error:', error);
+            throw error;
+        }
+    }
+
+    async query(collectionId, queryText, topK, threshold, filter = null, options = {}) {
+        // Core stores no metadata - only the turn range (item index) can be checked here
+        if (!isEmptyFilter(filter)) {
+            return await this.queryWithClientFilter(filter, topK,
+                (candidateCount) => this.query(collectionId, queryText, candidateCount, threshold, null, options));
+        }
+
+        try {
+            const response = await this.post('query', {
+                collectionId,
+                searchText: queryText,
+                topK,
+                threshold: threshold || 0.0,
+            }, options.signal);
+            const result = await response.json();
+
+            const keyMap = this.getKeyMap(collectionId);
+            const seen = new Set();
+            const results = [];
+            for (const item of result.metadata || []) {
+                const hash = this.resolveHash(keyMap, item.hash);
+                // An item re-synced under its numeric key may still have its old copy
+                if (hash === null || seen.has(hash)) continue;
+                seen.add(hash);
+                results.push({ hash, text: item.text, index: item.index, score: item.score });
+            }
+            return results;
+        } catch (error) {
+            console.error('STVectorsBackend query error:', error);
+            throw error;
+        }
+    }
+
+    async delete(collectionId, hashes, options = {}) {
+        try {
+            await this.post('delete', {
+                collectionId,
+                // Plain hashes remove copies written before numeric keys
+                hashes: [...hashes.map(toCoreKey), ...hashes.map(String)],
+            }, options.signal);
+            return { success: true, deleted: hashes.length };
+        } catch (error) {
+            console.error('STVectorsBackend delete error:', error);
+            throw error;
+        }
+    }
+
+    async list(collectionId, options = {}) {
+        try {
+            const keys = await this.listCoreKeys(collectionId, options.signal);
+            const keyMap = this.getKeyMap(collectionId);
+            const hashes = keys.map(key => this.resolveHash(keyMap, key));
+
+            const unreadable = hashes.filter(hash => hash === null).length;
+            if (unreadable > 0) {
+                console.warn(`STVectorsBackend: ${unreadable} item(s) in ${collectionId} have no numeric key and cannot be listed (purge and re-sync the collection to fix)`);
+            }
+            return hashes;
+        } catch (error) {
+            console.error('STVectorsBackend list error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get items by hashes.
+     * Core cannot fetch items by key: only presence is known, text and index are null.
+     */
+    async getByHashes(collectionId, hashes, options = {}) {
+        if (!hashes || hashes.length === 0) {
+            return [];
+        }
+
+        try {
+            const keys = new Set(await this.listCoreKeys(collectionId, options.signal));
+            return hashes
+                .filter(hash => keys.has(toCoreKey(hash)))
+                .map(hash => ({ hash: String(hash), text: null, index: null }));
+        } catch (error) {
+            console.error('STVectorsBackend getByHashes error:', error);
+            throw error;
+        }
+    }
+
+    async stats(collectionId, options = {}) {
+        try {
+            // Count every stored item, including ones that cannot be listed by hash
+            const keys = await this.listCoreKeys(collectionId, options.signal);
+            return { vectorCount: keys.length, sizeBytes: null, dimension: null, lastWrite: null };
+        } catch (error) {
+            console.error('STVectorsBackend stats error:', error);
+            throw error;
+        }
+    }
+
+    async purge(collectionId, options = {}) {
+        try {
+            await this.post('purge', { collectionId }, options.signal);
+            return { success: true };
+        } catch (error) {
+            console.error('STVectorsBackend purge error:', error);
+            throw error;
+        }
+    }
+
+    async healthCheck(options = {}) {
+        if (!this.getRequestHeaders) {
+            return { healthy: false, message: 'Not initialized' };
+        }
+
+        try {
+            await this.post('list', { collectionId: HEALTH_COLLECTION_ID }, options.signal);
+            const { source, model } = this.getSourceBody();
+            const modelId = `${source}/${model || 'default'}`;
+            return { healthy: true, message: `OK (${modelId})`, model: modelId };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+}
+
+// Register backend
+BackendFactory.register('st-vectors', STVectorsBackend);
@@ -7,29 +7,88 @@ import { getContext } from '../../../st-context.js';
 import { extension_settings, renderExtensionTemplateAsync } from '../../../extensions.js';
 import { MacrosParser } from '../../../macros.js';
 import { LRUCache } from './utils/lru-cache.js';
-import { debounce, calculateHash, sleep, retry, waitUntilCondition, AsyncMutex } from './utils/async-utils.js';
-import { showBatchRegeneratePopup, showMemoryManagementPopup, showStatsPopup, showGlobalMemoryManagementPopup } from './utils/popup-manager.js';
-import { LanceDBBackend } from './backends/lancedb-backend.js';
+import { MemoryStorage } from './utils/memory-storage.js';
+import { BackendOutbox, OUTBOX_OP } from './utils/backend-outbox.js';
+import { sha256Hex } from './utils/text-utils.js';
+import { MEMORY_RECORD_VERSION, upgradeMemoryRecord, upgradeCollectionRecords, runMigrations } from './utils/schema-migrations.js';
+import { IMPORT_POLICY, createArchive, parseArchive, planImport, countMemories } from './utils/memory-archive.js';
+import { splitIntoBatches, parseBatchSummaries } from './utils/batch-summary.js';
+import { DEFAULT_CLEANUP_PATTERNS, DEFAULT_BANNED_PATTERNS, validateSummary } from './utils/summary-validator.js';
+import { ENTITY_FIELDS, FILTERABLE_ENTITY_FIELDS, emptyEntities, normalizeEntities, parseEntityExtraction, parseBatchEntityExtraction, mergeEntities } from './utils/memory-entities.js';
+import { MEMORY_LEVEL, getRollupHash, isRollupKey, getMemoryLevel, getLevelLabel, getTurnRange, planRollups } from './utils/memory-hierarchy.js';
+import { BM25Index, reciprocalRankFusion } from './utils/bm25.js';
+import { debounce, calculateHash, sleep, retry, waitUntilCondition, AsyncMutex, chunkArray, mapWithConcurrency } from './utils/async-utils.js';
+import { showBatchRegeneratePopup, showMemoryManagementPopup, showStatsPopup, showGlobalMemoryManagementPopup, downloadJson } from './utils/popup-manager.js';
+import {
+    BackendFactory,
+    BackendAbortError,
+    BackendTimeoutError,
+    BackendServerError,
+    matchesFilter,
+} from './backends/backend-interface.js';
+// Backends register themselves with BackendFactory on import
+import './backends/lancedb-backend.js';
+import './backends/indexeddb-backend.js';
+import { ST_VECTOR_SOURCES } from './backends/st-vectors-backend.js';
+import { BROWSER_EMBEDDING_SOURCES, createHttpEmbedder } from './utils/embedding-utils.js';
 
 // Constants
 const MODULE_NAME = 'uwu-memory';
 const COLLECTION_PREFIX = 'ctx_sum_';
+const ID_HASH_LENGTH = 16; // Hex chars of SHA-256 used in collection and message IDs (legacy calculateHash IDs use 8)
 const DEBOUNCE_DELAY = 1500;
 const HASH_CACHE_SIZE = 10000;
 const METADATA_CACHE_SIZE = 5000; // Limit metadata cache size
 const BACKEND_RECONNECT_INTERVAL = 30000; // 30 seconds
+const DEFAULT_BACKEND = 'lancedb';
+const SYNC_STATE_KEY = 'uwu-memory-sync-state'; // localStorage key for resumable bulk syncs
+const KEY_MIGRATION_REPORT_KEY = 'uwu-memory-key-migration'; // localStorage key for the collection key migration report
+const MESSAGE_KEY_MIGRATION_REPORT_KEY = 'uwu-memory-message-key-migration'; // localStorage key for the message key migration report
+const OUTBOX_KEY = 'uwu-memory-outbox'; // localStorage key for backend operations queued during outages
+const SUMMARY_REJECTS_KEY = 'uwu-memory-summary-rejects'; // localStorage key for summaries that failed validation
+const EMBEDDING_API_KEY_KEY = 'uwu-memory-embedding-api-key'; // localStorage key for the embeddings endpoint API key (kept out of settings.json)
+const MAX_SUMMARY_REJECTS = 50; // Rejected summaries kept for review (oldest dropped first)
+const SUMMARY_BACKOFF_KEY = 'uwu-memory-summary-backoff'; // localStorage key for memories whose summaries keep being rejected
+const SUMMARY_BACKOFF_BASE_MS = 5 * 60 * 1000; // Wait after the first run where every attempt was rejected (doubles per run)
+const SUMMARY_BACKOFF_MAX_MS = 24 * 60 * 60 * 1000;
+const MEMORY_CHANNEL_NAME = 'uwu-memory-changes'; // BroadcastChannel for memory change notices between tabs
+const SUMMARIZE_LOCK_PREFIX = 'uwu-memory-summarize:'; // Web Lock name prefix (one lock per collection)
+const BATCH_MAX_GAP = 4; // Max messages between two targets of one batched summary request (sent as reference)
+const CHAT_METADATA_KEY = 'uwu_memory'; // chat_metadata key holding the chat's memories in chat storage mode
+const SUMMARY_UNIT = Object.freeze({
+    CHARACTER: 'character', // Each character message (user messages only appear as context)
+    EXCHANGE: 'exchange', // The user message(s) and the character reply to them, as one memory
+    SEPARATE: 'separate', // Character and user messages, each as its own memory and turn
+});
+const STORAGE_MODE = Object.freeze({
+    BROWSER: 'browser', // IndexedDB (shared by all chats)
+    CHAT: 'chat', // Each chat's chat_metadata (travels with the chat file)
+});
 
 // State
 let settings = null;
 let backend = null;
 let backendHealthy = false; // Track backend health for fallback logic
+let customEmbeddingFunction = null; // Embedding function for backends that embed in the browser
 const syncMutex = new AsyncMutex(); // Mutex for preventing race conditions in sync operations
 const hashCache = new LRUCache(HASH_CACHE_SIZE);
 const pendingSummaries = new Set(); // msgIds currently being summarized
+const activeSyncs = new Set(); // collectionIds with a bulk sync in progress
 const memoryMetadataCache = new LRUCache(METADATA_CACHE_SIZE); // LRU cache for metadata
+const memoryStorage = new MemoryStorage({ // Persistent memory metadata (IndexedDB)
+    onSettingsWrite: () => saveSettings(),
+    onFlush: (changes) => postMemoryChange({ kind: STORAGE_MODE.BROWSER, ...changes }),
+});
+let memoryChannel = null; // BroadcastChannel to other tabs (null if unsupported)
+const backendOutbox = new BackendOutbox({ storageKey: OUTBOX_KEY }); // Backend work to replay after an outage
+let outboxReplayRunning = false; // Guards against overlapping replays (recovery + periodic check)
 let currentFormattedMemory = ''; // Current formatted memory for macro injection
 let isPreparingMemory = false; // Flag to prevent re-entry
+let retrievalController = null; // AbortController of the in-flight RAG retrieval
+let currentEmbeddingModel = null; // Embedding model reported by the backend health check
+let lastWarnedEmbeddingModel = null; // Model the mismatch warning was last shown for
 let lastHydratedCollectionId = null; // Track which collection is currently hydrated
+let chatMetadataDirty = false; // Chat metadata changed since the last immediate save (chat storage mode)
 
 // State tracking for branch/rename detection
 let lastKnownChatId = null; // Previous chat ID for rename detection
@@ -56,13 +115,10 @@ let registeredEventHandlers = []; // Track registered event handlers for cleanup
 
 // Default settings
 const defaultSettings = {
-    // Persistent metadata storage (keyed by collectionId -> hash -> metadata)
-    // This ensures metadata survives page refresh since backend query may not return text
-    memoryData: {},
-
     // Summarization settings
     minTurnToStartSummary: 10,
     contextWindowForSummary: 3,
+    summaryUnit: SUMMARY_UNIT.CHARACTER, // What one memory summarizes (see SUMMARY_UNIT)
     // ChatML format prompt - supports system/user/assistant roles
     summaryPrompt: `<|im_start|>user
 You are a conversation summarizer.
@@ -85,6 +141,110 @@ Rules:
 - Respond in the same language as <target>
 - Return ONLY the summary, without any prefixes or meta-commentary
 <|im_end|>
+`,
+    // Batched summarization: one request summarizes up to batchSize messages (JSON keyed by turn)
+    batchSummarization: false,
+    batchSummaryPrompt: `<|im_start|>user
+You are a conversation summarizer.
+
+Summarize EACH message within <target> tags in 1-2 sentences, focusing on what's relevant to {{user}} and {{char}}'s interaction.
+{{#if context}}
+
+<context>
+{{context}}
+</context>
+{{/if}}
+
+<messages>
+{{targets}}
+</messages>
+
+Rules:
+- Write one summary per <target>, keyed by its turn number
+- Messages outside <target> tags and <context> are only reference for understanding
+- Focus on key information, emotions, actions, and events
+- Respond in the same language as the targets
+- Return ONLY a JSON object mapping each turn number to its summary, e.g. {"12": "...", "13": "..."}
+<|im_end|>
+`,
+    // Summary validation: cleanup and checks applied to every generated memory summary, failures are retried
+    summaryValidation: {
+        enabled: true,
+        maxRetries: 2, // Extra requests after a rejected summary
+        minLength: 10, // Characters (0 = no limit)
+        maxLength: 1200, // Characters (0 = no limit)
+        maxParagraphs: 2, // 0 = no limit
+        checkLanguage: true, // Summary must use the target message's script
+        cleanupPatterns: [...DEFAULT_CLEANUP_PATTERNS], // Regex sources, matches are removed
+        bannedPatterns: [...DEFAULT_BANNED_PATTERNS], // Regex sources, a match rejects the summary
+    },
+    // Rollups: every chapterSize memories are summarized into a chapter, every arcSize chapters into an arc (0 = off)
+    chapterSize: 0,
+    arcSize: 0,
+    // ChatML prompt for chapters and arcs
+    chapterPrompt: `<|im_start|>user
+You are a story summarizer.
+
+Below are the summaries of turns {{turnStart}}-{{turnEnd}} of the conversation between {{user}} and {{char}}, in order.
+
+<summaries>
+{{summaries}}
+</summaries>
+
+Condense them into a single {{level}} summary of 2-4 sentences.
+
+Rules:
+- Keep key events, decisions, relationship changes and facts that later turns may depend on
+- Drop minor details and repetition
+- Respond in the same language as the summaries
+- Return ONLY the summary, without any prefixes or meta-commentary
+<|im_end|>
+`,
+    // Structured fields: one extra request per memory (per batch in batch mode) extracts characters, locations, items, keywords and facts
+    structuredExtraction: false,
+    extractionPrompt: `<|im_start|>user
+You are an information extractor.
+
+Read the message within <target> tags and its summary from a conversation between {{user}} and {{char}}.
+
+<target>
+{{targetMessage}}
+</target>
+
+<summary>
+{{summary}}
+</summary>
+
+Return ONLY a JSON object with these arrays (empty when nothing applies):
+- "characters": names of the characters involved
+- "locations": places where the events happen or that are mentioned
+- "items": notable objects
+- "keywords": up to 5 topic keywords
+- "facts": up to 3 short facts that later turns may depend on
+
+Write the values in the same language as the target.
+<|im_end|>
+`,
+    // Batch mode: fields of a whole batch in one request (JSON keyed by turn)
+    batchExtractionPrompt: `<|im_start|>user
+You are an information extractor.
+
+Read each message within <target> tags and its summary from a conversation between {{user}} and {{char}}.
+
+<messages>
+{{targets}}
+</messages>
+
+For EACH target, extract these arrays (empty when nothing applies):
+- "characters": names of the characters involved
+- "locations": places where the events happen or that are mentioned
+- "items": notable objects
+- "keywords": up to 5 topic keywords
+- "facts": up to 3 short facts that later turns may depend on
+
+Write the values in the same language as the targets.
+Return ONLY a JSON object mapping each turn number to its arrays, e.g. {"12": {"characters": [...], "locations": [...], "items": [...], "keywords": [...], "facts": [...]}}
+<|im_end|>
 `,
     contextFormat: {
         user: '{{user}}',
@@ -98,27 +258,173 @@ Rules:
     connectionProfile: '', // Will use default if empty
     summaryMaxTokens: 300,
 
+    // Vector backend (name registered in BackendFactory)
+    backend: DEFAULT_BACKEND,
+    // SillyTavern Vectors backend: embedding source and model (empty = source default)
+    stVectorSource: 'transformers',
+    stVectorModel: '',
+    // In-browser backends (IndexedDB): embedding source, see BROWSER_EMBEDDING_SOURCES.
+    // 'hashing' is a lexical fallback; semantic search needs an embeddings endpoint
+    browserEmbeddingSource: 'hashing',
+    browserEmbeddingUrl: 'http://localhost:11434/v1',
+    browserEmbeddingModel: '', // API key: localStorage (EMBEDDING_API_KEY_KEY), never in settings.json
+
     // Search settings
     maxRetrievedSummaries: 10,
     alwaysIncludeRecentN: 3,
     scoreThreshold: 0.5,
+    hybridSearch: true, // Fuse BM25 keyword ranking with vector results (also used in fallback mode)
+    keywordWeight: 0.3, // Keyword share in rank fusion (0 = vector only, 1 = keyword only)
 
     // Injection settings
     injectionVariable: 'summarizedMemory',
-    memoryTemplate: '[Memory {{index}}, Turn {{turnIndex}}]\n{{content}}',
+    memoryTemplate: '[{{level}} {{index}}, Turn {{turnIndex}}]\n{{content}}',
     memorySeparator: '\n\n---\n\n',
 
     // Behavior settings
     autoResummarizeOnEdit: true,
     deleteMemoryOnMsgDelete: true,
+    autoReindexOnModelChange: true, // Re-embed a chat's memories when the backend's embedding model changed
+    memoryStorageMode: STORAGE_MODE.BROWSER, // Where memories are persisted (see STORAGE_MODE)
 
     // Performance settings
     batchSize: 5,
     batchDelayMs: 500,
+    syncChunkSize: 50, // Memories per backend insert call during bulk sync/copy
+    syncConcurrency: 2, // Parallel insert calls during bulk sync/copy
+};
+
+/**
+ * Settings schema version (settings.schemaVersion). Not in defaultSettings on purpose:
+ * a missing version means "before versioning" and runs every step.
+ */
+const UNKNOWN_EMBEDDING_MODEL = 'unknown'; // Recorded for vectors written before embedding models were tracked
+const SETTINGS_SCHEMA_VERSION = 3;
+
+/**
+ * Default memory template before {{level}} existed (replaced by migration 2 if unchanged)
+ */
+const LEGACY_MEMORY_TEMPLATE = '[Memory {{index}}, Turn {{turnIndex}}]\n{{content}}';
+
+/**
+ * Settings-level step that upgrades stored memory records through every RECORD_MIGRATIONS step
+ * (utils/schema-migrations.js). Record schema changes go there, not into MIGRATIONS: this step is
+ * re-run whenever the records were last upgraded to an older MEMORY_RECORD_VERSION.
+ */
+const RECORDS_MIGRATION = {
+    version: 1,
+    description: `Upgrade stored memory records to record schema v${MEMORY_RECORD_VERSION}`,
+    run: ({ dryRun }) => {
+        const result = migrateStoredMemoryRecords(dryRun);
+        if (!dryRun) settings.recordSchemaVersion = MEMORY_RECORD_VERSION;
+        return result;
+    },
 };
 
+/**
+ * Ordered data migrations run at init (after memory storage is loaded).
+ * Append new steps with the next version only for settings changes; run({dryRun}) returns {changes, details}.
+ */
+const MIGRATIONS = [
+    RECORDS_MIGRATION,
+    {
+        version: 2,
+        description: 'Use the default memory template with {{level}} if the old default is unchanged',
+        run: ({ dryRun }) => {
+            if (settings.memoryTemplate !== LEGACY_MEMORY_TEMPLATE) return { changes: 0 };
+            if (!dryRun) settings.memoryTemplate = defaultSettings.memoryTemplate;
+            return { changes: 1 };
+        },
+    },
+    {
+        version: 3,
+        description: 'Move the embeddings endpoint API key out of extension settings',
+        run: ({ dryRun }) => {
+            if (settings.browserEmbeddingApiKey === undefined) return { changes: 0 };
+            if (!dryRun) {
+                if (settings.browserEmbeddingApiKey) saveEmbeddingApiKey(settings.browserEmbeddingApiKey);
+                delete settings.browserEmbeddingApiKey;
+            }
+            return { changes: 1 };
+        },
+    },
+];
+
+/**
+ * Upgrade every memory record in browser storage to the current record schema
+ * (chat-file memories are upgraded when their chat is opened)
+ * @param {boolean} dryRun - Only count
+ * @returns {{changes: number, details: Array<{collectionId: string, records: number}>}}
+ */
+function migrateStoredMemoryRecords(dryRun) {
+    const details = [];
+    let changes = 0;
+
+    for (const collectionId of memoryStorage.getCollectionIds()) {
+        const upgraded = upgradeCollectionRecords(memoryStorage.getCollection(collectionId));
+        const count = Object.keys(upgraded).length;
+        if (count === 0) continue;
+
+        if (!dryRun) {
+            memoryStorage.setMany(collectionId, upgraded);
+        }
+        details.push({ collectionId, records: count });
+        changes += count;
+    }
+
+    return { changes, details };
+}
+
+/**
+ * Run pending schema migrations and record the new settings schema version
+ * @returns {Promise<object>} Migration report
+ */
+async function runSchemaMigrations() {
+    const fromVersion = settings.schemaVersion || 0;
+    const recordsBehind = fromVersion >= RECORDS_MIGRATION.version
+        && (settings.recordSchemaVersion || 0) < MEMORY_RECORD_VERSION;
+    if (fromVersion >= SETTINGS_SCHEMA_VERSION && !recordsBehind) {
+        return { fromVersion, toVersion: fromVersion, dryRun: false, steps: [] };
+    }
+
+    const report = await runMigrations(MIGRATIONS, fromVersion);
+    if (report.toVersion > fromVersion) {
+        settings.schemaVersion = report.toVersion;
+    }
+    // Step 1 ran for an older record schema - upgrade the records again
+    if (recordsBehind && !report.error) {
+        const rerun = await runMigrations([RECORDS_MIGRATION], 0);
+        report.steps.push(...rerun.steps);
+        if (rerun.error) report.error = rerun.error;
+    }
+    if (report.steps.length > 0) {
+        saveSettings();
+    }
+
+    for (const step of report.steps) {
+        console.log(`[${MODULE_NAME}] Migration ${step.version} (${step.description}): ${step.error ? `failed - ${step.error}` : `${step.changes} changes`}`);
+    }
+    if (report.error) {
+        toastr.error(`Data migration failed: ${report.error}`, 'UwU Memory');
+    }
+
+    return report;
+}
+
+/**
+ * Upgrade the records of one collection to the current record schema
+ * @param {string} collectionId - Collection ID
+ * @returns {number} Number of records upgraded
+ */
+function upgradeCollectionSchema(collectionId) {
+    const upgraded = upgradeCollectionRecords(getCollectionMetadata(collectionId));
+    saveMetadataPersistentMany(collectionId, upgraded);
+    return Object.keys(upgraded).length;
+}
+
 /**
  * Migrate settings from old extension name (context-summarizer) to new (uwu-memory)
+ * (runs before the versioned MIGRATIONS - there are no settings under the new key yet)
  */
 function migrateSettings() {
     const oldKey = 'context-summarizer';
@@ -140,34 +446,216 @@ function initSettings() {
     // Migrate from old extension name first
     migrateSettings();
 
-    if (!extension_settings[MODULE_NAME]) {
-        extension_settings[MODULE_NAME] = { ...defaultSettings };
-    }
+    const stored = extension_settings[MODULE_NAME] || {};
 
     settings = {
         ...defaultSettings,
-        ...extension_settings[MODULE_NAME],
+        ...stored,
         contextFormat: {
             ...defaultSettings.contextFormat,
-            ...(extension_settings[MODULE_NAME].contextFormat || {}),
+            ...(stored.contextFormat || {}),
+        },
+        summaryValidation: {
+            ...defaultSettings.summaryValidation,
+            ...(stored.summaryValidation || {}),
         },
-        // Preserve memoryData from storage (don't merge with defaults)
-        memoryData: extension_settings[MODULE_NAME].memoryData || {},
         // Preserve knownBranches independently (branch copy tracking)
-        knownBranches: extension_settings[MODULE_NAME].knownBranches || {},
+        knownBranches: stored.knownBranches || {},
     };
 
     // Force useChatML to always be true (UI option removed)
     settings.useChatML = true;
+
+    // The live settings object is what gets persisted, so saving never copies it.
+    // Legacy memoryData stays on it until initMemoryStorage has moved it out.
+    extension_settings[MODULE_NAME] = settings;
+}
+
+/**
+ * Open the memory store and migrate memoryData out of extension settings (one time).
+ * Once every memory is verified in IndexedDB, the settings copy is saved as a backup file
+ * and dropped, so saving settings no longer re-serializes every memory.
+ */
+async function initMemoryStorage() {
+    const legacyData = settings.memoryData;
+
+    try {
+        const { mode, migrated } = await memoryStorage.init(legacyData || {});
+
+        if (memoryStorage.usesSettings()) {
+            // IndexedDB unavailable - memories are persisted with the settings
+            settings.memoryData = memoryStorage.collections;
+            console.warn(`[${MODULE_NAME}] Memory storage: ${mode} (IndexedDB unavailable)`);
+            return;
+        }
+
+        if (legacyData) {
+            const missing = Object.entries(legacyData).reduce((sum, [collectionId, memories]) =>
+                sum + Object.keys(memories || {}).filter(hash => !memoryStorage.getCollection(collectionId)[hash]).length, 0);
+            if (missing > 0) {
+                // Keep the settings copy; the import is retried on next load
+                throw new Error(`${missing} memories are missing from IndexedDB after the import`);
+            }
+
+            const backupPath = await backupLegacyMemoryData(legacyData);
+            delete settings.memoryData;
+            saveSettings();
+            console.log(`[${MODULE_NAME}] Migrated ${migrated} memories from extension settings to IndexedDB (backup: ${backupPath || 'downloaded'})`);
+            showStorageMigrationNotice(countLegacyMemories(legacyData), backupPath);
+        }
+    } catch (error) {
+        // Legacy data stays in settings and the migration is retried on next load
+        console.error(`[${MODULE_NAME}] Memory storage migration failed:`, error);
+        toastr.error('Failed to migrate memories to browser storage', 'UwU Memory');
+    }
+}
+
+/**
+ * Count the memories of a collectionId -> hash -> metadata map
+ * @param {object} data - Memory data
+ * @returns {number}
+ */
+function countLegacyMemories(data) {
+    return Object.values(data).reduce((sum, memories) => sum + countMemories(memories || {}), 0);
+}
+
+/**
+ * Save the settings memoryData as an archive in the user's SillyTavern files (one-time backup
+ * before it is dropped from settings.json). Downloads it instead if the upload fails.
+ * @param {object} legacyData - collectionId -> hash -> metadata
+ * @returns {Promise<string|null>} Server path of the backup, null if it was downloaded
+ */
+async function backupLegacyMemoryData(legacyData) {
+    const archive = createArchive({ collections: legacyData, knownBranches: settings.knownBranches || {} });
+    const fileName = `uwu-memory-settings-backup-${Date.now()}.json`;
+
+    try {
+        const bytes = new TextEncoder().encode(JSON.stringify(archive));
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: { ...getContext().getRequestHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: fileName, data: btoa(binary) }),
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const { path } = await response.json();
+        return path || `user/files/${fileName}`;
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Backup upload failed, downloading it instead:`, error.message);
+        downloadJson(fileName, archive);
+        return null;
+    }
+}
+
+/**
+ * Tell the user that memories moved to browser storage (device-local) and where the backup is
+ * @param {number} count - Number of migrated memories
+ * @param {string|null} backupPath - Server path of the backup, null if it was downloaded
+ */
+function showStorageMigrationNotice(count, backupPath) {
+    const backup = backupPath
+        ? `A backup of the old copy was saved on the server: <a href="/${backupPath.replace(/^\/+/, '')}" target="_blank" download>${backupPath}</a>.`
+        : 'A backup of the old copy was downloaded.';
+    toastr.warning(
+        `${count} memories moved from settings.json to this browser's storage (IndexedDB).<br><br>`
+        + 'They are now <b>stored on this device only</b>: other browsers and devices no longer see them, and clearing site data deletes them. '
+        + `${backup} Import it in the Global Manager to use the memories in another browser, or switch Memory Storage to "Chat file" to keep memories with each chat on the server.`,
+        'UwU Memory: memories moved to browser storage',
+        { timeOut: 0, extendedTimeOut: 0, closeButton: true, escapeHtml: false },
+    );
 }
 
 /**
- * Save settings
+ * Save settings (debounced by SillyTavern)
  */
 function saveSettings() {
-    extension_settings[MODULE_NAME] = { ...settings };
+    getContext().saveSettingsDebounced();
+}
+
+/**
+ * Write all buffered memory changes now (browser storage and the open chat's metadata)
+ * @returns {Promise<number>} Number of browser storage records written
+ */
+async function flushPendingWrites() {
+    // Start the IndexedDB transaction synchronously so it also commits when called on unload
+    const write = memoryStorage.flush();
+
+    let metadataError = null;
+    if (chatMetadataDirty) {
+        chatMetadataDirty = false;
+        try {
+            await getContext().saveMetadata();
+        } catch (error) {
+            // Keep the changes marked so the next flush saves them again
+            chatMetadataDirty = true;
+            metadataError = error;
+        }
+    }
+
+    const written = await write;
+    await memoryStorage.whenIdle();
+    if (metadataError) throw metadataError;
+    return written;
+}
+
+/**
+ * Flush buffered memory changes without waiting (page unload, extension cleanup)
+ */
+function flushPendingWritesInBackground() {
+    flushPendingWrites().catch(error => {
+        console.error(`[${MODULE_NAME}] Failed to write buffered memory changes:`, error);
+    });
+}
+
+/**
+ * Whether memories are persisted in each chat's chat_metadata
+ * @returns {boolean}
+ */
+function usesChatStorage() {
+    return settings?.memoryStorageMode === STORAGE_MODE.CHAT;
+}
+
+/**
+ * Get the open chat's chat_metadata memory store, if it holds the given collection.
+ * Only the open chat's metadata is reachable, so other collections stay in memoryStorage.
+ * @param {string} collectionId - Collection ID
+ * @param {boolean} create - Create the store if the chat has none yet
+ * @returns {{collectionId: string, memories: object}|null}
+ */
+function getChatMemoryStore(collectionId, create = false) {
+    if (!usesChatStorage() || !collectionId || collectionId !== getCollectionId()) return null;
+
+    const chatMetadata = getContext().chatMetadata;
+    if (!chatMetadata) return null;
+
+    const store = chatMetadata[CHAT_METADATA_KEY];
+    if (store) {
+        // A store copied from another file is re-keyed on chat load (adoptChatMemories)
+        return store.collectionId === collectionId ? store : null;
+    }
+    if (!create) return null;
+
+    chatMetadata[CHAT_METADATA_KEY] = { collectionId, memories: {} };
+    return chatMetadata[CHAT_METADATA_KEY];
+}
+
+/**
+ * Save the open chat's metadata (debounced when available)
+ */
+function saveChatMetadata() {
     const context = getContext();
-    context.saveSettingsDebounced();
+    if (typeof context.saveMetadataDebounced === 'function') {
+        chatMetadataDirty = true;
+        context.saveMetadataDebounced();
+    } else {
+        context.saveMetadata();
+    }
 }
 
 /**
@@ -177,15 +665,26 @@ function saveSettings() {
  * @param {object} metadata - Metadata object
  */
 function saveMetadataPersistent(collectionId, hash, metadata) {
-    if (!settings.memoryData) {
-        settings.memoryData = {};
-    }
-    if (!settings.memoryData[collectionId]) {
-        settings.memoryData[collectionId] = {};
+    saveMetadataPersistentMany(collectionId, { [hash]: metadata });
+}
+
+/**
+ * Save several memories of a collection to persistent storage in one write
+ * @param {string} collectionId - Collection ID
+ * @param {object} entries - Hash -> metadata map
+ */
+function saveMetadataPersistentMany(collectionId, entries) {
+    if (Object.keys(entries).length === 0) return;
+
+    const chatStore = getChatMemoryStore(collectionId, true);
+    if (chatStore) {
+        Object.assign(chatStore.memories, entries);
+        saveChatMetadata();
+        postMemoryChange({ kind: STORAGE_MODE.CHAT, collectionId, saved: entries });
+        return;
     }
-    settings.memoryData[collectionId][hash] = metadata;
 
-    saveSettings();
+    memoryStorage.setMany(collectionId, entries);
 }
 
 /**
@@ -194,10 +693,15 @@ function saveMetadataPersistent(collectionId, hash, metadata) {
  * @param {string} hash - Memory hash
  */
 function deleteMetadataPersistent(collectionId, hash) {
-    if (settings.memoryData?.[collectionId]) {
-        delete settings.memoryData[collectionId][hash];
-        saveSettings();
+    const chatStore = getChatMemoryStore(collectionId);
+    if (chatStore) {
+        delete chatStore.memories[hash];
+        saveChatMetadata();
+        postMemoryChange({ kind: STORAGE_MODE.CHAT, collectionId, deleted: [hash] });
+        return;
     }
+
+    memoryStorage.delete(collectionId, hash);
 }
 
 /**
@@ -206,7 +710,34 @@ function deleteMetadataPersistent(collectionId, hash) {
  * @returns {object} Hash -> metadata map
  */
 function getCollectionMetadata(collectionId) {
-    return settings.memoryData?.[collectionId] || {};
+    const chatStore = getChatMemoryStore(collectionId);
+    if (chatStore) {
+        return chatStore.memories;
+    }
+
+    return memoryStorage.getCollection(collectionId);
+}
+
+/**
+ * Check whether a collection has persistent metadata
+ * @param {string} collectionId - Collection ID
+ * @returns {boolean}
+ */
+function hasCollectionMetadata(collectionId) {
+    return Boolean(getChatMemoryStore(collectionId)) || memoryStorage.hasCollection(collectionId);
+}
+
+/**
+ * List every collection with persistent metadata (in chat storage mode only the open chat's is included)
+ * @returns {string[]} Collection IDs
+ */
+function getAllCollectionIds() {
+    const collectionIds = memoryStorage.getCollectionIds();
+    const currentCollectionId = getCollectionId();
+    if (getChatMemoryStore(currentCollectionId) && !collectionIds.includes(currentCollectionId)) {
+        collectionIds.push(currentCollectionId);
+    }
+    return collectionIds;
 }
 
 /**
@@ -214,68 +745,338 @@ function getCollectionMetadata(collectionId) {
  * @param {string} collectionId - Collection ID
  */
 function purgeCollectionMetadata(collectionId) {
-    if (settings.memoryData?.[collectionId]) {
-        delete settings.memoryData[collectionId];
-        saveSettings();
+    if (getChatMemoryStore(collectionId)) {
+        delete getContext().chatMetadata[CHAT_METADATA_KEY];
+        saveChatMetadata();
+        postMemoryChange({ kind: STORAGE_MODE.CHAT, collectionId, purged: true });
+    }
+
+    memoryStorage.deleteCollection(collectionId);
+}
+
+/**
+ * Open the channel other tabs use to announce memory changes
+ */
+function initMemoryChannel() {
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn(`[${MODULE_NAME}] BroadcastChannel unavailable - other tabs will not be notified of memory changes`);
+        return;
     }
+
+    memoryChannel?.close();
+    memoryChannel = new BroadcastChannel(MEMORY_CHANNEL_NAME);
+    memoryChannel.onmessage = (event) => {
+        handleRemoteMemoryChange(event.data).catch(error =>
+            console.warn(`[${MODULE_NAME}] Failed to apply memory changes from another tab:`, error.message));
+    };
 }
 
 /**
- * Delete one or more collections completely (backend + persistent + knownBranches + cache)
- * Unified deletion utility - all deletion paths should use this.
- * @param {string[]} collectionIds - Collection IDs to delete
- * @returns {Promise<{deleted: number, currentAffected: boolean}>}
+ * Tell other tabs which memories changed
+ * @param {object} message - {kind: 'browser', collections, purged} (records are committed to IndexedDB)
+ *        or {kind: 'chat', collectionId, saved?, deleted?, purged?} (chat_metadata changes, sent with the data)
  */
-async function deleteCollections(collectionIds) {
-    if (!collectionIds || collectionIds.length === 0) return { deleted: 0, currentAffected: false };
+function postMemoryChange(message) {
+    if (!memoryChannel) return;
 
-    const currentCollectionId = getCollectionId();
-    let currentAffected = false;
+    try {
+        memoryChannel.postMessage(message);
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to notify other tabs:`, error.message);
+    }
+}
 
-    // 1. Backend purge (parallel for all collections)
-    if (backendHealthy && backend) {
-        await Promise.all(collectionIds.map(collectionId =>
-            backend.purge(collectionId).catch(e =>
-                console.warn(`[${MODULE_NAME}] Failed to purge backend collection ${collectionId}:`, e.message)
-            )
-        ));
+/**
+ * Apply memory changes announced by another tab and refresh the cache of the open chat
+ * @param {object} message - Message from postMemoryChange
+ */
+async function handleRemoteMemoryChange(message) {
+    if (message?.kind === STORAGE_MODE.BROWSER) {
+        await memoryStorage.reloadRecords(message);
+
+        const collectionId = getCollectionId();
+        if (message.purged?.includes(collectionId)) {
+            refreshCachedMemories(collectionId, null);
+        } else if (message.collections?.[collectionId]) {
+            refreshCachedMemories(collectionId, message.collections[collectionId]);
+        }
+        return;
     }
 
-    // 2. Persistent metadata purge + track current affected
-    for (const collectionId of collectionIds) {
-        purgeCollectionMetadata(collectionId);
-        if (collectionId === currentCollectionId) {
-            currentAffected = true;
+    if (message?.kind === STORAGE_MODE.CHAT) {
+        // The sending tab saved the chat file; only the copy of the open chat is updated here
+        const chatStore = getChatMemoryStore(message.collectionId);
+        if (!chatStore) return;
+
+        if (message.purged) {
+            delete getContext().chatMetadata[CHAT_METADATA_KEY];
+            refreshCachedMemories(message.collectionId, null);
+            return;
         }
+
+        Object.assign(chatStore.memories, message.saved || {});
+        for (const hash of message.deleted || []) {
+            delete chatStore.memories[hash];
+        }
+        refreshCachedMemories(message.collectionId, [...Object.keys(message.saved || {}), ...(message.deleted || [])]);
     }
+}
 
-    // 3. Cache cleanup if current collection was affected
-    if (currentAffected) {
+/**
+ * Re-read memories of the open collection from persistent storage into the metadata cache
+ * @param {string} collectionId - Changed collection
+ * @param {string[]|null} hashes - Changed hashes (null: the whole collection)
+ */
+function refreshCachedMemories(collectionId, hashes) {
+    if (!collectionId || collectionId !== getCollectionId()) return;
+
+    const persistentData = getCollectionMetadata(collectionId);
+    if (!hashes) {
         memoryMetadataCache.clear();
-        currentFormattedMemory = '';
-        lastHydratedCollectionId = null;
+        hashes = Object.keys(persistentData);
     }
 
-    // 4. Final save
-    saveSettings();
+    for (const hash of hashes) {
+        if (hash === '__collection_info__') continue;
+        if (persistentData[hash]) {
+            memoryMetadataCache.set(hash, persistentData[hash]);
+        } else {
+            memoryMetadataCache.delete(hash);
+        }
+    }
 
-    return { deleted: collectionIds.length, currentAffected };
+    updateFormattedMemoryFromCache();
+    console.log(`[${MODULE_NAME}] Memories changed in another tab - refreshed ${hashes.length} cached entries`);
 }
 
 /**
- * Migrate (move) a collection from source to target.
- * Copies all data then deletes source.
- * @param {string} sourceId - Source collection ID
- * @param {string} targetId - Target collection ID
- * @param {Function|null} filterFn - Optional filter for selective copy
- * @returns {Promise<number>} Number of memories migrated
+ * Run a task while holding the collection's cross-tab lock (Web Locks API).
+ * If another tab holds it the task is skipped: that tab's memories arrive through change notices.
+ * Once the lock is granted the collection is re-read, since the previous holder's notices may not have arrived yet.
+ * Pending writes (and the chat metadata) are saved before the lock is released so the next holder reads committed records.
+ * @param {string} collectionId - Collection ID
+ * @param {Function} task - Async task
+ * @returns {Promise<{skipped: boolean, result?: any}>}
  */
-async function migrateCollection(sourceId, targetId, filterFn = null) {
+async function withCollectionLock(collectionId, task) {
+    const run = async () => {
+        try {
+            await reloadCollectionRecords(collectionId);
+            return { skipped: false, result: await task() };
+        } finally {
+            await flushPendingWrites().catch(error =>
+                console.error(`[${MODULE_NAME}] Failed to write buffered memory changes:`, error));
+        }
+    };
+
+    // No Web Locks (old browser, insecure context) - behave like a single tab
+    if (!navigator.locks) return await run();
+
+    return await navigator.locks.request(`${SUMMARIZE_LOCK_PREFIX}${collectionId}`, { ifAvailable: true }, async (lock) => {
+        if (!lock) {
+            console.log(`[${MODULE_NAME}] Another tab is summarizing ${collectionId}, skipping`);
+            return { skipped: true };
+        }
+        return await run();
+    });
+}
+
+/**
+ * Re-read a collection's records from persistent storage (IndexedDB, or the saved chat file in chat
+ * storage mode) and refresh the cache with what changed
+ * @param {string} collectionId - Collection ID
+ */
+async function reloadCollectionRecords(collectionId) {
+    let changed;
+    try {
+        changed = getChatMemoryStore(collectionId)
+            ? await reloadChatMemoryStore(collectionId)
+            : await memoryStorage.reloadCollection(collectionId);
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to re-read ${collectionId}, using the loaded memories:`, error.message);
+        return;
+    }
+
+    if (changed.length > 0) {
+        refreshCachedMemories(collectionId, changed);
+    }
+}
+
+/**
+ * Chat storage mode: merge memories another tab saved to the open chat's file into its chat_metadata.
+ * Memories of this tab win unless the saved copy is newer.
+ * @param {string} collectionId - Open chat's collection ID
+ * @returns {Promise<string[]>} Hashes taken from the saved file
+ */
+async function reloadChatMemoryStore(collectionId) {
+    const context = getContext();
+    const chatStore = getChatMemoryStore(collectionId);
+    if (!chatStore) return [];
+
+    const lines = await fetchChatFile(context.getCurrentChatId(), context.characterId);
+    const saved = lines.find(line => line?.chat_metadata)?.chat_metadata?.[CHAT_METADATA_KEY];
+    if (!saved || saved.collectionId !== collectionId) return [];
+
+    const newer = Object.entries(saved.memories || {}).filter(([hash, metadata]) =>
+        (metadata?.updatedAt || 0) > (chatStore.memories[hash]?.updatedAt || 0) || !chatStore.memories[hash]);
+    Object.assign(chatStore.memories, Object.fromEntries(newer));
+    return newer.map(([hash]) => hash);
+}
+
+/**
+ * Drop memories past the branch point when a branch's chat file carries its parent's memories
+ * @param {object} context - SillyTavern context
+ * @param {object} memories - Hash -> metadata map
+ * @returns {object} Memories within the branch
+ */
+function trimMemoriesToBranch(context, memories) {
+    if (!context.chatMetadata?.main_chat || !context.chat?.length) return memories;
+
+    const branchPointTurnIndex = calculateTurnNumber(context.chat, context.chat.length - 1);
+    return Object.fromEntries(Object.entries(memories).filter(([hash, metadata]) =>
+        hash === '__collection_info__' || (metadata?.turnIndex || 0) <= branchPointTurnIndex));
+}
+
+/**
+ * Chat storage mode: make the open chat's chat_metadata the home of its memories.
+ * - A store written under another collection ID (chat renamed, branched, duplicated or imported)
+ *   is re-keyed to this chat; the data came with the file, so no rename/branch detection is needed.
+ * - Memories of this collection still in browser storage are moved into the chat.
+ * @param {object} context - SillyTavern context
+ * @param {string} collectionId - Current chat's collection ID
+ * @returns {Promise<{action: string, count: number}|null>}
+ */
+async function adoptChatMemories(context, collectionId) {
+    const chatMetadata = context.chatMetadata;
+    if (!chatMetadata) return null;
+
+    let store = chatMetadata[CHAT_METADATA_KEY];
+    let result = null;
+
+    if (store && store.collectionId !== collectionId) {
+        const sourceId = store.collectionId;
+        const memories = trimMemoriesToBranch(context, store.memories || {});
+        store = chatMetadata[CHAT_METADATA_KEY] = { collectionId, memories };
+
+        const hashes = Object.keys(memories).filter(k => k !== '__collection_info__');
+        result = { action: 'adopt', count: hashes.length };
+        console.log(`[${MODULE_NAME}] Chat memories re-keyed from ${sourceId} to ${collectionId} (${hashes.length} memories)`);
+
+        // The plugin copies vectors server-side; anything not copied is embedded by the chat-change sync
+        if (sourceId && hashes.length > 0 && backend?.getName() === 'lancedb') {
+            try {
+                await copyLanceDBCollection(sourceId, collectionId, hashes);
+            } catch (e) {
+                console.warn(`[${MODULE_NAME}] LanceDB copy failed:`, e.message);
+            }
+        }
+    }
+
+    const browserData = memoryStorage.getCollection(collectionId);
+    const browserEntries = Object.entries(browserData)
+        .filter(([hash]) => !store?.memories?.[hash]);
+    if (memoryStorage.hasCollection(collectionId)) {
+        if (!store) {
+            store = chatMetadata[CHAT_METADATA_KEY] = { collectionId, memories: {} };
+        }
+        Object.assign(store.memories, Object.fromEntries(browserEntries));
+        memoryStorage.deleteCollection(collectionId);
+
+        const count = browserEntries.filter(([hash]) => hash !== '__collection_info__').length;
+        if (count > 0) {
+            result = { action: 'migrate', count };
+            console.log(`[${MODULE_NAME}] Moved ${count} memories from browser storage into chat ${collectionId}`);
+        }
+    }
+
+    if (result) saveChatMetadata();
+    return result;
+}
+
+/**
+ * Browser storage mode: move memories saved in the open chat's chat_metadata into browser storage
+ * @param {object} context - SillyTavern context
+ * @param {string} collectionId - Current chat's collection ID
+ * @returns {{action: string, count: number}|null}
+ */
+function releaseChatMemories(context, collectionId) {
+    const store = context.chatMetadata?.[CHAT_METADATA_KEY];
+    if (!store) return null;
+
+    const memories = store.collectionId === collectionId
+        ? (store.memories || {})
+        : trimMemoriesToBranch(context, store.memories || {});
+    const existing = memoryStorage.getCollection(collectionId);
+    const entries = Object.fromEntries(Object.entries(memories).filter(([hash]) => !existing[hash]));
+
+    memoryStorage.setMany(collectionId, entries);
+    delete context.chatMetadata[CHAT_METADATA_KEY];
+    saveChatMetadata();
+
+    const count = Object.keys(entries).filter(k => k !== '__collection_info__').length;
+    console.log(`[${MODULE_NAME}] Moved ${count} memories from chat metadata into browser storage (${collectionId})`);
+    return count > 0 ? { action: 'migrate', count } : null;
+}
+
+/**
+ * Delete one or more collections completely (backend + persistent + knownBranches + cache)
+ * Unified deletion utility - all deletion paths should use this.
+ * @param {string[]} collectionIds - Collection IDs to delete
+ * @returns {Promise<{deleted: number, currentAffected: boolean}>}
+ */
+async function deleteCollections(collectionIds) {
+    if (!collectionIds || collectionIds.length === 0) return { deleted: 0, currentAffected: false };
+
+    const currentCollectionId = getCollectionId();
+    let currentAffected = false;
+
+    // 1. Backend purge (parallel for all collections; queued for replay while the backend is down)
+    if (backendHealthy && backend) {
+        await Promise.all(collectionIds.map(collectionId =>
+            backend.purge(collectionId).catch(e => {
+                console.warn(`[${MODULE_NAME}] Failed to purge backend collection ${collectionId}:`, e.message);
+                queueBackendOperation({ type: OUTBOX_OP.PURGE, collectionId });
+            })
+        ));
+    } else {
+        collectionIds.forEach(collectionId => queueBackendOperation({ type: OUTBOX_OP.PURGE, collectionId }));
+    }
+
+    // 2. Persistent metadata purge + track current affected
+    for (const collectionId of collectionIds) {
+        purgeCollectionMetadata(collectionId);
+        if (collectionId === currentCollectionId) {
+            currentAffected = true;
+        }
+    }
+
+    // 3. Cache cleanup if current collection was affected
+    if (currentAffected) {
+        memoryMetadataCache.clear();
+        currentFormattedMemory = '';
+        lastHydratedCollectionId = null;
+    }
+
+    // 4. Final save
+    saveSettings();
+
+    return { deleted: collectionIds.length, currentAffected };
+}
+
+/**
+ * Migrate (move) a collection from source to target.
+ * Copies all data then deletes source.
+ * @param {string} sourceId - Source collection ID
+ * @param {string} targetId - Target collection ID
+ * @param {Function|null} filterFn - Optional filter for selective copy
+ * @returns {Promise<number>} Number of memories migrated
+ */
+async function migrateCollection(sourceId, targetId, filterFn = null) {
     // 1. Copy persistent metadata
     const copied = copyPersistentMetadata(sourceId, targetId, filterFn);
 
-    // 2. Copy LanceDB vectors
-    if (backendHealthy && backend) {
+    // 2. Copy LanceDB vectors (queued while the backend is down)
+    if (backend) {
         const sourceData = getCollectionMetadata(sourceId);
         let hashesToCopy = Object.keys(sourceData).filter(k => k !== '__collection_info__');
         if (filterFn) {
@@ -421,7 +1222,7 @@ async function executeBranchFirstVisit(context, currentCollectionId, mainChat) {
         .filter(([hash, meta]) => hash !== '__collection_info__' && filterFn(meta))
         .map(([hash]) => hash);
 
-    if (backendHealthy && backend && hashesToCopy.length > 0) {
+    if (backend && hashesToCopy.length > 0) {
         try {
             await copyLanceDBCollection(sourceCollectionId, currentCollectionId, hashesToCopy);
         } catch (e) {
@@ -483,8 +1284,26 @@ async function handleCollectionTransition() {
         const context = getContext();
         const currentCollectionId = getCollectionId();
 
-        // 1. Detect what's happening (uses lastKnown* state variables)
+        // 1. Move the chat's memories off its legacy ID, then to where the storage mode keeps them
+        let chatStorageResult = null;
         if (currentCollectionId) {
+            await adoptLegacyCollection(context, currentCollectionId);
+            chatStorageResult = usesChatStorage()
+                ? await adoptChatMemories(context, currentCollectionId)
+                : releaseChatMemories(context, currentCollectionId);
+            // Chat-file memories (possibly written by an older version) are upgraded on open
+            upgradeCollectionSchema(currentCollectionId);
+        }
+
+        if (chatStorageResult?.action === 'adopt' && chatStorageResult.count > 0) {
+            toastr.info(`Loaded ${chatStorageResult.count} memories saved in this chat`);
+        } else if (chatStorageResult?.action === 'migrate') {
+            toastr.info(`Moved ${chatStorageResult.count} memories to ${usesChatStorage() ? 'the chat file' : 'browser storage'}`);
+        }
+
+        // 2. Detect what's happening (uses lastKnown* state variables)
+        // In chat storage mode the memories follow the chat file, so renames and branches need no migration
+        if (currentCollectionId && !usesChatStorage()) {
             const scenario = detectTransitionScenario(context, currentCollectionId);
 
             if (scenario.type !== TRANSITION.NONE && scenario.type !== TRANSITION.NORMAL_SWITCH) {
@@ -492,12 +1311,12 @@ async function handleCollectionTransition() {
                     (scenario.sourceId ? ` (source: ${scenario.sourceId})` : '') +
                     ` | current: ${currentCollectionId}`);
 
-                // 2. Execute the appropriate action
+                // 3. Execute the appropriate action
                 const result = await executeTransition(scenario, context, currentCollectionId);
 
                 console.log(`[${MODULE_NAME}] Transition result:`, result);
 
-                // 3. Notify user
+                // 4. Notify user
                 if (result && result.count > 0) {
                     const actionText = result.action === 'copy'
                         ? 'Copied' : 'Migrated';
@@ -509,7 +1328,7 @@ async function handleCollectionTransition() {
             }
         }
 
-        // 4. Update state tracking INSIDE mutex to prevent race conditions
+        // 5. Update state tracking INSIDE mutex to prevent race conditions
         // (Must happen before mutex release so next queued call sees updated state)
         lastKnownChatId = context.getCurrentChatId();
         lastKnownCollectionId = currentCollectionId;
@@ -529,16 +1348,90 @@ async function handleCollectionTransition() {
 }
 
 /**
- * Initialize backend (LanceDB only)
+ * Create a backend instance through BackendFactory
+ * Falls back to the default backend if the configured one is not registered
+ * @param {string} name - Backend name
+ * @returns {import('./backends/backend-interface.js').VectorBackend}
  */
-async function initBackend() {
+function createBackend(name) {
     const context = getContext();
 
-    backend = new LanceDBBackend(settings);
+    let backendName = name;
+    if (!BackendFactory.has(backendName)) {
+        console.warn(`[${MODULE_NAME}] Unknown backend "${backendName}", falling back to ${DEFAULT_BACKEND}`);
+        backendName = DEFAULT_BACKEND;
+    }
+
+    const instance = BackendFactory.create(backendName, settings);
+
+    if (instance.init) {
+        instance.init(context.getRequestHeaders);
+    }
+
+    if (instance.setEmbeddingFunction) {
+        instance.setEmbeddingFunction(getBrowserEmbeddingFunction());
+    }
+
+    if (instance.setHashResolver) {
+        // Stores that key items by number map them back through the collection's memories
+        instance.setHashResolver(collectionId => Object.keys(getCollectionMetadata(collectionId)));
+    }
+
+    return instance;
+}
+
+/**
+ * Get the embedding function for in-browser backends: one set from the debug console,
+ * else the configured embeddings endpoint
+ * @returns {Function|null} Null = the backend's built-in (lexical) embedder
+ */
+function getBrowserEmbeddingFunction() {
+    if (customEmbeddingFunction) {
+        return customEmbeddingFunction;
+    }
+    if (settings.browserEmbeddingSource === 'openai-compatible' && settings.browserEmbeddingUrl && settings.browserEmbeddingModel) {
+        return createHttpEmbedder({
+            baseUrl: settings.browserEmbeddingUrl,
+            model: settings.browserEmbeddingModel,
+            apiKey: loadEmbeddingApiKey(),
+        });
+    }
+    return null;
+}
+
+/**
+ * Load the embeddings endpoint API key (stored in this browser, not in settings.json)
+ * @returns {string}
+ */
+function loadEmbeddingApiKey() {
+    return localStorage.getItem(EMBEDDING_API_KEY_KEY) || '';
+}
 
-    if (backend.init) {
-        backend.init(context.getRequestHeaders);
+/**
+ * Save the embeddings endpoint API key in this browser
+ * @param {string} apiKey - API key (empty removes it)
+ */
+function saveEmbeddingApiKey(apiKey) {
+    if (apiKey) {
+        localStorage.setItem(EMBEDDING_API_KEY_KEY, apiKey);
+    } else {
+        localStorage.removeItem(EMBEDDING_API_KEY_KEY);
     }
+}
+
+/**
+ * Get display name of the active backend (for UI and logs)
+ * @returns {string}
+ */
+function getBackendDisplayName() {
+    return backend ? BackendFactory.getDisplayName(backend.getName()) : 'None';
+}
+
+/**
+ * Initialize backend selected in settings
+ */
+async function initBackend() {
+    backend = createBackend(settings.backend);
 
     // Check backend health
     await checkBackendHealth();
@@ -547,6 +1440,66 @@ async function initBackend() {
     startBackendReconnection();
 }
 
+/**
+ * Switch to a different vector backend at runtime.
+ * Re-runs the health check, re-hydrates the cache and re-syncs the current
+ * collection into the new backend (persistent storage is the source of truth).
+ * @param {string} name - Backend name registered in BackendFactory
+ * @returns {Promise<boolean>} Whether the new backend is healthy
+ */
+async function switchBackend(name) {
+    // Wait for any running summarization/transition so nothing is written to the old backend mid-switch
+    await syncMutex.acquire();
+    try {
+        backend = createBackend(name);
+        settings.backend = backend.getName();
+        saveSettings();
+
+        // Mark unhealthy so a successful health check is treated as a recovery
+        // (which syncs unvectorized summaries into the new backend)
+        backendHealthy = false;
+    } finally {
+        syncMutex.release();
+    }
+
+    const healthy = await checkBackendHealth();
+    await hydrateMetadataCache(true);
+
+    console.log(`[${MODULE_NAME}] Switched backend to ${getBackendDisplayName()} (healthy: ${healthy})`);
+    return healthy;
+}
+
+/**
+ * Switch where memories are persisted and move the open chat's memories there.
+ * Other chats move the next time they are opened.
+ * @param {string} mode - STORAGE_MODE value
+ * @returns {Promise<number>} Number of memories moved for the open chat
+ */
+async function switchMemoryStorageMode(mode) {
+    await syncMutex.acquire();
+    let moved = 0;
+    try {
+        settings.memoryStorageMode = mode;
+        saveSettings();
+
+        const context = getContext();
+        const collectionId = getCollectionId();
+        if (collectionId) {
+            const result = usesChatStorage()
+                ? await adoptChatMemories(context, collectionId)
+                : releaseChatMemories(context, collectionId);
+            moved = result?.count || 0;
+        }
+    } finally {
+        syncMutex.release();
+    }
+
+    await hydrateMetadataCache(true);
+
+    console.log(`[${MODULE_NAME}] Memory storage mode: ${mode} (${moved} memories moved)`);
+    return moved;
+}
+
 /**
  * Check backend health and update status
  * @returns {Promise<boolean>} Whether backend is healthy
@@ -556,19 +1509,31 @@ async function checkBackendHealth() {
         const health = await backend.healthCheck();
         const wasHealthy = backendHealthy;
         backendHealthy = health.healthy;
+        if (backendHealthy) {
+            currentEmbeddingModel = health.model || null;
+            // Before any sync, so a changed model re-indexes instead of mixing vectors
+            await checkEmbeddingModel();
+        }
 
         if (!backendHealthy) {
-            console.warn(`[${MODULE_NAME}] LanceDB not available: ${health.message}. Using fallback mode (recent memories only, no semantic search).`);
+            console.warn(`[${MODULE_NAME}] ${getBackendDisplayName()} not available: ${health.message}. Using fallback mode (${settings.hybridSearch ? 'keyword search' : 'recent memories only'}, no semantic search).`);
         } else if (!wasHealthy && backendHealthy) {
             // Backend recovered - sync unvectorized data
-            console.log(`[${MODULE_NAME}] LanceDB backend recovered, syncing unvectorized data...`);
+            console.log(`[${MODULE_NAME}] ${getBackendDisplayName()} backend recovered, syncing unvectorized data...`);
             try {
+                // Queued deletes/purges first, so nothing removed during the outage is synced back
+                await replayBackendOutbox();
+                await resumePendingSyncs();
                 await syncUnvectorizedToBackend();
             } catch (syncError) {
                 console.warn(`[${MODULE_NAME}] Failed to sync after recovery:`, syncError.message);
             }
         } else if (backendHealthy) {
-            console.log(`[${MODULE_NAME}] LanceDB backend initialized and healthy`);
+            console.log(`[${MODULE_NAME}] ${getBackendDisplayName()} backend initialized and healthy`);
+            // Retry operations a previous replay stopped at, or that failed while the backend looked healthy
+            if (backendOutbox.size(backend.getName()) > 0) {
+                await replayBackendOutbox();
+            }
         }
 
         // Update UI if DOM is ready
@@ -604,6 +1569,29 @@ function startBackendReconnection() {
     }, BACKEND_RECONNECT_INTERVAL);
 }
 
+/**
+ * Switch to fallback mode after a backend outage (timeout / server error) during retrieval.
+ * The periodic health check restores the backend once it answers again.
+ * @param {Error} error - Backend error
+ */
+function markBackendUnavailable(error) {
+    if (!backendHealthy) return;
+
+    backendHealthy = false;
+    console.warn(`[${MODULE_NAME}] ${getBackendDisplayName()} unavailable (${error.message}). Using fallback mode until it recovers.`);
+    updateBackendStatusUI();
+}
+
+/**
+ * Cancel the in-flight RAG retrieval (generation stopped or chat changed)
+ */
+function cancelRetrieval() {
+    if (retrievalController) {
+        retrievalController.abort();
+        retrievalController = null;
+    }
+}
+
 /**
  * Cleanup registered event handlers
  */
@@ -638,6 +1626,10 @@ function cleanupResources() {
 
     // Clear event handlers
     cleanupEventHandlers();
+    window.removeEventListener('beforeunload', flushPendingWritesInBackground);
+
+    // Write out buffered memory changes
+    flushPendingWritesInBackground();
 
     console.log(`[${MODULE_NAME}] Resources cleaned up`);
 }
@@ -649,12 +1641,16 @@ function updateBackendStatusUI() {
     const statusEl = $('#um-backend-status');
     if (!statusEl.length) return;
 
+    const backendName = getBackendDisplayName();
+    $('#um-status-backend').text(backendName);
+
     if (backendHealthy) {
-        statusEl.html('<i class="fa-solid fa-circle" style="color: var(--active, #4caf50);"></i> <span>LanceDB Connected</span>');
+        statusEl.html(`<i class="fa-solid fa-circle" style="color: var(--active, #4caf50);"></i> <span>${backendName} Connected</span>`);
         statusEl.attr('title', 'Vector search enabled');
     } else {
         statusEl.html('<i class="fa-solid fa-circle" style="color: var(--warning, #ff9800);"></i> <span>Fallback Mode</span>');
-        statusEl.attr('title', 'LanceDB unavailable. Using recent memories only (no semantic search). Install uwu-memory plugin for full functionality.');
+        const fallbackText = settings?.hybridSearch ? 'Using keyword search and recent memories' : 'Using recent memories only';
+        statusEl.attr('title', `${backendName} unavailable. ${fallbackText} (no semantic search). Install uwu-memory plugin or choose another backend for full functionality.`);
     }
 }
 
@@ -665,7 +1661,7 @@ function updateBackendStatusUI() {
  * @returns {Array} Recent memories sorted by turnIndex descending
  */
 function getRecentMemoriesFromPersistent(collectionId, limit) {
-    const data = settings.memoryData?.[collectionId] || {};
+    const data = getCollectionMetadata(collectionId);
     const memories = [];
 
     for (const [hash, metadata] of Object.entries(data)) {
@@ -690,34 +1686,135 @@ function getRecentMemoriesFromPersistent(collectionId, limit) {
 }
 
 /**
- * Get collection ID for current chat (includes characterId for proper binding)
+ * Get the stable collection key of a character avatar
+ * @param {string} avatar - Avatar file name (unique per character)
+ * @returns {string} 'a{avatarHash}'
+ */
+function getAvatarKey(avatar) {
+    return `a${getIdHash(avatar)}`;
+}
+
+/**
+ * Get the avatar key written before SHA-256 IDs (32-bit calculateHash)
+ * @param {string} avatar - Avatar file name
+ * @returns {string} 'a{legacyHash}'
+ */
+function getLegacyAvatarKey(avatar) {
+    return `a${calculateHash(avatar)}`;
+}
+
+/**
+ * Get the collection key of a character.
+ * Keyed by avatar file name: characterId is an array index that shifts when characters are deleted or imported.
+ * @param {number|string|undefined} characterId - Character index in context.characters
+ * @returns {string} 'a{avatarHash}', 'group' for group chats, or legacy 'c{characterId}' if the character is not loaded
+ */
+function getCharacterKey(characterId) {
+    if (characterId === undefined || characterId === null) return 'group';
+
+    const avatar = getContext().characters?.[characterId]?.avatar;
+    return avatar ? getAvatarKey(avatar) : `c${characterId}`;
+}
+
+/**
+ * Parse a collection ID
+ * Formats: ctx_sum_a{avatarHash}_{chatHash}, ctx_sum_group_{chatHash}, legacy ctx_sum_c{characterId}_{chatHash}.
+ * Hashes are ID_HASH_LENGTH chars of SHA-256, or 8 chars of the legacy calculateHash (hashVersion 1).
+ * @param {string} collectionId - Collection ID
+ * @returns {{type: 'character'|'group'|'legacy', characterKey: string, legacyCharacterId: number|null, chatHash: string, hashVersion: number}|null}
+ */
+function parseCollectionId(collectionId) {
+    const match = collectionId?.match(/^ctx_sum_(a[0-9a-f]+|c(\d+)|group)_(.+)$/);
+    if (!match) return null;
+
+    const characterKey = match[1];
+    let type = 'character';
+    if (characterKey === 'group') type = 'group';
+    else if (match[2] !== undefined) type = 'legacy';
+
+    return {
+        type,
+        characterKey,
+        legacyCharacterId: type === 'legacy' ? parseInt(match[2]) : null,
+        chatHash: match[3],
+        hashVersion: match[3].length === ID_HASH_LENGTH ? 2 : 1,
+    };
+}
+
+/**
+ * Check whether a collection ID is in the current format (avatar key, SHA-256 hashes)
+ * @param {string} collectionId - Collection ID
+ * @returns {boolean}
+ */
+function isCurrentCollectionId(collectionId) {
+    const parsed = parseCollectionId(collectionId);
+    return Boolean(parsed) && parsed.type !== 'legacy' && parsed.hashVersion === 2;
+}
+
+/**
+ * Get collection ID for current chat (bound to the character's avatar)
  * @returns {string|null}
  */
 function getCollectionId() {
     const context = getContext();
     const chatId = context.getCurrentChatId();
-    const characterId = context.characterId;
 
     if (!chatId) {
         return null;
     }
 
-    // Include characterId for character-specific binding
-    // For group chats, characterId may be undefined, so use 'group' prefix
-    const charPrefix = characterId !== undefined ? `c${characterId}` : 'group';
-    return `${COLLECTION_PREFIX}${charPrefix}_${calculateHash(chatId)}`;
+    return calculateSourceCollectionId(chatId, context.characterId);
 }
 
 /**
  * Calculate collection ID for a specific chat ID and character ID
  * Used for branch/rename detection to find source collection
  * @param {string} chatId - Chat ID (file name)
- * @param {number|undefined} characterId - Character ID
+ * @param {number|undefined} characterId - Character ID (undefined for group chats)
  * @returns {string} Collection ID
  */
 function calculateSourceCollectionId(chatId, characterId) {
-    const charPrefix = characterId !== undefined ? `c${characterId}` : 'group';
-    return `${COLLECTION_PREFIX}${charPrefix}_${calculateHash(chatId)}`;
+    return `${COLLECTION_PREFIX}${getCharacterKey(characterId)}_${getIdHash(chatId)}`;
+}
+
+/**
+ * Collection ID older versions used for a chat (32-bit hashes).
+ * Still read: the chat's memories are moved to the current ID when it is opened.
+ * Index-based IDs (ctx_sum_c{characterId}_*) are not included - the index may belong to another
+ * character, so those are only moved by the verified migration (migrateCollectionKeys).
+ * @param {string} chatId - Chat ID (file name)
+ * @param {number|undefined} characterId - Character ID (undefined for group chats)
+ * @returns {string|null} Legacy collection ID
+ */
+function getLegacyCollectionId(chatId, characterId) {
+    const chatHash = calculateHash(chatId);
+    if (characterId === undefined || characterId === null) {
+        return `${COLLECTION_PREFIX}group_${chatHash}`;
+    }
+
+    const avatar = getContext().characters?.[characterId]?.avatar;
+    return avatar ? `${COLLECTION_PREFIX}${getLegacyAvatarKey(avatar)}_${chatHash}` : null;
+}
+
+/**
+ * Move the open chat's memories from its legacy collection ID to the current one
+ * @param {object} context - SillyTavern context
+ * @param {string} collectionId - Current chat's collection ID
+ * @returns {Promise<number>} Number of memories moved
+ */
+async function adoptLegacyCollection(context, collectionId) {
+    const legacyId = getLegacyCollectionId(context.getCurrentChatId(), context.characterId);
+    if (!legacyId || legacyId === collectionId || !memoryStorage.hasCollection(legacyId)) return 0;
+
+    const character = context.characters?.[context.characterId];
+    const result = await rekeyCollection(legacyId, collectionId, character ? {
+        characterId: context.characterId,
+        characterName: character.name,
+        characterAvatar: character.avatar,
+    } : {});
+
+    console.log(`[${MODULE_NAME}] Moved ${result.memories} memories from legacy collection ${legacyId} to ${collectionId}`);
+    return result.memories;
 }
 
 /**
@@ -727,14 +1824,10 @@ function calculateSourceCollectionId(chatId, characterId) {
  * @returns {boolean} True if same character/group
  */
 function isSameCharacter(collectionId1, collectionId2) {
-    if (!collectionId1 || !collectionId2) return false;
+    const parsed1 = parseCollectionId(collectionId1);
+    const parsed2 = parseCollectionId(collectionId2);
 
-    // Extract character prefix (c{id} or group) from collection IDs
-    // Format: ctx_sum_c{characterId}_{chatHash} or ctx_sum_group_{chatHash}
-    const match1 = collectionId1.match(/^ctx_sum_(c\d+|group)_/);
-    const match2 = collectionId2.match(/^ctx_sum_(c\d+|group)_/);
-
-    return match1 && match2 && match1[1] === match2[1];
+    return Boolean(parsed1 && parsed2) && parsed1.characterKey === parsed2.characterKey;
 }
 
 /**
@@ -746,11 +1839,7 @@ function isSameCharacter(collectionId1, collectionId2) {
  */
 function copyPersistentMetadata(sourceCollectionId, targetCollectionId, filterFn = null) {
     const sourceData = getCollectionMetadata(sourceCollectionId);
-    let copied = 0;
-
-    // Ensure target collection exists
-    if (!settings.memoryData) settings.memoryData = {};
-    if (!settings.memoryData[targetCollectionId]) settings.memoryData[targetCollectionId] = {};
+    const copies = {};
 
     for (const [hash, metadata] of Object.entries(sourceData)) {
         // Skip collection info metadata
@@ -759,29 +1848,95 @@ function copyPersistentMetadata(sourceCollectionId, targetCollectionId, filterFn
         // Apply filter if provided
         if (filterFn && !filterFn(metadata)) continue;
 
-        // Batch write: assign directly without calling saveSettings each time
-        settings.memoryData[targetCollectionId][hash] = { ...metadata };
-        copied++;
+        copies[hash] = { ...metadata };
     }
 
-    // Save once after all copies
-    if (copied > 0) saveSettings();
+    // Write all copies at once
+    saveMetadataPersistentMany(targetCollectionId, copies);
 
-    return copied;
+    return Object.keys(copies).length;
 }
 
 /**
- * Copy vectors from one LanceDB collection to another
- * Uses the new /copy API endpoint with vector preservation
+ * Build a backend item from persistent metadata (metadata is embedded in the text field as JSON)
+ * @param {string} hash - Memory hash
+ * @param {object} metadata - Memory metadata
+ * @returns {{hash: string, text: string, index: number}}
+ */
+function buildBackendItem(hash, metadata) {
+    return {
+        hash,
+        text: JSON.stringify(metadata),
+        index: metadata.turnIndex || 0,
+        metadata: getFilterMetadata(metadata),
+    };
+}
+
+/**
+ * Extract the fields query filters work on (sent to backends as item metadata)
+ * @param {object} metadata - Memory metadata
+ * @returns {{turnIndex: number, speaker: string|null, tags: string[], createdAt: number|null, characters: string[]}}
+ *          (and the other FILTERABLE_ENTITY_FIELDS)
+ */
+function getFilterMetadata(metadata) {
+    const entities = normalizeEntities(metadata);
+    return {
+        turnIndex: metadata.turnIndex || 0,
+        speaker: metadata.speaker || null,
+        tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+        createdAt: metadata.createdAt || null,
+        ...Object.fromEntries(FILTERABLE_ENTITY_FIELDS.map(field => [field, entities[field]])),
+    };
+}
+
+/**
+ * Copy vectors by re-inserting summaries from persistent storage.
+ * Used for backends without a server-side copy operation.
  * @param {string} sourceCollectionId - Source collection ID
  * @param {string} targetCollectionId - Target collection ID
  * @param {string[]|null} hashes - Specific hashes to copy, or null for all
  * @returns {Promise<{success: boolean, copied: number, error?: string}>}
  */
-async function copyLanceDBCollection(sourceCollectionId, targetCollectionId, hashes = null) {
+async function copyByReinsert(sourceCollectionId, targetCollectionId, hashes = null) {
+    const sourceData = getCollectionMetadata(sourceCollectionId);
+    const hashList = hashes || Object.keys(sourceData).filter(k => k !== '__collection_info__');
+
+    try {
+        const { synced, failed } = await bulkInsertToBackend(targetCollectionId, hashList, sourceCollectionId);
+        return { success: failed === 0, copied: synced };
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Re-insert copy failed:`, error);
+        return { success: false, copied: 0, error: error.message };
+    }
+}
+
+/**
+ * Copy vectors from one LanceDB collection to another
+ * Uses the new /copy API endpoint with vector preservation
+ * (other backends re-embed from persistent storage instead)
+ * @param {string} sourceCollectionId - Source collection ID
+ * @param {string} targetCollectionId - Target collection ID
+ * @param {string[]|null} hashes - Specific hashes to copy, or null for all
+ * @param {object} options - Options
+ * @param {boolean} options.queueOnFailure - Queue the copy for replay when it cannot run (off while replaying)
+ * @returns {Promise<{success: boolean, copied: number, queued?: boolean, error?: string}>}
+ */
+async function copyLanceDBCollection(sourceCollectionId, targetCollectionId, hashes = null, { queueOnFailure = true } = {}) {
+    const fail = (error) => {
+        if (!queueOnFailure) return { success: false, copied: 0, error };
+        queueBackendCopy(sourceCollectionId, targetCollectionId, hashes);
+        return { success: false, copied: 0, queued: true, error };
+    };
+
     if (!backendHealthy || !backend) {
-        console.log(`[${MODULE_NAME}] Backend unavailable, skipping LanceDB copy`);
-        return { success: false, copied: 0, error: 'Backend unavailable' };
+        console.log(`[${MODULE_NAME}] Backend unavailable, queueing copy ${sourceCollectionId} -> ${targetCollectionId}`);
+        return fail('Backend unavailable');
+    }
+
+    // Only the LanceDB plugin has a server-side copy
+    if (backend.getName() !== 'lancedb') {
+        const result = await copyByReinsert(sourceCollectionId, targetCollectionId, hashes);
+        return result.success ? result : { ...fail(result.error), copied: result.copied };
     }
 
     try {
@@ -789,36 +1944,153 @@ async function copyLanceDBCollection(sourceCollectionId, targetCollectionId, has
         const context = getContext();
         const baseHeaders = context.getRequestHeaders ? context.getRequestHeaders() : {};
 
-        const response = await fetch('/api/plugins/uwu-memory/copy', {
-            method: 'POST',
-            headers: {
-                ...baseHeaders,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                sourceCollectionId,
-                targetCollectionId,
-                hashes,
-            }),
-        });
+        const copyChunk = async (chunkHashes) => {
+            const response = await fetch('/api/plugins/uwu-memory/copy', {
+                method: 'POST',
+                headers: {
+                    ...baseHeaders,
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    sourceCollectionId,
+                    targetCollectionId,
+                    hashes: chunkHashes,
+                }),
+            });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Copy API failed: ${response.status} - ${errorText}`);
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Copy API failed: ${response.status} - ${errorText}`);
+            }
+
+            const result = await response.json();
+            return result.copied || 0;
+        };
+
+        // Whole-collection copy is already a single server-side operation
+        if (!hashes) {
+            return { success: true, copied: await copyChunk(null) };
         }
 
-        const result = await response.json();
-        return { success: true, copied: result.copied || 0 };
+        // Large branch copies are split into chunks like bulk sync
+        const chunks = chunkArray(hashes, settings.syncChunkSize || defaultSettings.syncChunkSize);
+        const copiedCounts = await mapWithConcurrency(
+            chunks,
+            settings.syncConcurrency || defaultSettings.syncConcurrency,
+            copyChunk,
+        );
+        return { success: true, copied: copiedCounts.reduce((sum, n) => sum + n, 0) };
     } catch (error) {
         console.error(`[${MODULE_NAME}] LanceDB copy failed:`, error);
-        return { success: false, copied: 0, error: error.message };
+        return fail(error.message);
+    }
+}
+
+/**
+ * Queue a vector copy that could not run.
+ * Backends without a server-side copy re-embed the target's memories instead.
+ * @param {string} sourceCollectionId - Source collection ID
+ * @param {string} targetCollectionId - Target collection ID
+ * @param {string[]|null} hashes - Hashes to copy, or null for all
+ */
+function queueBackendCopy(sourceCollectionId, targetCollectionId, hashes) {
+    const hashList = hashes || Object.keys(getCollectionMetadata(sourceCollectionId)).filter(k => k !== '__collection_info__');
+    if (hashList.length === 0) return;
+
+    if (backend?.getName() === 'lancedb') {
+        queueBackendOperation({ type: OUTBOX_OP.COPY, sourceId: sourceCollectionId, collectionId: targetCollectionId, hashes: hashList });
+    } else {
+        queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId: targetCollectionId, hashes: hashList });
+    }
+}
+
+/**
+ * Record backend work that could not run; it is replayed in order once the backend is healthy
+ * @param {{type: string, collectionId: string, hashes?: string[], sourceId?: string}} operation - OUTBOX_OP operation
+ */
+function queueBackendOperation(operation) {
+    if (!backend) return;
+    backendOutbox.enqueue({ ...operation, backend: backend.getName() });
+}
+
+/**
+ * Run one queued backend operation against the current state of persistent storage
+ * (memories deleted since an insert was queued are skipped, re-created ones survive a queued delete)
+ * @param {object} entry - Outbox entry
+ */
+async function executeOutboxOperation(entry) {
+    const localData = getCollectionMetadata(entry.collectionId);
+
+    switch (entry.type) {
+        case OUTBOX_OP.INSERT: {
+            // Memories of chat-file collections that are not open are embedded when the chat is opened
+            const items = entry.hashes
+                .filter(hash => localData[hash]?.summary)
+                .map(hash => buildBackendItem(hash, localData[hash]));
+            if (items.length > 0) {
+                await backend.update(entry.collectionId, items);
+                await recordEmbeddingModel(entry.collectionId, { written: items.map(item => item.hash) });
+            }
+            break;
+        }
+        case OUTBOX_OP.DELETE: {
+            const hashes = entry.hashes.filter(hash => localData[hash] === undefined);
+            if (hashes.length > 0) {
+                await backend.delete(entry.collectionId, hashes);
+            }
+            break;
+        }
+        case OUTBOX_OP.PURGE: {
+            if (!hasCollectionMetadata(entry.collectionId)) {
+                await backend.purge(entry.collectionId);
+                break;
+            }
+            // The collection was created again since - only drop vectors it no longer has
+            const stale = (await backend.list(entry.collectionId)).filter(hash => hash && localData[hash] === undefined);
+            if (stale.length > 0) {
+                await backend.delete(entry.collectionId, stale);
+            }
+            break;
+        }
+        case OUTBOX_OP.COPY: {
+            const result = backend.getName() === 'lancedb'
+                ? await copyLanceDBCollection(entry.sourceId, entry.collectionId, entry.hashes, { queueOnFailure: false })
+                : { success: false };
+            if (!result.success) {
+                // Source vectors are gone (or no server-side copy) - embed the target's memories instead
+                const { failed } = await bulkInsertToBackend(entry.collectionId, entry.hashes);
+                if (failed > 0) throw new Error(`Failed to insert ${failed} memories into ${entry.collectionId}`);
+            }
+            break;
+        }
+        default:
+            console.warn(`[${MODULE_NAME}] Unknown outbox operation "${entry.type}" dropped`);
+    }
+}
+
+/**
+ * Replay backend operations queued during an outage, oldest first
+ * @returns {Promise<{replayed: number, remaining: number, error?: string}>}
+ */
+async function replayBackendOutbox() {
+    if (!backend || !backendHealthy || outboxReplayRunning) return { replayed: 0, remaining: backendOutbox.size(backend?.getName()) };
+
+    outboxReplayRunning = true;
+    try {
+        const result = await backendOutbox.replay(backend.getName(), executeOutboxOperation);
+        if (result.replayed > 0 || result.error) {
+            console.log(`[${MODULE_NAME}] Replayed ${result.replayed} queued backend operations (${result.remaining} remaining${result.error ? `, stopped: ${result.error}` : ''})`);
+        }
+        return result;
+    } finally {
+        outboxReplayRunning = false;
     }
 }
 
 /**
- * Get string hash with caching
+ * Get SHA-256 string hash with caching
  * @param {string} str - String to hash
- * @returns {string}
+ * @returns {string} 64 hex characters
  */
 function getStringHash(str) {
     const cached = hashCache.get(str);
@@ -826,11 +2098,20 @@ function getStringHash(str) {
         return cached;
     }
 
-    const hash = calculateHash(str);
+    const hash = sha256Hex(str);
     hashCache.set(str, hash);
     return hash;
 }
 
+/**
+ * Get the hash used inside collection and message IDs
+ * @param {string} str - String to hash
+ * @returns {string} First ID_HASH_LENGTH hex chars of SHA-256
+ */
+function getIdHash(str) {
+    return getStringHash(str).substring(0, ID_HASH_LENGTH);
+}
+
 /**
  * Extract send_date part from a message
  * @param {object} message - Message object
@@ -850,12 +2131,14 @@ function extractSendDate(message) {
  * Check if ALL memory keys' send_dates exist in the given chat messages.
  * Used to detect chat renames (same chat, different name → same messages).
  * Returns true only if EVERY memory has a matching send_date in the chat.
+ * Chapter and arc keys carry no send_date and are ignored.
  * @param {string[]} memoryKeys - Memory hash keys (format: mem_{send_date}_{contentHash})
  * @param {object[]} chat - Chat message array
  * @returns {boolean} True if all memories match
  */
 function isContentMatch(memoryKeys, chat) {
-    if (!memoryKeys || memoryKeys.length === 0 || !chat || chat.length === 0) return false;
+    memoryKeys = (memoryKeys || []).filter(hash => !isRollupKey(hash));
+    if (memoryKeys.length === 0 || !chat || chat.length === 0) return false;
 
     const currentSendDates = new Set();
     for (const msg of chat) {
@@ -892,13 +2175,48 @@ function normalizeMessageId(message, _chatIndex = null) {
     // This prevents collisions when multiple messages have the same send_date
     // and remains stable even if message order changes (deletion/insertion)
     if (message.mes) {
-        const contentHash = getStringHash(message.mes).substring(0, 8); // Short hash for readability
-        return `${baseId}_${contentHash}`;
+        return `${baseId}_${getIdHash(message.mes)}`;
     }
 
     return baseId;
 }
 
+/**
+ * Get every ID a message's memory may be stored under: the current one and the
+ * legacy 32-bit content hash ID written by older versions (still read, never written).
+ * migrateMessageKeys moves resolvable memories to the current ID; the legacy ID is only
+ * left on memories it could not resolve and those in chat metadata (chat storage mode)
+ * @param {object} message - Message object
+ * @returns {string[]} Message IDs, current first
+ */
+function getMessageIdCandidates(message) {
+    const msgId = normalizeMessageId(message);
+    if (!message.mes) return [msgId];
+
+    const legacyId = `${extractSendDate(message) || msgId}_${calculateHash(message.mes)}`;
+    return legacyId === msgId ? [msgId] : [msgId, legacyId];
+}
+
+/**
+ * Check whether a message matches a stored message ID (current or legacy format)
+ * @param {object} message - Message object
+ * @param {string} msgId - Stored message ID (memory hash without 'mem_')
+ * @returns {boolean}
+ */
+function matchesMessageId(message, msgId) {
+    return getMessageIdCandidates(message).includes(msgId);
+}
+
+/**
+ * Check whether a stored content hash belongs to the given text (SHA-256 or legacy hash)
+ * @param {string} contentHash - Stored content hash
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+function matchesContentHash(contentHash, text) {
+    return contentHash === getStringHash(text) || contentHash === calculateHash(text);
+}
+
 /**
  * Find existing memory hash by send_date (for handling message edits)
  * When a message is edited, the content hash changes but send_date remains the same
@@ -937,11 +2255,22 @@ function buildContext(chat, targetIndex) {
         return '';
     }
 
-    const context = getContext();
     const startIndex = Math.max(0, targetIndex - settings.contextWindowForSummary);
+    return formatChatMessages(chat, startIndex, targetIndex);
+}
+
+/**
+ * Format a range of messages with the context labels (settings.contextFormat)
+ * @param {Array} chat - Chat array
+ * @param {number} startIndex - First message index
+ * @param {number} endIndex - Index after the last message
+ * @returns {string}
+ */
+function formatChatMessages(chat, startIndex, endIndex) {
+    const context = getContext();
     const contextMessages = [];
 
-    for (let i = startIndex; i < targetIndex; i++) {
+    for (let i = startIndex; i < endIndex; i++) {
         const msg = chat[i];
         if (msg.is_system) continue;
 
@@ -956,27 +2285,95 @@ function buildContext(chat, targetIndex) {
 
 /**
  * Format summary prompt
- * @param {object} message - Target message
+ * @param {string} targetText - Text to summarize (a message, or a labelled exchange)
  * @param {string} contextText - Context string
  * @param {number} turnIndex - Turn index
  * @returns {string}
  */
-function formatSummaryPrompt(message, contextText, turnIndex) {
+function formatSummaryPrompt(targetText, contextText, turnIndex) {
     const context = getContext();
 
     let prompt = settings.summaryPrompt;
     prompt = prompt.replace('{{context}}', contextText);
-    prompt = prompt.replace('{{targetMessage}}', message.mes);
+    prompt = prompt.replace('{{targetMessage}}', targetText);
     prompt = prompt.replace('{{targetTurn}}', String(turnIndex));
     prompt = prompt.replace(/\{\{user\}\}/g, context.name1);
     prompt = prompt.replace(/\{\{char\}\}/g, context.name2);
 
-    // Handle {{#if context}} blocks
+    return applyContextBlocks(prompt, contextText).trim();
+}
+
+/**
+ * Keep or drop {{#if context}}...{{/if}} blocks
+ * @param {string} prompt - Prompt
+ * @param {string} contextText - Context string (blocks are dropped when empty)
+ * @returns {string}
+ */
+function applyContextBlocks(prompt, contextText) {
     if (contextText) {
-        prompt = prompt.replace(/\{\{#if context\}\}([\s\S]*?)\{\{\/if\}\}/g, '$1');
-    } else {
-        prompt = prompt.replace(/\{\{#if context\}\}[\s\S]*?\{\{\/if\}\}/g, '');
+        return prompt.replace(/\{\{#if context\}\}([\s\S]*?)\{\{\/if\}\}/g, '$1');
+    }
+    return prompt.replace(/\{\{#if context\}\}[\s\S]*?\{\{\/if\}\}/g, '');
+}
+
+/**
+ * Format the batched summary prompt. The messages from the first target to the last are sent in order:
+ * targets wrapped in <target turn="N"> tags, the messages between them as reference.
+ * @param {Array} chat - Chat array
+ * @param {Array<{index: number, turnNumber: number}>} items - Targets sorted by chat index
+ * @returns {string}
+ */
+function formatBatchPrompt(chat, items) {
+    const context = getContext();
+    const isExchange = getSummaryUnit() === SUMMARY_UNIT.EXCHANGE;
+    const targetStart = item => (isExchange && !chat[item.index].is_user ? getExchangeStart(chat, item.index) : item.index);
+
+    const blocks = [];
+    let i = targetStart(items[0]);
+    for (const item of items) {
+        const start = targetStart(item);
+        if (start > i) blocks.push(formatChatMessages(chat, i, start));
+        blocks.push(`<target turn="${item.turnNumber}">\n${getUnitText(chat, item.index)}\n</target>`);
+        i = item.index + 1;
     }
+    const targets = blocks.filter(Boolean).join(settings.contextFormat.messageSeparator);
+    const contextText = buildContext(chat, targetStart(items[0]));
+
+    let prompt = settings.batchSummaryPrompt || defaultSettings.batchSummaryPrompt;
+    // Replacer functions: message text may contain $ patterns
+    prompt = prompt.replace('{{context}}', () => contextText);
+    prompt = prompt.replace('{{targets}}', () => targets);
+    prompt = prompt.replace(/\{\{user\}\}/g, context.name1);
+    prompt = prompt.replace(/\{\{char\}\}/g, context.name2);
+
+    return applyContextBlocks(prompt, contextText).trim();
+}
+
+/**
+ * Format the chapter/arc prompt
+ * @param {number} level - MEMORY_LEVEL of the rollup to write
+ * @param {Array<object>} sources - Records of the tier below, chronological
+ * @returns {string}
+ */
+function formatRollupPrompt(level, sources) {
+    const context = getContext();
+    const first = getTurnRange(sources[0]);
+    const last = getTurnRange(sources[sources.length - 1]);
+
+    const summaries = sources.map(source => {
+        const { turnStart, turnEnd } = getTurnRange(source);
+        const turns = turnStart === turnEnd ? `Turn ${turnStart}` : `Turns ${turnStart}-${turnEnd}`;
+        return `[${turns}] ${source.summary}`;
+    }).join('\n');
+
+    let prompt = settings.chapterPrompt || defaultSettings.chapterPrompt;
+    // Replacer function: summaries may contain $ patterns
+    prompt = prompt.replace('{{summaries}}', () => summaries);
+    prompt = prompt.replace(/\{\{turnStart\}\}/g, String(first.turnStart));
+    prompt = prompt.replace(/\{\{turnEnd\}\}/g, String(last.turnEnd));
+    prompt = prompt.replace(/\{\{level\}\}/g, getLevelLabel(level).toLowerCase());
+    prompt = prompt.replace(/\{\{user\}\}/g, context.name1);
+    prompt = prompt.replace(/\{\{char\}\}/g, context.name2);
 
     return prompt.trim();
 }
@@ -1064,18 +2461,317 @@ function getConnectionProfile() {
 }
 
 /**
- * Generate summary for a message
+ * Generate summary for a message. With summary validation on, rejected summaries are retried
+ * (settings.summaryValidation.maxRetries) and recorded for review.
  * @param {object} message - Message to summarize
  * @param {Array} chat - Full chat array
  * @param {number} index - Message index in chat
- * @returns {Promise<string>}
+ * @returns {Promise<string>} Summary ('' if every attempt was rejected)
  */
 async function generateSummary(message, chat, index) {
-    const context = getContext();
-    const contextText = buildContext(chat, index);
-    // Use consistent turn number (character-only count)
+    // An exchange's user messages are part of the target, so the context window ends before them
+    const isExchange = getSummaryUnit() === SUMMARY_UNIT.EXCHANGE && !message.is_user;
+    const contextText = buildContext(chat, isExchange ? getExchangeStart(chat, index) : index);
+    // Use consistent turn number (counted in the summary unit)
     const turnNumber = calculateTurnNumber(chat, index);
-    const prompt = formatSummaryPrompt(message, contextText, turnNumber);
+    const targetText = getUnitText(chat, index);
+    const prompt = formatSummaryPrompt(targetText, contextText, turnNumber);
+
+    return await requestValidatedSummary(prompt, targetText, turnNumber);
+}
+
+/**
+ * Request a summary; with summary validation on, clean and check it, retrying rejected ones
+ * (settings.summaryValidation.maxRetries) and recording them for review
+ * @param {string} prompt - Summary prompt
+ * @param {string} targetText - Summarized text (language check)
+ * @param {number} turnNumber - Summarized turn (last covered turn for chapters and arcs)
+ * @param {number} level - MEMORY_LEVEL of the summary
+ * @returns {Promise<string>} Summary ('' if every attempt was rejected)
+ */
+async function requestValidatedSummary(prompt, targetText, turnNumber, level = MEMORY_LEVEL.MEMORY) {
+    const validation = settings.summaryValidation;
+    if (!validation.enabled) {
+        return await requestSummary(prompt);
+    }
+
+    const label = `${getLevelLabel(level)} summary for turn ${turnNumber}`;
+    const attempts = 1 + Math.max(0, validation.maxRetries || 0);
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const result = checkSummary(await requestSummary(prompt), targetText, prompt);
+        if (result.valid) return result.summary;
+
+        recordSummaryReject(turnNumber, attempt, result, level);
+        console.warn(`[${MODULE_NAME}] ${label} rejected (attempt ${attempt}/${attempts}): ${result.reason}`);
+    }
+    return '';
+}
+
+/**
+ * Clean a generated summary and check it against settings.summaryValidation
+ * @param {string} text - Model response
+ * @param {string} targetText - Summarized text
+ * @param {string} prompt - Prompt that produced the response
+ * @returns {{valid: boolean, summary: string, reason: string|null}}
+ */
+function checkSummary(text, targetText, prompt) {
+    return validateSummary(text, { ...settings.summaryValidation, targetText, prompt });
+}
+
+/**
+ * Keep a rejected summary for review (uwuMemoryDebug.getSummaryRejects)
+ * @param {number} turnNumber - Summarized turn
+ * @param {number} attempt - Attempt number (0 = batched request)
+ * @param {{summary: string, reason: string}} result - Validation result
+ * @param {number} level - MEMORY_LEVEL of the summary
+ */
+function recordSummaryReject(turnNumber, attempt, result, level = MEMORY_LEVEL.MEMORY) {
+    const rejects = loadSummaryRejects();
+    rejects.push({
+        rejectedAt: Date.now(),
+        collectionId: getCollectionId(),
+        level: getLevelLabel(level),
+        turn: turnNumber,
+        attempt,
+        reason: result.reason,
+        summary: result.summary.substring(0, 1000),
+    });
+
+    try {
+        localStorage.setItem(SUMMARY_REJECTS_KEY, JSON.stringify(rejects.slice(-MAX_SUMMARY_REJECTS)));
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to save rejected summary:`, error.message);
+    }
+}
+
+/**
+ * Load rejected summaries (oldest first)
+ * @returns {Array<object>}
+ */
+function loadSummaryRejects() {
+    try {
+        return JSON.parse(localStorage.getItem(SUMMARY_REJECTS_KEY) || '[]') || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Load the backoff of memories whose summaries were rejected on every attempt
+ * @returns {object} collectionId -> hash -> {failures, retryAt}
+ */
+function loadSummaryBackoff() {
+    try {
+        return JSON.parse(localStorage.getItem(SUMMARY_BACKOFF_KEY) || '{}') || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save the summary backoff
+ * @param {object} backoff - collectionId -> hash -> {failures, retryAt}
+ */
+function saveSummaryBackoff(backoff) {
+    try {
+        localStorage.setItem(SUMMARY_BACKOFF_KEY, JSON.stringify(backoff));
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to save summary backoff:`, error.message);
+    }
+}
+
+/**
+ * Record a run where every summary attempt for a memory was rejected. Automatic runs skip it
+ * until the backoff (doubling from SUMMARY_BACKOFF_BASE_MS) has passed; an edit changes the
+ * message ID, and regenerating by hand ignores the backoff.
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory or rollup hash
+ */
+function recordSummaryFailure(collectionId, hash) {
+    const backoff = loadSummaryBackoff();
+    const collection = backoff[collectionId] || (backoff[collectionId] = {});
+    const failures = (collection[hash]?.failures || 0) + 1;
+    const delay = Math.min(SUMMARY_BACKOFF_MAX_MS, SUMMARY_BACKOFF_BASE_MS * 2 ** (failures - 1));
+    collection[hash] = { failures, retryAt: Date.now() + delay };
+    saveSummaryBackoff(backoff);
+
+    console.warn(`[${MODULE_NAME}] Every summary of ${hash} was rejected (${failures}x), next try in ${Math.round(delay / 60000)} min`);
+}
+
+/**
+ * Check whether automatic runs should skip a memory whose summaries keep being rejected
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory or rollup hash
+ * @returns {boolean}
+ */
+function isSummaryBackedOff(collectionId, hash) {
+    const entry = loadSummaryBackoff()[collectionId]?.[hash];
+    return Boolean(entry) && entry.retryAt > Date.now();
+}
+
+/**
+ * Forget the backoff of a memory once a summary for it was stored
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory or rollup hash
+ */
+function clearSummaryBackoff(collectionId, hash) {
+    const backoff = loadSummaryBackoff();
+    if (!backoff[collectionId]?.[hash]) return;
+
+    delete backoff[collectionId][hash];
+    if (Object.keys(backoff[collectionId]).length === 0) delete backoff[collectionId];
+    saveSummaryBackoff(backoff);
+}
+
+/**
+ * Summarize several messages. In batch mode (settings.batchSummarization) they are sent in one
+ * request; turns missing from the response or failing validation, or the whole batch if it cannot
+ * be parsed, fall back to one request per message.
+ * @param {Array<{message: object, index: number, turnNumber: number}>} items - Targets sorted by chat index
+ * @param {Array} chat - Full chat array
+ * @param {object} options - Options
+ * @param {Set<number>} options.rejected - Filled with the chat indexes of messages whose every summary was rejected
+ * @returns {Promise<Map<number, string>>} Chat index -> summary (messages that failed are missing)
+ */
+async function generateSummaries(items, chat, { rejected = new Set() } = {}) {
+    const summaries = new Map();
+    let pending = items;
+
+    if (settings.batchSummarization && items.length > 1) {
+        try {
+            const prompt = formatBatchPrompt(chat, items);
+            const response = await requestSummary(prompt, {
+                maxTokens: (settings.summaryMaxTokens || 150) * items.length,
+                trimToSentence: false, // Would cut the closing brace of the JSON
+            });
+            const byTurn = parseBatchSummaries(response, items.map(item => item.turnNumber));
+
+            for (const item of items) {
+                if (!byTurn.has(item.turnNumber)) continue;
+                if (!settings.summaryValidation.enabled) {
+                    summaries.set(item.index, byTurn.get(item.turnNumber));
+                    continue;
+                }
+
+                const result = checkSummary(byTurn.get(item.turnNumber), getUnitText(chat, item.index), prompt);
+                if (result.valid) {
+                    summaries.set(item.index, result.summary);
+                } else {
+                    recordSummaryReject(item.turnNumber, 0, result);
+                }
+            }
+            pending = items.filter(item => !summaries.has(item.index));
+            if (pending.length > 0) {
+                console.warn(`[${MODULE_NAME}] Batch response missed or had invalid turns ${pending.map(item => item.turnNumber).join(', ')}, summarizing them one by one`);
+            }
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Batch summary failed, summarizing ${items.length} messages one by one:`, error.message);
+        }
+    }
+
+    for (const item of pending) {
+        try {
+            const summary = await generateSummary(item.message, chat, item.index);
+            if (summary) {
+                summaries.set(item.index, summary);
+            } else {
+                rejected.add(item.index);
+            }
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Failed to summarize turn ${item.turnNumber}:`, error);
+        }
+    }
+
+    return summaries;
+}
+
+/**
+ * Extract structured fields (characters, locations, items, keywords, facts) of a new summary.
+ * Off (settings.structuredExtraction) or failed extractions yield empty fields, the memory is stored either way.
+ * @param {string} targetText - Summarized text
+ * @param {string} summary - Generated summary
+ * @returns {Promise<{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}>}
+ */
+async function extractMemoryFields(targetText, summary) {
+    if (!settings.structuredExtraction) {
+        return emptyEntities();
+    }
+
+    const context = getContext();
+    let prompt = settings.extractionPrompt || defaultSettings.extractionPrompt;
+    // Replacer functions: message text may contain $ patterns
+    prompt = prompt.replace('{{targetMessage}}', () => targetText);
+    prompt = prompt.replace('{{summary}}', () => summary);
+    prompt = prompt.replace(/\{\{user\}\}/g, context.name1);
+    prompt = prompt.replace(/\{\{char\}\}/g, context.name2);
+
+    try {
+        const response = await requestSummary(prompt.trim(), { trimToSentence: false });
+        return parseEntityExtraction(response);
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Field extraction failed, storing the memory without fields:`, error.message);
+        return emptyEntities();
+    }
+}
+
+/**
+ * Extract the structured fields of a batch of new summaries. In batch mode the whole batch is
+ * one request; turns the response misses (or every turn, if it fails) are extracted one by one.
+ * @param {Array<{index: number, turnNumber: number}>} items - Summarized targets
+ * @param {Array} chat - Chat messages
+ * @param {Map<number, string>} summaries - Summaries by chat index (targets without one are skipped)
+ * @returns {Promise<Map<number, object>>} Fields by chat index
+ */
+async function extractMemoryFieldsBatch(items, chat, summaries) {
+    const fields = new Map();
+    const targets = items.filter(item => summaries.has(item.index));
+    let pending = targets;
+
+    if (settings.structuredExtraction && settings.batchSummarization && targets.length > 1) {
+        try {
+            const context = getContext();
+            const blocks = targets.map(item => `<target turn="${item.turnNumber}">\n${getUnitText(chat, item.index)}\n<summary>${summaries.get(item.index)}</summary>\n</target>`);
+
+            let prompt = settings.batchExtractionPrompt || defaultSettings.batchExtractionPrompt;
+            // Replacer function: message text may contain $ patterns
+            prompt = prompt.replace('{{targets}}', () => blocks.join(settings.contextFormat.messageSeparator));
+            prompt = prompt.replace(/\{\{user\}\}/g, context.name1);
+            prompt = prompt.replace(/\{\{char\}\}/g, context.name2);
+
+            const response = await requestSummary(prompt.trim(), {
+                maxTokens: (settings.summaryMaxTokens || 150) * targets.length,
+                trimToSentence: false,
+            });
+            const byTurn = parseBatchEntityExtraction(response, targets.map(item => item.turnNumber));
+
+            for (const item of targets) {
+                if (byTurn.has(item.turnNumber)) fields.set(item.index, byTurn.get(item.turnNumber));
+            }
+            pending = targets.filter(item => !fields.has(item.index));
+            if (pending.length > 0) {
+                console.warn(`[${MODULE_NAME}] Batch extraction missed turns ${pending.map(item => item.turnNumber).join(', ')}, extracting them one by one`);
+            }
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Batch extraction failed, extracting ${targets.length} memories one by one:`, error.message);
+        }
+    }
+
+    for (const item of pending) {
+        fields.set(item.index, await extractMemoryFields(getUnitText(chat, item.index), summaries.get(item.index)));
+    }
+    return fields;
+}
+
+/**
+ * Send a summarization prompt to the connection profile (or the main API as fallback)
+ * @param {string} prompt - Prompt in ChatML format
+ * @param {object} options - Options
+ * @param {number} options.maxTokens - Response length (default: settings.summaryMaxTokens)
+ * @param {boolean} options.trimToSentence - Trim an unfinished last sentence (main API fallback only)
+ * @returns {Promise<string>} Trimmed response
+ */
+async function requestSummary(prompt, { maxTokens = settings.summaryMaxTokens || 150, trimToSentence = true } = {}) {
+    const context = getContext();
 
     try {
         let summary;
@@ -1088,7 +2784,7 @@ async function generateSummary(message, chat, index) {
             const response = await context.ConnectionManagerRequestService.sendRequest(
                 profile.id,
                 messages,
-                settings.summaryMaxTokens || 150
+                maxTokens
             );
 
             summary = response?.content || '';
@@ -1098,9 +2794,9 @@ async function generateSummary(message, chat, index) {
                 quietPrompt: prompt.replace(/<\|im_start\|>\w+\s*\n/g, '').replace(/<\|im_end\|>/g, ''),
                 quietToLoud: false,
                 skipWIAN: true,
-                responseLength: settings.summaryMaxTokens || 150,
+                responseLength: maxTokens,
                 removeReasoning: true,
-                trimToSentence: true,
+                trimToSentence,
             });
         }
 
@@ -1138,8 +2834,7 @@ function saveCollectionInfo(collectionId) {
     }
 
     // Check if collection info already exists
-    const existingData = settings.memoryData?.[collectionId];
-    const existingInfo = existingData?.['__collection_info__'];
+    const existingInfo = getCollectionMetadata(collectionId)['__collection_info__'];
 
     // If already exists, only update if chat name changed
     if (existingInfo) {
@@ -1159,6 +2854,7 @@ function saveCollectionInfo(collectionId) {
         chatName: chatName,
         characterName: context.name2 || '',
         characterId: context.characterId,
+        characterAvatar: context.characters?.[context.characterId]?.avatar || null,
         chatId: context.chatId,
         createdAt: Date.now(),
     });
@@ -1168,12 +2864,17 @@ function saveCollectionInfo(collectionId) {
  * Store memory in backend with metadata embedded in text field
  * @param {string} msgId - Message ID
  * @param {string} summary - Summary text
- * @param {string} contentHash - Hash of original message content
+ * @param {string} contentHash - Hash of the summarized text (message, or exchange - see getUnitText)
  * @param {number} turnIndex - Turn index (actual turn number, not array index)
  * @param {string} chatId - Chat ID
  * @param {string|number|undefined} characterId - Character ID (optional, uses current if not provided)
+ * @param {object} options - Extra fields and write options
+ * @param {string} options.speaker - Name of the summarized message's author (usable in query filters)
+ * @param {string[]} options.tags - Memory tags (usable in query filters)
+ * @param {object} options.entities - Structured fields (see extractMemoryFields; usable in query filters)
+ * @param {boolean} options.upsert - Replace an existing vector with the same hash (regenerate/edit)
  */
-async function storeMemory(msgId, summary, contentHash, turnIndex, chatId, characterId = undefined) {
+async function storeMemory(msgId, summary, contentHash, turnIndex, chatId, characterId = undefined, options = {}) {
     // Use provided characterId or fall back to current context
     const effectiveCharacterId = characterId !== undefined ? characterId : getContext().characterId;
 
@@ -1198,28 +2899,53 @@ async function storeMemory(msgId, summary, contentHash, turnIndex, chatId, chara
         chatId,
         characterId: effectiveCharacterId,
         summary,
+        speaker: options.speaker || null,
+        tags: options.tags || [],
+        ...normalizeEntities(options.entities),
+        level: MEMORY_LEVEL.MEMORY,
+        unit: getSummaryUnit(),
         createdAt: now,
         updatedAt: now,
+        schemaVersion: MEMORY_RECORD_VERSION,
     };
 
+    await writeMemory(collectionId, memoryHash, metadata, options.upsert);
+    clearSummaryBackoff(collectionId, memoryHash);
+
+    // Chapters covering this turn no longer match it (edit, regenerate, late summary)
+    await invalidateRollups(collectionId, metadata);
+}
+
+/**
+ * Save a memory record and insert its vector
+ * @param {string} collectionId - Collection ID
+ * @param {string} memoryHash - Memory hash
+ * @param {object} metadata - Complete memory record
+ * @param {boolean} upsert - Replace an existing vector with the same hash
+ */
+async function writeMemory(collectionId, memoryHash, metadata, upsert = false) {
     // CRITICAL: Save to persistent storage FIRST (survives page refresh)
     // This ensures data is saved even if backend insert fails
     saveMetadataPersistent(collectionId, memoryHash, metadata);
 
-    // Then try to insert into backend for vector search (if healthy)
+    // Then try to insert into backend for vector search (if healthy, otherwise queued for replay)
     if (backendHealthy && backend) {
-        const item = {
-            hash: memoryHash,
-            text: JSON.stringify(metadata),
-            index: turnIndex,
-        };
+        const item = buildBackendItem(memoryHash, metadata);
 
         try {
-            await backend.insert(collectionId, [item]);
+            if (upsert) {
+                await backend.update(collectionId, [item]);
+            } else {
+                await backend.insert(collectionId, [item]);
+            }
+            await recordEmbeddingModel(collectionId, { written: [memoryHash] });
         } catch (backendError) {
             console.warn(`[${MODULE_NAME}] Backend insert failed (data saved to persistent storage):`, backendError.message);
             // Don't throw - data is already saved to persistent storage
+            queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes: [memoryHash] });
         }
+    } else {
+        queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes: [memoryHash] });
     }
 
     // Only update in-memory cache and formatted memory if still on the same chat
@@ -1231,6 +2957,313 @@ async function storeMemory(msgId, summary, contentHash, turnIndex, chatId, chara
     }
 }
 
+/**
+ * Re-embed a memory after its summary changed, so the vector matches the displayed text
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory hash
+ * @param {object} metadata - Updated memory metadata (already saved to persistent storage)
+ */
+async function updateMemoryVector(collectionId, hash, metadata) {
+    if (!backendHealthy || !backend) {
+        queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes: [hash] });
+        return;
+    }
+
+    try {
+        await backend.update(collectionId, [buildBackendItem(hash, metadata)]);
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Backend update failed (summary saved to persistent storage):`, error.message);
+        queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes: [hash] });
+    }
+}
+
+/**
+ * Summarize messages of the open chat again and replace their memories in place
+ * (same msgId -> same hash, keeping their tags). In batch mode nearby messages share a request.
+ * @param {string} collectionId - Open chat's collection ID
+ * @param {Array<{hash: string, msgId: string}>} memories - Memories to regenerate
+ * @returns {Promise<{regenerated: string[], missing: string[], failed: string[]}>} Memory hashes;
+ *          missing: the message is no longer in the chat
+ */
+async function regenerateMemories(collectionId, memories) {
+    if (collectionId !== getCollectionId()) {
+        throw new Error('Can only regenerate for current chat. Please switch to this chat first.');
+    }
+
+    const context = getContext();
+    const chat = context.chat;
+    const result = { regenerated: [], missing: [], failed: [] };
+
+    const items = [];
+    for (const memory of memories) {
+        // Find original message (stored ID may use the legacy content hash)
+        const index = chat.findIndex(m => matchesMessageId(m, memory.msgId));
+        if (index < 0) {
+            result.missing.push(memory.hash);
+            continue;
+        }
+        items.push({ ...memory, message: chat[index], index, turnNumber: calculateTurnNumber(chat, index) });
+    }
+    items.sort((a, b) => a.index - b.index);
+
+    const maxGap = settings.batchSummarization ? BATCH_MAX_GAP : Infinity;
+    for (const batch of splitIntoBatches(items, settings.batchSize, maxGap)) {
+        const summaries = await generateSummaries(batch, chat);
+        const fields = await extractMemoryFieldsBatch(batch, chat, summaries);
+
+        for (const item of batch) {
+            const summary = summaries.get(item.index);
+            if (!summary) {
+                result.failed.push(item.hash);
+                continue;
+            }
+
+            const previousTags = getCollectionMetadata(collectionId)[item.hash]?.tags;
+            const unitText = getUnitText(chat, item.index);
+            await storeMemory(item.msgId, summary, getStringHash(unitText), item.turnNumber, context.chatId, context.characterId, {
+                speaker: item.message.name,
+                tags: previousTags,
+                entities: fields.get(item.index),
+                upsert: true,
+            });
+
+            if (item.hash !== `mem_${item.msgId}`) {
+                await removeMemory(collectionId, item.hash);
+            }
+            result.regenerated.push(item.hash);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Save a manually edited summary and replace its vector.
+ * Structured fields are extracted again (from the original message when it is in the open chat),
+ * or cleared when extraction is off, so stale fields do not reach {{facts}} or entity filters.
+ * Chapters and arcs keep the fields of the memories they cover.
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory hash
+ * @param {object} metadata - Stored record (updated in place)
+ * @param {string} summary - New summary
+ */
+async function saveEditedSummary(collectionId, hash, metadata, summary) {
+    let entities = null;
+    if (getMemoryLevel(metadata) === MEMORY_LEVEL.MEMORY) {
+        let targetText = summary;
+        if (collectionId === getCollectionId() && metadata.msgId) {
+            const chat = getContext().chat || [];
+            const index = chat.findIndex(m => matchesMessageId(m, metadata.msgId));
+            if (index >= 0) targetText = getUnitText(chat, index);
+        }
+        entities = await extractMemoryFields(targetText, summary);
+    }
+
+    Object.assign(metadata, entities, { summary, updatedAt: Date.now() });
+    saveMetadataPersistent(collectionId, hash, metadata);
+    // Also update in cache if present
+    if (memoryMetadataCache.has(hash)) {
+        memoryMetadataCache.set(hash, metadata);
+    }
+    await updateMemoryVector(collectionId, hash, metadata);
+    await invalidateRollups(collectionId, metadata);
+}
+
+/**
+ * Remove a memory from persistent storage, cache and backend
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Memory hash
+ */
+async function removeMemory(collectionId, hash) {
+    const metadata = getCollectionMetadata(collectionId)[hash];
+
+    // Delete from persistent storage first (primary source)
+    memoryMetadataCache.delete(hash);
+    deleteMetadataPersistent(collectionId, hash);
+    // Then try to delete from backend (if healthy, otherwise queued for replay)
+    if (backendHealthy && backend) {
+        try {
+            await backend.delete(collectionId, [hash]);
+        } catch (e) {
+            console.warn(`[${MODULE_NAME}] Backend delete failed (already deleted from persistent):`, e.message);
+            queueBackendOperation({ type: OUTBOX_OP.DELETE, collectionId, hashes: [hash] });
+        }
+    } else {
+        queueBackendOperation({ type: OUTBOX_OP.DELETE, collectionId, hashes: [hash] });
+    }
+
+    // Chapters/arcs summarizing it are rebuilt without it
+    if (metadata) {
+        await invalidateRollups(collectionId, metadata);
+    }
+}
+
+/**
+ * Remove the chapters and arcs covering a changed memory record (they are rebuilt by the next rollup).
+ * Only tiers above the record's own are affected; arcs go with their chapters through removeMemory.
+ * @param {string} collectionId - Collection ID
+ * @param {object} metadata - Changed or removed record
+ * @returns {Promise<number>} Number of rollups removed
+ */
+async function invalidateRollups(collectionId, metadata) {
+    const level = getMemoryLevel(metadata);
+    const { turnStart, turnEnd } = getTurnRange(metadata);
+
+    const stale = Object.entries(getCollectionMetadata(collectionId))
+        .filter(([hash, record]) => isRollupKey(hash) && record && getMemoryLevel(record) > level)
+        .filter(([, record]) => {
+            const range = getTurnRange(record);
+            return range.turnStart <= turnEnd && turnStart <= range.turnEnd;
+        })
+        .map(([hash]) => hash);
+
+    for (const hash of stale) {
+        await removeMemory(collectionId, hash);
+    }
+    return stale.length;
+}
+
+/**
+ * Summarize finished groups of memories into chapters, and of chapters into arcs
+ * (settings.chapterSize / settings.arcSize, 0 = tier off). Runs after summarization, under the
+ * collection's lock; a rollup that fails is retried on the next run.
+ * @param {string} chatId - Chat ID captured before any async work
+ * @param {number|string|undefined} characterId - Character ID captured before any async work
+ * @returns {Promise<number>} Number of rollups written
+ */
+async function rollUpMemories(chatId, characterId) {
+    const collectionId = calculateSourceCollectionId(chatId, characterId);
+    if (!collectionId || !(settings.chapterSize > 1)) return 0;
+
+    const tiers = [
+        { level: MEMORY_LEVEL.CHAPTER, size: settings.chapterSize },
+        { level: MEMORY_LEVEL.ARC, size: settings.arcSize },
+    ];
+    let written = 0;
+
+    for (const { level, size } of tiers) {
+        if (!(size > 1)) break;
+
+        const records = Object.entries(getCollectionMetadata(collectionId))
+            .filter(([hash, record]) => hash !== '__collection_info__' && record?.summary)
+            .map(([hash, record]) => ({ hash, record, ...getTurnRange(record) }));
+        const items = records.filter(r => getMemoryLevel(r.record) === level - 1);
+        const rollups = records.filter(r => getMemoryLevel(r.record) === level);
+
+        for (const { items: group, replaces } of planRollups(items, rollups, size)) {
+            const hash = getRollupHash(level, group[0].turnStart, group[group.length - 1].turnEnd);
+            if (isSummaryBackedOff(collectionId, hash)) continue;
+
+            try {
+                if (!await storeRollup(collectionId, level, group.map(item => item.record), chatId, characterId)) {
+                    recordSummaryFailure(collectionId, hash);
+                    continue;
+                }
+                written++;
+                // A short run was merged into the neighbouring rollup: the new groups replace it
+                for (const hash of replaces) {
+                    if (getCollectionMetadata(collectionId)[hash]) {
+                        await removeMemory(collectionId, hash);
+                    }
+                }
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Failed to write ${getLevelLabel(level).toLowerCase()} for turns ${group[0].turnStart}-${group[group.length - 1].turnEnd}:`, error);
+            }
+        }
+    }
+
+    if (written > 0) {
+        console.log(`[${MODULE_NAME}] Rolled up ${written} chapters/arcs in ${collectionId}`);
+    }
+    return written;
+}
+
+/**
+ * Summarize records of the tier below into one chapter or arc and store it
+ * @param {string} collectionId - Collection ID
+ * @param {number} level - MEMORY_LEVEL.CHAPTER or MEMORY_LEVEL.ARC
+ * @param {Array<object>} sources - Records to summarize, chronological
+ * @param {string} chatId - Chat ID
+ * @param {number|string|undefined} characterId - Character ID
+ * @param {boolean} upsert - Replace an existing rollup (regenerate)
+ * @returns {Promise<string|null>} Rollup hash (null if every summary attempt was rejected)
+ */
+async function storeRollup(collectionId, level, sources, chatId, characterId, upsert = false) {
+    const turnStart = getTurnRange(sources[0]).turnStart;
+    const turnEnd = getTurnRange(sources[sources.length - 1]).turnEnd;
+    const hash = getRollupHash(level, turnStart, turnEnd);
+
+    // Checked like message summaries, against the summaries it condenses
+    const sourceText = sources.map(source => source.summary).join('\n');
+    const summary = await requestValidatedSummary(formatRollupPrompt(level, sources), sourceText, turnEnd, level);
+    if (!summary) {
+        if (settings.summaryValidation.enabled) return null;
+        throw new Error('Empty summary');
+    }
+
+    const now = Date.now();
+
+    await writeMemory(collectionId, hash, {
+        msgId: '',
+        contentHash: '',
+        turnIndex: turnEnd, // Recency filters treat a rollup like its last turn
+        turnStart,
+        turnEnd,
+        chatId,
+        characterId,
+        summary,
+        speaker: null,
+        tags: [],
+        ...mergeEntities(sources),
+        level,
+        unit: getSummaryUnit(),
+        createdAt: now,
+        updatedAt: now,
+        schemaVersion: MEMORY_RECORD_VERSION,
+    }, upsert);
+    clearSummaryBackoff(collectionId, hash);
+
+    return hash;
+}
+
+/**
+ * Rewrite a chapter or arc from the records it covers
+ * @param {string} collectionId - Collection ID
+ * @param {string} hash - Rollup hash
+ */
+async function regenerateRollup(collectionId, hash) {
+    const persistentData = getCollectionMetadata(collectionId);
+    const rollup = persistentData[hash];
+    if (!rollup) {
+        throw new Error('Chapter not found');
+    }
+
+    const level = getMemoryLevel(rollup);
+    const { turnStart, turnEnd } = getTurnRange(rollup);
+    const sources = Object.entries(persistentData)
+        .filter(([key, record]) => key !== '__collection_info__' && record?.summary && getMemoryLevel(record) === level - 1)
+        .map(([, record]) => record)
+        .filter(record => {
+            const range = getTurnRange(record);
+            return turnStart <= range.turnStart && range.turnEnd <= turnEnd;
+        })
+        .sort((a, b) => getTurnRange(a).turnStart - getTurnRange(b).turnStart);
+    if (sources.length === 0) {
+        throw new Error(`No ${getLevelLabel(level - 1).toLowerCase()} summaries left in turns ${turnStart}-${turnEnd}`);
+    }
+
+    const newHash = await storeRollup(collectionId, level, sources, rollup.chatId, rollup.characterId, true);
+    if (!newHash) {
+        throw new Error('Every summary attempt was rejected');
+    }
+    if (newHash !== hash) {
+        // Covered records were removed since: the rollup now spans fewer turns
+        await removeMemory(collectionId, hash);
+    } else {
+        await invalidateRollups(collectionId, rollup);
+    }
+}
+
 /**
  * Parse metadata from stored text (handles both JSON and legacy plain text)
  * @param {string} text - Text from backend
@@ -1240,24 +3273,16 @@ async function storeMemory(msgId, summary, contentHash, turnIndex, chatId, chara
 function parseStoredMetadata(text, hash) {
     try {
         const metadata = JSON.parse(text);
-        // Validate it's our metadata format
-        if (metadata.msgId && metadata.summary !== undefined) {
-            return metadata;
+        // Versioned records are ours; unversioned ones must look like our metadata format
+        if (metadata && (metadata.schemaVersion || (metadata.msgId && metadata.summary !== undefined))) {
+            return upgradeMemoryRecord(metadata, hash).record;
         }
     } catch {
         // Not JSON, might be legacy plain text summary
     }
 
     // Legacy format: text is the summary itself
-    return {
-        msgId: hash.startsWith('mem_') ? hash.substring(4) : hash,
-        summary: text,
-        turnIndex: 0,
-        contentHash: '',
-        chatId: '',
-        createdAt: 0,
-        updatedAt: 0,
-    };
+    return upgradeMemoryRecord({ summary: text }, hash).record;
 }
 
 /**
@@ -1314,15 +3339,9 @@ async function hydrateMetadataCache(force = false) {
                     // For any still missing, add placeholders
                     for (const hash of missingHashes) {
                         if (!memoryMetadataCache.has(hash)) {
-                            const placeholder = {
-                                msgId: hash.startsWith('mem_') ? hash.substring(4) : hash,
+                            const placeholder = upgradeMemoryRecord({
                                 summary: '(legacy data - regenerate recommended)',
-                                turnIndex: 0,
-                                contentHash: '',
-                                chatId: '',
-                                createdAt: 0,
-                                updatedAt: 0,
-                            };
+                            }, hash).record;
                             memoryMetadataCache.set(hash, placeholder);
                         }
                     }
@@ -1374,22 +3393,84 @@ async function getSummarizedMessageIds() {
 }
 
 /**
- * Calculate actual turn number for a message (character turns only)
+ * Calculate actual turn number for a message, counted in the summary unit
+ * (character messages; in 'separate' mode user messages count as turns too)
  * @param {Array} chat - Chat array
  * @param {number} messageIndex - Index in chat array
- * @returns {number} Turn number (1-based, character turns only)
+ * @returns {number} Turn number (1-based)
  */
 function calculateTurnNumber(chat, messageIndex) {
     let turnNumber = 0;
     for (let i = 0; i <= messageIndex && i < chat.length; i++) {
-        const msg = chat[i];
-        if (msg.is_system) continue;
-        if (msg.is_user) continue; // Always skip user turns
-        turnNumber++;
+        if (isTurnMessage(chat[i])) turnNumber++;
     }
     return turnNumber;
 }
 
+/**
+ * Get the configured summary unit
+ * @returns {string} SUMMARY_UNIT value
+ */
+function getSummaryUnit() {
+    return Object.values(SUMMARY_UNIT).includes(settings?.summaryUnit) ? settings.summaryUnit : SUMMARY_UNIT.CHARACTER;
+}
+
+/**
+ * Check whether a message is a turn of its own (counted, summarized and trimmed) in the summary unit
+ * @param {object} message - Message object
+ * @returns {boolean}
+ */
+function isTurnMessage(message) {
+    if (!message || message.is_system) return false;
+    return !message.is_user || getSummaryUnit() === SUMMARY_UNIT.SEPARATE;
+}
+
+/**
+ * Find where the exchange closed by a character message starts: the user messages sent since
+ * the previous character message belong to it
+ * @param {Array} chat - Chat array
+ * @param {number} index - Character message index
+ * @returns {number} Index of the exchange's first message (index itself if no user message precedes it)
+ */
+function getExchangeStart(chat, index) {
+    let start = index;
+    for (let i = index - 1; i >= 0; i--) {
+        if (chat[i].is_system) continue;
+        if (!chat[i].is_user) break;
+        start = i;
+    }
+    return start;
+}
+
+/**
+ * Find the character message that closes the exchange a user message belongs to
+ * @param {Array} chat - Chat array
+ * @param {number} index - User message index
+ * @returns {number} Index of the reply, or -1 if there is none yet
+ */
+function getExchangeEnd(chat, index) {
+    for (let i = index + 1; i < chat.length; i++) {
+        if (!chat[i].is_system && !chat[i].is_user) return i;
+    }
+    return -1;
+}
+
+/**
+ * Get the text a memory of the message summarizes (its contentHash is taken from this text).
+ * An exchange is its user messages and the reply, labelled like the summary context.
+ * @param {Array} chat - Chat array
+ * @param {number} index - Message index (the reply, for exchanges)
+ * @param {string} unit - SUMMARY_UNIT the memory is made in (default: the configured unit)
+ * @returns {string}
+ */
+function getUnitText(chat, index, unit = getSummaryUnit()) {
+    const message = chat[index];
+    if (unit !== SUMMARY_UNIT.EXCHANGE || message.is_user) return message.mes;
+
+    const start = getExchangeStart(chat, index);
+    return start === index ? message.mes : formatChatMessages(chat, start, index + 1);
+}
+
 /**
  * Check and summarize new messages
  */
@@ -1410,91 +3491,127 @@ async function checkAndSummarize() {
         const capturedChatId = context.getCurrentChatId();
         const capturedCharacterId = context.characterId;
 
-        // Check if we've reached the threshold (character turns only)
-        const totalCharacterTurns = calculateTurnNumber(chat, chat.length - 1);
-        if (totalCharacterTurns <= settings.minTurnToStartSummary) {
-            return;
-        }
-
-        // Get already summarized message IDs
-        const summarizedIds = await getSummarizedMessageIds();
+        const collectionId = calculateSourceCollectionId(capturedChatId, capturedCharacterId);
+        if (!collectionId) return;
 
-        // Find messages that need summarization
-        // We summarize everything except the last (minTurnToStartSummary) character turns
-        // This matches the retrieval filter which also uses character turns
-        const maxSummarizableTurn = totalCharacterTurns - settings.minTurnToStartSummary;
-        const summarizableMessages = [];
+        // Only one tab summarizes a collection at a time
+        await withCollectionLock(collectionId, async () => {
+            await summarizePendingMessages(chat, capturedChatId, capturedCharacterId);
+            await rollUpMemories(capturedChatId, capturedCharacterId);
+        });
+    } finally {
+        syncMutex.release();
+    }
+}
 
-        // Calculate turn numbers - only count character turns
-        let turnCounter = 0;
+/**
+ * Summarize every message outside the protected recent zone that has no memory yet
+ * @param {Array} chat - Chat messages
+ * @param {string} capturedChatId - Chat ID captured before any async work
+ * @param {number|string|undefined} capturedCharacterId - Character ID captured before any async work
+ */
+async function summarizePendingMessages(chat, capturedChatId, capturedCharacterId) {
+    // Check if we've reached the threshold (turns in the summary unit)
+    const totalTurns = calculateTurnNumber(chat, chat.length - 1);
+    if (totalTurns <= settings.minTurnToStartSummary) {
+        return;
+    }
 
-        for (let i = 0; i < chat.length; i++) {
-            const msg = chat[i];
+    // Get already summarized message IDs
+    const summarizedIds = await getSummarizedMessageIds();
+    const collectionId = calculateSourceCollectionId(capturedChatId, capturedCharacterId);
 
-            // Skip system and user messages - only summarize character messages
-            if (msg.is_system || msg.is_user) {
-                continue;
-            }
-            turnCounter++;
+    // Find messages that need summarization
+    // We summarize everything except the last (minTurnToStartSummary) turns
+    // This matches the retrieval filter which counts turns the same way
+    const maxSummarizableTurn = totalTurns - settings.minTurnToStartSummary;
+    const summarizableMessages = [];
 
-            // Stop when we reach the protected zone
-            if (turnCounter > maxSummarizableTurn) break;
+    // Calculate turn numbers - only count messages that are turns in the summary unit
+    let turnCounter = 0;
 
-            const msgId = normalizeMessageId(msg, i);
+    for (let i = 0; i < chat.length; i++) {
+        const msg = chat[i];
 
-            if (!summarizedIds.has(msgId) && !pendingSummaries.has(msgId)) {
-                summarizableMessages.push({
-                    message: msg,
-                    index: i,
-                    turnNumber: turnCounter, // Sequential turn number
-                    msgId,
-                });
-            }
+        // Skip system messages, and user messages unless they are summarized separately
+        // (exchanges are summarized at their character reply)
+        if (!isTurnMessage(msg)) {
+            continue;
         }
-
-        if (summarizableMessages.length === 0) {
-            return;
+        turnCounter++;
+
+        // Stop when we reach the protected zone
+        if (turnCounter > maxSummarizableTurn) break;
+
+        const msgId = normalizeMessageId(msg, i);
+        // Memories written before SHA-256 IDs are keyed by the legacy content hash
+        const alreadyDone = getMessageIdCandidates(msg)
+            .some(id => summarizedIds.has(id) || pendingSummaries.has(id));
+
+        // Summaries of this message were rejected on every attempt recently
+        if (!alreadyDone && !isSummaryBackedOff(collectionId, `mem_${msgId}`)) {
+            summarizableMessages.push({
+                message: msg,
+                index: i,
+                turnNumber: turnCounter, // Sequential turn number
+                msgId,
+            });
         }
+    }
 
-        // Process in batches
-        for (let i = 0; i < summarizableMessages.length; i += settings.batchSize) {
-            const batch = summarizableMessages.slice(i, i + settings.batchSize);
+    if (summarizableMessages.length === 0) {
+        return;
+    }
 
-            for (const item of batch) {
-                pendingSummaries.add(item.msgId);
+    // Process in batches (in batch mode, each batch is one request)
+    const maxGap = settings.batchSummarization ? BATCH_MAX_GAP : Infinity;
+    const batches = splitIntoBatches(summarizableMessages, settings.batchSize, maxGap);
 
-                try {
-                    const summary = await generateSummary(item.message, chat, item.index);
+    for (let b = 0; b < batches.length; b++) {
+        const batch = batches[b];
+        batch.forEach(item => pendingSummaries.add(item.msgId));
 
-                    if (!summary) {
-                        console.warn(`[${MODULE_NAME}] Empty summary for turn ${item.turnNumber}`);
-                        continue;
-                    }
+        // Failures are logged per message and retried on the next run (rejected ones after a backoff)
+        const rejected = new Set();
+        const summaries = await generateSummaries(batch, chat, { rejected });
+        const fields = await extractMemoryFieldsBatch(batch, chat, summaries);
 
-                    const contentHash = getStringHash(item.message.mes);
+        for (const item of batch) {
+            const summary = summaries.get(item.index);
 
-                    await storeMemory(
-                        item.msgId,
-                        summary,
-                        contentHash,
-                        item.turnNumber,
-                        capturedChatId,
-                        capturedCharacterId
-                    );
-                } catch (error) {
-                    console.error(`[${MODULE_NAME}] Failed to summarize turn ${item.turnNumber}:`, error);
-                } finally {
-                    pendingSummaries.delete(item.msgId);
+            try {
+                if (!summary) {
+                    if (rejected.has(item.index)) {
+                        recordSummaryFailure(collectionId, `mem_${item.msgId}`);
+                    } else {
+                        console.warn(`[${MODULE_NAME}] Empty summary for turn ${item.turnNumber}`);
+                    }
+                    continue;
                 }
-            }
 
-            // Delay between batches
-            if (i + settings.batchSize < summarizableMessages.length) {
-                await sleep(settings.batchDelayMs);
+                const unitText = getUnitText(chat, item.index);
+                const contentHash = getStringHash(unitText);
+
+                await storeMemory(
+                    item.msgId,
+                    summary,
+                    contentHash,
+                    item.turnNumber,
+                    capturedChatId,
+                    capturedCharacterId,
+                    { speaker: item.message.name, entities: fields.get(item.index) }
+                );
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Failed to store summary of turn ${item.turnNumber}:`, error);
+            } finally {
+                pendingSummaries.delete(item.msgId);
             }
         }
-    } finally {
-        syncMutex.release();
+
+        // Delay between batches
+        if (b + 1 < batches.length) {
+            await sleep(settings.batchDelayMs);
+        }
     }
 }
 
@@ -1514,8 +3631,15 @@ async function handleMessageEdited(messageId) {
     const capturedChatId = context.getCurrentChatId();
     const capturedCharacterId = context.characterId;
 
-    const message = chat[messageId];
-    if (message.is_system) return; // Don't process system messages
+    if (chat[messageId].is_system) return; // Don't process system messages
+
+    // An edited user message changes the exchange its reply summarizes
+    let targetIndex = messageId;
+    if (chat[messageId].is_user && getSummaryUnit() === SUMMARY_UNIT.EXCHANGE) {
+        targetIndex = getExchangeEnd(chat, messageId);
+        if (targetIndex < 0) return;
+    }
+    const message = chat[targetIndex];
 
     const collectionId = getCollectionId();
     if (!collectionId) return;
@@ -1532,9 +3656,9 @@ async function handleMessageEdited(messageId) {
                              getCollectionMetadata(collectionId)[existingMemoryHash];
     if (!existingMetadata) return;
 
-    // Check if content changed
-    const currentContentHash = getStringHash(message.mes);
-    if (existingMetadata.contentHash === currentContentHash) return;
+    // Check if content changed (in the unit the memory was made in)
+    if (matchesContentHash(existingMetadata.contentHash, getUnitText(chat, targetIndex, existingMetadata.unit))) return;
+    const currentContentHash = getStringHash(getUnitText(chat, targetIndex));
 
     // Generate new msgId with updated content hash
     const newMsgId = normalizeMessageId(message);
@@ -1544,25 +3668,32 @@ async function handleMessageEdited(messageId) {
     // This prevents data loss if generation fails
     let newSummary;
     try {
-        newSummary = await generateSummary(message, chat, messageId);
+        newSummary = await generateSummary(message, chat, targetIndex);
+        if (!newSummary) {
+            throw new Error('No valid summary generated');
+        }
     } catch (error) {
         console.error(`[${MODULE_NAME}] Re-summarization failed, keeping old summary:`, error);
         pendingSummaries.delete(newMsgId);
         return; // Keep old summary on failure
     }
 
-    // Generation succeeded, now safe to delete old and store new
+    // Generation succeeded, now safe to store new and delete old
     try {
-        // Delete old memory from backend
-        await backend.delete(collectionId, [existingMemoryHash]);
-        // Delete from persistent storage
-        deleteMetadataPersistent(collectionId, existingMemoryHash);
-        // Delete from cache
-        memoryMetadataCache.delete(existingMemoryHash);
-
         // Store new summary with the same turn number
-        const turnNumber = existingMetadata.turnIndex || calculateTurnNumber(chat, messageId);
-        await storeMemory(newMsgId, newSummary, currentContentHash, turnNumber, capturedChatId, capturedCharacterId);
+        // (upsert: editing back to earlier content yields an existing hash)
+        const turnNumber = existingMetadata.turnIndex || calculateTurnNumber(chat, targetIndex);
+        await storeMemory(newMsgId, newSummary, currentContentHash, turnNumber, capturedChatId, capturedCharacterId, {
+            speaker: message.name,
+            tags: existingMetadata.tags,
+            entities: await extractMemoryFields(getUnitText(chat, targetIndex), newSummary),
+            upsert: true,
+        });
+
+        // Old hash was derived from the old content
+        if (existingMemoryHash !== `mem_${newMsgId}`) {
+            await removeMemory(collectionId, existingMemoryHash);
+        }
 
         console.log(`[${MODULE_NAME}] Re-summarized turn ${turnNumber} after edit`);
     } catch (error) {
@@ -1591,14 +3722,14 @@ async function handleMessageDeleted(messageId) {
     const context = getContext();
     const chat = context.chat || [];
 
-    // Build set of current chat message send_dates
-    const currentSendDates = new Set();
+    // Build map of current chat message send_dates -> index
+    const currentSendDates = new Map();
     for (let i = 0; i < chat.length; i++) {
         const msg = chat[i];
         if (!msg.is_system) {
             const sendDate = extractSendDate(msg);
-            if (sendDate) {
-                currentSendDates.add(sendDate);
+            if (sendDate && !currentSendDates.has(sendDate)) {
+                currentSendDates.set(sendDate, i);
             }
         }
     }
@@ -1606,6 +3737,7 @@ async function handleMessageDeleted(messageId) {
     // Check persistent storage for orphaned memories
     const persistentData = getCollectionMetadata(collectionId);
     const orphanedHashes = [];
+    let staleExchanges = 0;
 
     for (const [hash, metadata] of Object.entries(persistentData)) {
         if (!hash.startsWith('mem_')) continue;
@@ -1618,6 +3750,11 @@ async function handleMessageDeleted(messageId) {
         // Check if this send_date still exists in chat
         if (!currentSendDates.has(storedSendDate)) {
             orphanedHashes.push(hash);
+        } else if (metadata?.unit === SUMMARY_UNIT.EXCHANGE
+            && !matchesContentHash(metadata.contentHash, getUnitText(chat, currentSendDates.get(storedSendDate), SUMMARY_UNIT.EXCHANGE))) {
+            // The reply is still there but a user message of its exchange was deleted
+            orphanedHashes.push(hash);
+            staleExchanges++;
         }
     }
 
@@ -1625,19 +3762,18 @@ async function handleMessageDeleted(messageId) {
         return;
     }
 
-    // Delete orphaned memories
+    // Delete orphaned memories (backend deletes are queued while it is down)
     for (const hash of orphanedHashes) {
-        try {
-            await backend.delete(collectionId, [hash]);
-            deleteMetadataPersistent(collectionId, hash);
-            memoryMetadataCache.delete(hash);
-        } catch (error) {
-            console.error(`[${MODULE_NAME}] Failed to delete orphaned memory ${hash}:`, error);
-        }
+        await removeMemory(collectionId, hash);
     }
 
     // Update formatted memory
     updateFormattedMemoryFromCache();
+
+    // Exchanges that lost a message are summarized again without it
+    if (staleExchanges > 0) {
+        debouncedCheckAndSummarize();
+    }
 }
 
 /**
@@ -1687,73 +3823,415 @@ async function syncStorageWithBackend() {
 }
 
 /**
- * Sync unvectorized summaries to backend when it becomes available
- * This restores semantic search capability for summaries created during fallback mode
- * @returns {Promise<{synced: number, error?: string}>}
+ * Record the embedding model of the current backend for a collection.
+ * Only the first write sets it (and a re-index replaces it), so later inserts
+ * with a different model don't hide a mismatch. If the collection already held other vectors
+ * (written before models were tracked), their model is unknown: it is recorded as such and
+ * flagged for re-index instead of being labelled with the current model.
+ * @param {string} collectionId - Collection ID
+ * @param {object} options - Options
+ * @param {boolean} options.replace - Overwrite an existing record (after re-indexing)
+ * @param {string[]} options.written - Hashes the caller just wrote with the current model
  */
-async function syncUnvectorizedToBackend() {
-    const collectionId = getCollectionId();
-    if (!collectionId || !backend || !backendHealthy) return { synced: 0 };
-
-    try {
-        // 1. Get all hashes from persistent storage
-        const persistentData = getCollectionMetadata(collectionId);
-        const persistentHashes = Object.keys(persistentData).filter(h => h && h !== '__collection_info__');
+async function recordEmbeddingModel(collectionId, { replace = false, written = [] } = {}) {
+    if (!backend || !currentEmbeddingModel) return;
 
-        if (persistentHashes.length === 0) return { synced: 0 };
+    const backendName = backend.getName();
+    const recorded = () => getCollectionMetadata(collectionId)['__collection_info__']?.embeddingModels?.[backendName];
+    if (!getCollectionMetadata(collectionId)['__collection_info__']) return;
+    if (recorded() === currentEmbeddingModel || (recorded() && !replace)) return;
 
-        // 2. Get all hashes from backend
-        let backendHashes = [];
+    let model = currentEmbeddingModel;
+    if (!replace) {
         try {
-            backendHashes = await backend.list(collectionId);
-        } catch (e) {
-            // Backend might not have this collection yet - that's OK
-            backendHashes = [];
-        }
-        const backendHashSet = new Set(backendHashes.filter(h => h));
-
-        // 3. Find unvectorized (in persistent but not in backend)
-        const unvectorized = persistentHashes.filter(h => !backendHashSet.has(h));
-
-        if (unvectorized.length === 0) {
-            return { synced: 0 };
-        }
-
-        console.log(`[${MODULE_NAME}] Found ${unvectorized.length} unvectorized summaries, syncing to backend...`);
-
-        // 4. Insert unvectorized items into backend
-        let synced = 0;
-        for (const hash of unvectorized) {
-            const metadata = persistentData[hash];
-            if (!metadata || !metadata.summary) continue;
-
-            try {
-                const item = {
-                    hash,
-                    text: JSON.stringify(metadata),
-                    index: metadata.turnIndex || 0,
-                };
-                await backend.insert(collectionId, [item]);
-                synced++;
-            } catch (error) {
-                console.warn(`[${MODULE_NAME}] Failed to sync hash ${hash}:`, error.message);
+            const writtenSet = new Set(written);
+            const stored = await backend.list(collectionId);
+            if (stored.some(hash => hash && !writtenSet.has(hash))) {
+                model = UNKNOWN_EMBEDDING_MODEL;
             }
+        } catch (error) {
+            // Recorded on the next write
+            console.warn(`[${MODULE_NAME}] Could not check existing vectors of ${collectionId}:`, error.message);
+            return;
         }
+        // Another write may have recorded it meanwhile
+        if (recorded()) return;
+    }
 
-        if (synced > 0) {
-            console.log(`[${MODULE_NAME}] Synced ${synced} summaries to backend`);
-        }
-        return { synced };
-    } catch (error) {
-        console.error(`[${MODULE_NAME}] Sync to backend failed:`, error);
-        return { synced: 0, error: error.message };
+    const info = getCollectionMetadata(collectionId)['__collection_info__'];
+    if (!info) return;
+    saveMetadataPersistent(collectionId, '__collection_info__', {
+        ...info,
+        embeddingModels: { ...(info.embeddingModels || {}), [backendName]: model },
+    });
+    if (model === UNKNOWN_EMBEDDING_MODEL) {
+        console.warn(`[${MODULE_NAME}] ${collectionId} holds vectors of an unknown embedding model, flagged for re-index`);
     }
 }
 
 /**
- * Handle chat changed event
+ * Check whether a collection's vectors in the current backend were made by another embedding model
+ * @param {string} collectionId - Collection ID
+ * @returns {boolean}
+ */
+function hasEmbeddingModelMismatch(collectionId) {
+    if (!backend || !currentEmbeddingModel) return false;
+
+    const recorded = getCollectionMetadata(collectionId)['__collection_info__']?.embeddingModels?.[backend.getName()];
+    return Boolean(recorded) && recorded !== currentEmbeddingModel;
+}
+
+/**
+ * Find collections whose vectors were made by a different embedding model than the backend's current one
+ * @returns {Array<{collectionId: string, chatName: string, recordedModel: string, currentModel: string}>}
+ */
+function findEmbeddingModelMismatches() {
+    const mismatches = [];
+
+    for (const collectionId of getAllCollectionIds()) {
+        if (!hasEmbeddingModelMismatch(collectionId)) continue;
+
+        const info = getCollectionMetadata(collectionId)['__collection_info__'];
+        mismatches.push({
+            collectionId,
+            chatName: info.chatName || collectionId,
+            recordedModel: info.embeddingModels[backend.getName()],
+            currentModel: currentEmbeddingModel,
+        });
+    }
+
+    return mismatches;
+}
+
+/**
+ * Detect embedding model changes after a health check.
+ * Warns once per model and re-indexes the current chat when auto re-index is on.
+ */
+async function checkEmbeddingModel() {
+    const mismatches = findEmbeddingModelMismatches();
+    if (mismatches.length === 0) return;
+
+    if (lastWarnedEmbeddingModel !== currentEmbeddingModel) {
+        lastWarnedEmbeddingModel = currentEmbeddingModel;
+        console.warn(`[${MODULE_NAME}] Embedding model is now "${currentEmbeddingModel}"; ${mismatches.length} collection(s) were indexed with another model:`, mismatches);
+
+        if (!settings.autoReindexOnModelChange) {
+            toastr.warning(`${mismatches.length} memory collection(s) were indexed with a different or unknown embedding model. Re-index them in the Global Manager.`, 'UwU Memory');
+        }
+    }
+
+    await reindexIfModelChanged(getCollectionId());
+}
+
+/**
+ * Re-index a collection if its embedding model changed and auto re-index is on
+ * @param {string|null} collectionId - Collection ID
+ */
+async function reindexIfModelChanged(collectionId) {
+    if (!collectionId || !settings.autoReindexOnModelChange || !hasEmbeddingModelMismatch(collectionId)) return;
+
+    const result = await reindexCollection(collectionId);
+    if (result.reindexed > 0) {
+        toastr.info(`Re-indexed ${result.reindexed} memories for the new embedding model`);
+    }
+}
+
+/**
+ * Rebuild a collection's vectors from the summaries in persistent storage (re-embed job).
+ * Purges the collection in the backend, then bulk inserts every memory with the current model.
+ * @param {string|null} collectionId - Collection ID (defaults to current chat)
+ * @returns {Promise<{success: boolean, reindexed: number, failed?: number, error?: string}>}
+ */
+async function reindexCollection(collectionId = null) {
+    collectionId = collectionId || getCollectionId();
+    if (!collectionId || !backend || !backendHealthy) {
+        return { success: false, reindexed: 0, error: 'Backend unavailable' };
+    }
+
+    if (activeSyncs.has(collectionId)) {
+        return { success: false, reindexed: 0, error: 'Sync already in progress' };
+    }
+    activeSyncs.add(collectionId);
+
+    try {
+        const hashes = Object.keys(getCollectionMetadata(collectionId)).filter(h => h !== '__collection_info__');
+        console.log(`[${MODULE_NAME}] Re-indexing ${hashes.length} memories in ${collectionId} with ${currentEmbeddingModel || 'current model'}`);
+
+        await backend.purge(collectionId);
+        // Every vector written from here on comes from the current model; an interrupted
+        // re-index is finished by the resumable bulk sync
+        await recordEmbeddingModel(collectionId, { replace: true });
+
+        const { synced, failed } = await bulkInsertToBackend(collectionId, hashes);
+        return { success: failed === 0, reindexed: synced, failed };
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Re-index failed for ${collectionId}:`, error);
+        return { success: false, reindexed: 0, error: error.message };
+    } finally {
+        activeSyncs.delete(collectionId);
+    }
+}
+
+/**
+ * Gather statistics for a collection: local vs vectorized memories and backend storage details
+ * @param {string|null} collectionId - Collection ID
+ * @returns {Promise<object>} Stats for showStatsPopup
+ */
+async function getCollectionStats(collectionId) {
+    const persistentData = collectionId ? getCollectionMetadata(collectionId) : {};
+    const localHashes = Object.keys(persistentData).filter(h => h !== '__collection_info__');
+
+    const stats = {
+        totalMemories: localHashes.length,
+        withEmbeddings: 0,
+        unvectorized: [],
+        orphanedVectors: 0,
+        vectorCount: 0,
+        sizeBytes: null,
+        dimension: null,
+        lastWrite: null,
+        pending: pendingSummaries.size,
+        cacheSize: memoryMetadataCache.size,
+        backend: getBackendDisplayName(),
+        backendHealthy: false,
+        embeddingModel: currentEmbeddingModel,
+    };
+
+    if (!backend) return stats;
+
+    try {
+        const health = await backend.healthCheck();
+        stats.backendHealthy = health.healthy;
+        if (!health.healthy || !collectionId) return stats;
+
+        const [backendHashes, backendStats] = await Promise.all([
+            backend.list(collectionId),
+            backend.stats(collectionId),
+        ]);
+        Object.assign(stats, backendStats);
+
+        const backendHashSet = new Set(backendHashes.filter(h => h));
+        const localHashSet = new Set(localHashes);
+        stats.withEmbeddings = localHashes.filter(h => backendHashSet.has(h)).length;
+        stats.orphanedVectors = [...backendHashSet].filter(h => !localHashSet.has(h)).length;
+        stats.unvectorized = localHashes
+            .filter(h => !backendHashSet.has(h))
+            .map(hash => ({
+                hash,
+                turnIndex: persistentData[hash]?.turnIndex || 0,
+                summary: persistentData[hash]?.summary || '',
+            }))
+            .sort((a, b) => a.turnIndex - b.turnIndex);
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Stats error:`, error);
+        stats.error = error.message;
+    }
+
+    return stats;
+}
+
+/**
+ * Load saved bulk sync state (collectionId -> remaining hashes) from localStorage
+ * @returns {object}
+ */
+function loadSyncState() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || '{}') || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save remaining hashes of a bulk sync so a page reload can resume it
+ * @param {string} collectionId - Collection ID
+ * @param {string[]|null} remaining - Hashes still to insert (null or empty clears the entry)
+ * @param {number} total - Total hashes in this sync run
+ */
+function saveSyncState(collectionId, remaining, total = 0) {
+    const state = loadSyncState();
+    if (remaining && remaining.length > 0) {
+        state[collectionId] = { backend: backend?.getName(), remaining, total, updatedAt: Date.now() };
+    } else {
+        delete state[collectionId];
+    }
+
+    try {
+        localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to save sync state:`, error.message);
+    }
+}
+
+/**
+ * Show bulk sync progress in the settings panel
+ * @param {number} done - Processed items
+ * @param {number} total - Total items (0 hides the indicator)
+ */
+function updateSyncProgressUI(done, total) {
+    const $container = $('#um-sync-progress');
+    if (!$container.length) return;
+
+    if (!total || done >= total) {
+        $container.hide();
+        return;
+    }
+
+    const percent = (done / total * 100).toFixed(1);
+    $container.show();
+    $('#um-sync-progress-fill').css('width', `${percent}%`);
+    $('#um-sync-progress-text').text(`Syncing ${done} / ${total}`);
+}
+
+/**
+ * Insert memories from persistent storage into the backend in chunks.
+ * Chunks run with limited concurrency; remaining hashes are saved after every chunk
+ * so a reload mid-sync resumes instead of restarting.
+ * @param {string} collectionId - Target collection ID
+ * @param {string[]} hashes - Hashes to insert
+ * @param {string|null} sourceCollectionId - Collection to read memories from (defaults to the target)
+ * @param {object} options - Options
+ * @param {boolean} options.upsert - Replace items that may already exist (backend.update instead of insert)
+ * @returns {Promise<{synced: number, failed: number}>}
+ */
+async function bulkInsertToBackend(collectionId, hashes, sourceCollectionId = null, { upsert = false } = {}) {
+    const persistentData = getCollectionMetadata(sourceCollectionId || collectionId);
+    const insertable = hashes.filter(hash => persistentData[hash]?.summary);
+    const total = insertable.length;
+    if (total === 0) return { synced: 0, failed: 0 };
+
+    const remaining = new Set(insertable);
+    const chunks = chunkArray(insertable, settings.syncChunkSize || defaultSettings.syncChunkSize);
+    let synced = 0;
+    let failed = 0;
+
+    saveSyncState(collectionId, [...remaining], total);
+    updateSyncProgressUI(0, total);
+
+    await mapWithConcurrency(chunks, settings.syncConcurrency || defaultSettings.syncConcurrency, async (chunk) => {
+        const items = chunk.map(hash => buildBackendItem(hash, persistentData[hash]));
+
+        try {
+            if (upsert) {
+                await backend.update(collectionId, items);
+            } else {
+                await backend.insert(collectionId, items);
+            }
+            synced += chunk.length;
+            chunk.forEach(hash => remaining.delete(hash));
+            saveSyncState(collectionId, [...remaining], total);
+        } catch (error) {
+            failed += chunk.length;
+            console.warn(`[${MODULE_NAME}] Failed to sync chunk of ${chunk.length}:`, error.message);
+        }
+
+        updateSyncProgressUI(synced + failed, total);
+    });
+
+    // Failed hashes are found again by the next unvectorized diff
+    saveSyncState(collectionId, null);
+    updateSyncProgressUI(0, 0);
+
+    if (synced > 0) {
+        await recordEmbeddingModel(collectionId, { written: insertable.filter(hash => !remaining.has(hash)) });
+    }
+
+    return { synced, failed };
+}
+
+/**
+ * Resume bulk syncs interrupted by a page reload (only for the backend they were started on)
+ * @returns {Promise<number>} Number of items synced
+ */
+async function resumePendingSyncs() {
+    if (!backend || !backendHealthy) return 0;
+
+    let resumed = 0;
+    for (const [collectionId, entry] of Object.entries(loadSyncState())) {
+        if (entry.backend !== backend.getName() || !Array.isArray(entry.remaining)) {
+            saveSyncState(collectionId, null);
+            continue;
+        }
+
+        console.log(`[${MODULE_NAME}] Resuming sync of ${entry.remaining.length}/${entry.total} summaries for ${collectionId}`);
+        const result = await syncUnvectorizedToBackend(collectionId, entry.remaining);
+        resumed += result.synced;
+    }
+
+    return resumed;
+}
+
+/**
+ * Sync unvectorized summaries to backend when it becomes available
+ * This restores semantic search capability for summaries created during fallback mode
+ * @param {string|null} collectionId - Collection to sync (defaults to current chat)
+ * @param {string[]|null} candidateHashes - Only consider these hashes (used when resuming)
+ * @returns {Promise<{synced: number, failed?: number, error?: string}>}
+ */
+async function syncUnvectorizedToBackend(collectionId = null, candidateHashes = null) {
+    collectionId = collectionId || getCollectionId();
+    if (!collectionId || !backend || !backendHealthy) return { synced: 0 };
+
+    // Another sync for this collection is running (e.g. recovery + chat change)
+    if (activeSyncs.has(collectionId)) return { synced: 0 };
+    activeSyncs.add(collectionId);
+
+    try {
+        // 1. Get all hashes from persistent storage
+        const persistentData = getCollectionMetadata(collectionId);
+        let persistentHashes = Object.keys(persistentData).filter(h => h && h !== '__collection_info__');
+        if (candidateHashes) {
+            const candidates = new Set(candidateHashes);
+            persistentHashes = persistentHashes.filter(h => candidates.has(h));
+        }
+
+        if (persistentHashes.length === 0) {
+            saveSyncState(collectionId, null);
+            return { synced: 0 };
+        }
+
+        // 2. Get all hashes from backend
+        let backendHashes = [];
+        try {
+            backendHashes = await backend.list(collectionId);
+        } catch (e) {
+            // Backend might not have this collection yet - that's OK
+            backendHashes = [];
+        }
+        const backendHashSet = new Set(backendHashes.filter(h => h));
+
+        // 3. Find unvectorized (in persistent but not in backend)
+        const unvectorized = persistentHashes.filter(h => !backendHashSet.has(h));
+
+        if (unvectorized.length === 0) {
+            saveSyncState(collectionId, null);
+            return { synced: 0 };
+        }
+
+        console.log(`[${MODULE_NAME}] Found ${unvectorized.length} unvectorized summaries, syncing to backend...`);
+
+        // 4. Insert unvectorized items into backend in chunks
+        const { synced, failed } = await bulkInsertToBackend(collectionId, unvectorized);
+
+        if (synced > 0) {
+            console.log(`[${MODULE_NAME}] Synced ${synced} summaries to backend${failed > 0 ? ` (${failed} failed)` : ''}`);
+        }
+        return { synced, failed };
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Sync to backend failed:`, error);
+        return { synced: 0, error: error.message };
+    } finally {
+        activeSyncs.delete(collectionId);
+    }
+}
+
+/**
+ * Handle chat changed event
  */
 async function handleChatChanged() {
+    // Retrieval for the previous chat is no longer needed
+    cancelRetrieval();
+
     // === Phase 1: Collection Transition Detection + State Update ===
     // Handles detection, execution, and state tracking atomically within mutex
     try {
@@ -1776,7 +4254,7 @@ async function handleChatChanged() {
     // Update collection info (chat name) for existing collections
     // This ensures old collections get proper chat names when accessed
     const collectionId = getCollectionId();
-    if (collectionId && settings.memoryData?.[collectionId]) {
+    if (collectionId && hasCollectionMetadata(collectionId)) {
         saveCollectionInfo(collectionId);
     }
 
@@ -1788,6 +4266,7 @@ async function handleChatChanged() {
             if (syncResult.synced > 0) {
                 toastr.info(`Synced ${syncResult.synced} summaries to vector store`);
             }
+            await reindexIfModelChanged(collectionId);
         } catch (error) {
             console.warn(`[${MODULE_NAME}] Auto-sync failed:`, error.message);
         }
@@ -1806,32 +4285,27 @@ async function handleChatChanged() {
  * @param {object} event - Event object containing characterId or character data
  */
 async function handleCharacterDeleted(event) {
-    // Extract characterId from event (may be direct id or object with id property)
-    let characterId;
-    if (typeof event === 'number' || typeof event === 'string') {
-        characterId = event;
-    } else if (event?.id !== undefined) {
-        characterId = event.id;
-    } else if (event?.characterId !== undefined) {
-        characterId = event.characterId;
-    } else {
-        console.warn(`[${MODULE_NAME}] CHARACTER_DELETED: could not extract characterId`);
+    // Only the avatar identifies the character - the index in the event may already belong to another one
+    const avatar = event?.character?.avatar;
+    if (!avatar) {
+        console.warn(`[${MODULE_NAME}] CHARACTER_DELETED: no character avatar in event, skipping cleanup (use Cleanup Orphaned in the Global Manager)`);
         return;
     }
 
-    const collectionPrefix = `${COLLECTION_PREFIX}c${characterId}_`;
-    const collectionsToDelete = Object.keys(settings.memoryData || {})
-        .filter(id => id.startsWith(collectionPrefix));
+    const characterKeys = new Set([getAvatarKey(avatar), getLegacyAvatarKey(avatar)]);
+    const collectionsToDelete = memoryStorage.getCollectionIds()
+        .filter(id => characterKeys.has(parseCollectionId(id)?.characterKey));
 
     if (collectionsToDelete.length === 0) return;
 
-    console.log(`[${MODULE_NAME}] Cleaning up ${collectionsToDelete.length} collections for deleted character ${characterId}`);
+    const characterName = event.character.name || avatar;
+    console.log(`[${MODULE_NAME}] Cleaning up ${collectionsToDelete.length} collections for deleted character ${characterName}`);
     // Also clean knownBranches for deleted character's collections (chat no longer exists)
     for (const id of collectionsToDelete) {
         if (settings.knownBranches?.[id]) delete settings.knownBranches[id];
     }
     await deleteCollections(collectionsToDelete);
-    console.log(`[${MODULE_NAME}] Cleanup complete for character ${characterId}`);
+    console.log(`[${MODULE_NAME}] Cleanup complete for character ${characterName}`);
 }
 
 /**
@@ -1853,10 +4327,10 @@ async function handleChatDeleted(event) {
         return;
     }
 
-    const chatIdHash = calculateHash(chatId);
-    const chatSuffix = `_${chatIdHash}`;
-    const collectionsToDelete = Object.keys(settings.memoryData || {})
-        .filter(id => id.endsWith(chatSuffix));
+    // Match both the current and the legacy chat hash
+    const chatHashes = new Set([getIdHash(chatId), calculateHash(chatId)]);
+    const collectionsToDelete = memoryStorage.getCollectionIds()
+        .filter(id => chatHashes.has(parseCollectionId(id)?.chatHash));
 
     if (collectionsToDelete.length === 0) return;
 
@@ -1888,195 +4362,953 @@ async function handleGroupChatDeleted(event) {
         return;
     }
 
-    const chatIdHash = calculateHash(chatId);
-    const targetCollectionId = `${COLLECTION_PREFIX}group_${chatIdHash}`;
+    const collectionsToDelete = [calculateSourceCollectionId(chatId, undefined), getLegacyCollectionId(chatId, undefined)]
+        .filter(id => memoryStorage.hasCollection(id));
+
+    if (collectionsToDelete.length === 0) return;
+
+    console.log(`[${MODULE_NAME}] Cleaning up collection for deleted group chat ${chatId}`);
+    // Also clean knownBranches for deleted group chat (chat no longer exists)
+    for (const id of collectionsToDelete) {
+        if (settings.knownBranches?.[id]) delete settings.knownBranches[id];
+    }
+    await deleteCollections(collectionsToDelete);
+    console.log(`[${MODULE_NAME}] Cleanup complete for group chat ${chatId}`);
+}
 
-    if (!settings.memoryData?.[targetCollectionId]) return;
+/**
+ * Get all collections data for Global Management UI
+ * @returns {Promise<Array<object>>} Array of collection metadata objects
+ */
+async function getAllCollectionsData() {
+    const context = getContext();
+    const collections = [];
+    const characters = context.characters || {};
+    const characterIndex = await buildCharacterIndex();
+
+    for (const collectionId of getAllCollectionIds()) {
+        const hashMap = getCollectionMetadata(collectionId);
+        const parsed = parseCollectionId(collectionId);
+        if (!parsed) continue;
+
+        const { chatHash } = parsed;
+        const isGroup = parsed.type === 'group';
+
+        // Check orphaned status: character deleted OR chat deleted
+        const { characterId, isOrphaned, orphanReason } = resolveCollectionOwner(parsed, characterIndex);
+        const character = characterId !== null ? characters[characterId] : null;
+
+        // Get collection info (chat name, etc.) from __collection_info__
+        const collectionInfo = hashMap?.['__collection_info__'] || {};
+        const chatName = collectionInfo.chatName || `Chat ${chatHash.substring(0, 8)}`;
+
+        // Calculate stats from hashMap (exclude __collection_info__ from count)
+        const memories = Object.entries(hashMap || {})
+            .filter(([key]) => key !== '__collection_info__')
+            .map(([, value]) => value);
+        const memoryCount = memories.length;
+        const totalChars = memories.reduce((sum, m) => sum + ((m.summary || '').length || 0), 0);
+        const timestamps = memories.map(m => m.createdAt || 0).filter(t => t > 0);
+
+        collections.push({
+            collectionId,
+            characterId,
+            characterName: character?.name || (isGroup ? 'Group Chats' : (parsed.type === 'legacy' && collectionInfo.characterName) || 'Deleted Character'),
+            characterAvatar: character?.avatar || null,
+            chatHash,
+            chatName: isOrphaned && orphanReason === 'deleted_chat' ? `${chatName} (Deleted)` : chatName,
+            isGroup,
+            isOrphaned,
+            orphanReason,
+            memoryCount,
+            totalChars,
+            oldestMemory: timestamps.length ? Math.min(...timestamps) : 0,
+            newestMemory: timestamps.length ? Math.max(...timestamps) : 0,
+            embeddingModel: backend ? collectionInfo.embeddingModels?.[backend.getName()] || null : null,
+            modelMismatch: hasEmbeddingModelMismatch(collectionId),
+        });
+    }
+
+    // Sort: Orphaned first, then by character name
+    return collections.sort((a, b) => {
+        if (a.isOrphaned !== b.isOrphaned) return a.isOrphaned ? -1 : 1;
+        return (a.characterName || '').localeCompare(b.characterName || '');
+    });
+}
+
+/**
+ * Index characters and chats by the keys and hashes used in collection IDs (current and legacy),
+ * for ownership checks and key migration
+ * @returns {Promise<{idsByKey: Map<string, number>, chatHashesById: Map<number, Set<string>>, allChatHashes: Set<string>, chatsByHash: Map<string, Array<{characterId: number, chatId: string}>>, groupChatsByHash: Map<string, string>}>}
+ */
+async function buildCharacterIndex() {
+    const context = getContext();
+    const characters = context.characters || {};
+    const idsByKey = new Map();
+    const chatHashesById = new Map();
+    const allChatHashes = new Set();
+    const chatsByHash = new Map();
+    const groupChatsByHash = new Map();
+
+    for (const [charId, character] of Object.entries(characters)) {
+        const characterId = parseInt(charId);
+        if (character?.avatar) {
+            idsByKey.set(getAvatarKey(character.avatar), characterId);
+            idsByKey.set(getLegacyAvatarKey(character.avatar), characterId);
+        }
+
+        const chatNames = await getCharacterChatNames(character);
+        const hashes = new Set();
+        for (const chatId of chatNames) {
+            for (const hash of [getIdHash(chatId), calculateHash(chatId)]) {
+                hashes.add(hash);
+                allChatHashes.add(hash);
+                if (!chatsByHash.has(hash)) chatsByHash.set(hash, []);
+                chatsByHash.get(hash).push({ characterId, chatId });
+            }
+        }
+        chatHashesById.set(characterId, hashes);
+    }
+
+    for (const group of context.groups || []) {
+        for (const chatId of group.chats || []) {
+            groupChatsByHash.set(getIdHash(chatId), chatId);
+            groupChatsByHash.set(calculateHash(chatId), chatId);
+        }
+    }
+
+    return { idsByKey, chatHashesById, allChatHashes, chatsByHash, groupChatsByHash };
+}
+
+/**
+ * Find the character owning a collection and whether the collection is orphaned
+ * @param {{type: string, characterKey: string, chatHash: string}} parsed - Result of parseCollectionId
+ * @param {object} characterIndex - Result of buildCharacterIndex
+ * @returns {{characterId: number|null, isOrphaned: boolean, orphanReason: string|null}}
+ */
+function resolveCollectionOwner(parsed, characterIndex) {
+    if (parsed.type === 'group') {
+        return { characterId: null, isOrphaned: false, orphanReason: null };
+    }
+
+    if (parsed.type === 'legacy') {
+        // Not re-keyed yet - the stored index is unreliable, so only a chat no character owns counts as orphaned
+        const owned = characterIndex.allChatHashes.has(parsed.chatHash);
+        return {
+            characterId: null,
+            isOrphaned: !owned,
+            orphanReason: owned ? null : 'deleted_chat',
+        };
+    }
+
+    const characterId = characterIndex.idsByKey.get(parsed.characterKey);
+    if (characterId === undefined) {
+        return { characterId: null, isOrphaned: true, orphanReason: 'deleted_character' };
+    }
+
+    const validHashes = characterIndex.chatHashesById.get(characterId);
+    const isOrphaned = Boolean(validHashes) && !validHashes.has(parsed.chatHash);
+    return { characterId, isOrphaned, orphanReason: isOrphaned ? 'deleted_chat' : null };
+}
+
+/**
+ * Get all existing chat names for a character
+ * @param {object} character - Character object with avatar property
+ * @returns {Promise<string[]>} Array of chat file names (without .jsonl extension)
+ */
+async function getCharacterChatNames(character) {
+    if (!character || !character.avatar) return [];
+
+    try {
+        const context = getContext();
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar, simple: true }),
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            return Object.values(data).map(x => x.file_name.replace('.jsonl', ''));
+        }
+    } catch (e) {
+        console.warn(`[${MODULE_NAME}] Failed to get chat names:`, e);
+    }
+
+    return [];
+}
+
+/**
+ * Cleanup orphaned collections (collections for deleted characters OR deleted chats)
+ * @returns {Promise<number>} Number of cleaned collections
+ */
+async function cleanupOrphanedCollections() {
+    const characterIndex = await buildCharacterIndex();
+    const collectionsToDelete = [];
+
+    for (const collectionId of memoryStorage.getCollectionIds()) {
+        // Only check character-specific collections (not groups)
+        const parsed = parseCollectionId(collectionId);
+        if (!parsed || parsed.type === 'group') continue;
+
+        if (resolveCollectionOwner(parsed, characterIndex).isOrphaned) {
+            collectionsToDelete.push(collectionId);
+        }
+    }
+
+    if (collectionsToDelete.length > 0) {
+        // Also clean knownBranches for orphaned collections (chat/character no longer exists)
+        for (const id of collectionsToDelete) {
+            if (settings.knownBranches?.[id]) delete settings.knownBranches[id];
+        }
+        await deleteCollections(collectionsToDelete);
+    }
+
+    return collectionsToDelete.length;
+}
+
+/**
+ * Purge a specific collection (for Global Management UI)
+ * @param {string} collectionId - Collection ID to purge
+ */
+async function purgeCollection(collectionId) {
+    await deleteCollections([collectionId]);
+}
+
+/**
+ * Load the last collection key migration report
+ * @returns {object|null}
+ */
+function loadKeyMigrationReport() {
+    try {
+        return JSON.parse(localStorage.getItem(KEY_MIGRATION_REPORT_KEY)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build a backup archive of every collection in persistent storage
+ * (in chat storage mode other chats' memories live in their chat files and are not included)
+ * @param {object} options - Options
+ * @param {boolean} options.includeVectors - Include stored vectors (only backends that support vector transfer)
+ * @param {string[]|null} options.collectionIds - Only these collections (default: all)
+ * @returns {Promise<object>} Archive
+ */
+async function exportAllMemories({ includeVectors = false, collectionIds = null } = {}) {
+    await memoryStorage.whenIdle();
+
+    const collections = {};
+    for (const collectionId of collectionIds || getAllCollectionIds()) {
+        if (!hasCollectionMetadata(collectionId)) continue;
+        collections[collectionId] = { ...getCollectionMetadata(collectionId) };
+    }
+
+    let vectors = null;
+    if (includeVectors) {
+        if (!backendHealthy || !backend?.supportsVectorTransfer()) {
+            throw new Error(`${getBackendDisplayName()} cannot export vectors${backendHealthy ? '' : ' (backend unavailable)'}`);
+        }
+
+        vectors = { backend: backend.getName(), model: currentEmbeddingModel, collections: {} };
+        for (const collectionId of Object.keys(collections)) {
+            const stored = await backend.exportVectors(collectionId);
+            if (stored.length > 0) {
+                vectors.collections[collectionId] = Object.fromEntries(stored.map(({ hash, vector }) => [hash, vector]));
+            }
+        }
+    }
+
+    const knownBranches = Object.fromEntries(Object.entries(settings.knownBranches || {})
+        .filter(([collectionId]) => collections[collectionId]));
+    return createArchive({ collections, knownBranches, vectors });
+}
+
+/**
+ * Get the send_date part of a memory hash (mem_{send_date}_{contentHash})
+ * @param {string} hash - Memory hash
+ * @returns {string} send_date ('' for keys that are not message memories)
+ */
+function getMemorySendDate(hash) {
+    if (!hash.startsWith('mem_')) return '';
+
+    const storedMsgId = hash.substring(4);
+    const underscoreIdx = storedMsgId.lastIndexOf('_');
+    return underscoreIdx > 0 ? storedMsgId.substring(0, underscoreIdx) : storedMsgId;
+}
+
+/**
+ * Attach memories from another collection (deleted, renamed or re-imported chat, or a file) to the open chat.
+ * Memories are re-keyed by matching their send_date against the chat's messages; memories whose message
+ * is not in this chat are left out. Memories the open chat already has are kept.
+ * @param {object} memories - Hash -> metadata map of the source collection
+ * @returns {Promise<{collectionId: string, attached: string[], unmatched: string[], existing: number, contentChanged: number}>}
+ *          attached/unmatched hold source hashes
+ */
+async function attachMemoriesToCurrentChat(memories) {
+    const context = getContext();
+    const chat = context.chat || [];
+    const collectionId = getCollectionId();
+    if (!collectionId || chat.length === 0) {
+        throw new Error('Open the chat to attach the memories to first');
+    }
+
+    const messagesBySendDate = new Map();
+    chat.forEach((message, index) => {
+        const sendDate = message.is_system ? '' : extractSendDate(message);
+        if (sendDate && !messagesBySendDate.has(sendDate)) messagesBySendDate.set(sendDate, index);
+    });
+
+    const existing = getCollectionMetadata(collectionId);
+    const chatId = context.getCurrentChatId();
+    const entries = {};
+    const report = { collectionId, attached: [], unmatched: [], existing: 0, contentChanged: 0 };
+
+    for (const [hash, metadata] of Object.entries(memories)) {
+        if (!hash.startsWith('mem_') || !metadata) continue;
+
+        const index = messagesBySendDate.get(getMemorySendDate(hash));
+        if (index === undefined) {
+            report.unmatched.push(hash);
+            continue;
+        }
+
+        const message = chat[index];
+        const msgId = normalizeMessageId(message);
+        const targetHash = `mem_${msgId}`;
+        report.attached.push(hash);
+        if (existing[targetHash] || entries[targetHash]) {
+            report.existing++;
+            continue;
+        }
+
+        // Edited since it was summarized: keep the old content hash so the next edit re-summarizes it
+        const unitText = getUnitText(chat, index, metadata.unit);
+        const sameContent = matchesContentHash(metadata.contentHash, unitText);
+        if (!sameContent) report.contentChanged++;
+
+        entries[targetHash] = {
+            ...metadata,
+            msgId,
+            contentHash: sameContent ? getStringHash(unitText) : metadata.contentHash,
+            turnIndex: calculateTurnNumber(chat, index),
+            chatId,
+            characterId: context.characterId,
+            updatedAt: Date.now(),
+        };
+    }
+
+    saveMetadataPersistentMany(collectionId, entries);
+    saveCollectionInfo(collectionId);
+
+    // Chapters covering the attached turns are rebuilt with them
+    for (const metadata of Object.values(entries)) {
+        await invalidateRollups(collectionId, metadata);
+    }
+
+    // Hashes changed, so vectors are rebuilt from the summaries
+    const hashes = Object.keys(entries);
+    if (hashes.length > 0) {
+        if (backendHealthy && backend) {
+            await bulkInsertToBackend(collectionId, hashes, null, { upsert: true });
+        } else {
+            queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes });
+        }
+    }
+
+    refreshCachedMemories(collectionId, hashes);
+    console.log(`[${MODULE_NAME}] Attached ${hashes.length} memories to ${collectionId} (${report.existing} already present, ${report.unmatched.length} without a matching message, ${report.contentChanged} edited since)`);
+    return report;
+}
+
+/**
+ * Attach an (orphaned) collection to the open chat. Attached memories are removed from the source;
+ * the source is deleted once nothing is left in it.
+ * @param {string} sourceId - Source collection ID
+ * @returns {Promise<object>} attachMemoriesToCurrentChat report
+ */
+async function attachCollectionToCurrentChat(sourceId) {
+    if (sourceId === getCollectionId()) {
+        throw new Error('This collection already belongs to the open chat');
+    }
+
+    await syncMutex.acquire();
+    try {
+        const report = await attachMemoriesToCurrentChat({ ...getCollectionMetadata(sourceId) });
+
+        if (report.unmatched.length === 0) {
+            if (settings.knownBranches?.[sourceId]) delete settings.knownBranches[sourceId];
+            await deleteCollections([sourceId]);
+        } else {
+            for (const hash of report.attached) {
+                await removeMemory(sourceId, hash);
+            }
+        }
+
+        return report;
+    } finally {
+        syncMutex.release();
+    }
+}
+
+/**
+ * Import a single-collection export file into the open chat
+ * @param {string|object} input - Archive JSON text or object
+ * @returns {Promise<object>} attachMemoriesToCurrentChat report
+ */
+async function importCollectionToCurrentChat(input) {
+    const archive = parseArchive(input);
+    const collectionIds = Object.keys(archive.collections);
+    if (collectionIds.length !== 1) {
+        throw new Error(`File holds ${collectionIds.length} collections - use Import in the Global Memory Manager for full backups`);
+    }
+
+    await syncMutex.acquire();
+    try {
+        return await attachMemoriesToCurrentChat(archive.collections[collectionIds[0]]);
+    } finally {
+        syncMutex.release();
+    }
+}
+
+/**
+ * Restore memories from a backup archive and rebuild the imported collections in the backend.
+ * Archived vectors are reused when they come from the current backend and embedding model,
+ * everything else is re-embedded from the summaries (queued for replay if the backend is down).
+ * @param {string|object} input - Archive JSON text or object
+ * @param {string} policy - IMPORT_POLICY value
+ * @returns {Promise<{collections: number, skipped: number, memories: number, vectorsReused: number, reembedded: number, failed: number}>}
+ */
+async function importMemoryArchive(input, policy = IMPORT_POLICY.MERGE) {
+    const archive = parseArchive(input);
+    const plan = planImport(archive, getCollectionMetadata, policy);
+    const report = { collections: 0, skipped: 0, memories: 0, vectorsReused: 0, reembedded: 0, failed: 0 };
+
+    const archivedVectors = archive.vectors
+        && archive.vectors.backend === backend?.getName()
+        && archive.vectors.model === currentEmbeddingModel
+        && backend.supportsVectorTransfer()
+        ? archive.vectors.collections
+        : {};
+
+    await syncMutex.acquire();
+    try {
+        for (const { collectionId, entries, replace, skipped } of plan) {
+            if (skipped) {
+                report.skipped++;
+                continue;
+            }
+
+            const hashes = Object.keys(entries).filter(k => k !== '__collection_info__');
+            if (hashes.length === 0 && !replace) continue;
+
+            if (replace) {
+                await deleteCollections([collectionId]);
+            }
+            saveMetadataPersistentMany(collectionId, entries);
+            report.collections++;
+            report.memories += hashes.length;
+
+            if (hashes.length === 0) continue;
+            if (!backendHealthy || !backend) {
+                queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes });
+                continue;
+            }
+
+            // Reuse archived vectors where possible, re-embed the rest
+            const vectors = archivedVectors[collectionId] || {};
+            const withVectors = hashes.filter(hash => Array.isArray(vectors[hash]));
+            let toEmbed = hashes.filter(hash => !Array.isArray(vectors[hash]));
+
+            if (withVectors.length > 0) {
+                try {
+                    await backend.importVectors(collectionId, withVectors.map(hash => ({
+                        ...buildBackendItem(hash, entries[hash]),
+                        vector: vectors[hash],
+                    })));
+                    report.vectorsReused += withVectors.length;
+                    await recordEmbeddingModel(collectionId, { written: withVectors });
+                } catch (error) {
+                    console.warn(`[${MODULE_NAME}] Vector import failed for ${collectionId}, re-embedding:`, error.message);
+                    toEmbed = hashes;
+                }
+            }
+
+            if (toEmbed.length > 0) {
+                const { synced, failed } = await bulkInsertToBackend(collectionId, toEmbed, null, { upsert: !replace });
+                report.reembedded += synced;
+                report.failed += failed;
+            }
+        }
+
+        // Branch tracking: the archive fills gaps, overwrite lets it replace entries
+        const archivedBranches = archive.knownBranches || {};
+        settings.knownBranches = policy === IMPORT_POLICY.OVERWRITE
+            ? { ...(settings.knownBranches || {}), ...archivedBranches }
+            : { ...archivedBranches, ...(settings.knownBranches || {}) };
+        saveSettings();
+    } finally {
+        syncMutex.release();
+    }
+
+    await memoryStorage.whenIdle();
+    await hydrateMetadataCache(true);
+
+    console.log(`[${MODULE_NAME}] Imported ${report.memories} memories into ${report.collections} collections (${report.skipped} skipped, ${report.vectorsReused} vectors reused, ${report.reembedded} re-embedded, ${report.failed} failed)`);
+    return report;
+}
+
+/**
+ * Move a collection to a new ID (persistent metadata, vectors, knownBranches)
+ * Vectors are copied before the source is purged, so a failed copy leaves them for the next sync.
+ * @param {string} sourceId - Legacy collection ID
+ * @param {string} targetId - New collection ID
+ * @param {object} infoUpdate - Fields merged into __collection_info__
+ * @returns {Promise<{memories: number, vectorsCopied: boolean, verified: boolean}>}
+ */
+async function rekeyCollection(sourceId, targetId, infoUpdate) {
+    const sourceData = memoryStorage.getCollection(sourceId);
+    const targetData = memoryStorage.getCollection(targetId);
+    const hashes = Object.keys(sourceData).filter(k => k !== '__collection_info__');
+
+    // Memories already under the new ID (written after the switch) win
+    const entries = Object.fromEntries(Object.entries(sourceData)
+        .filter(([hash]) => hash !== '__collection_info__' && !targetData[hash]));
+    entries['__collection_info__'] = {
+        ...(sourceData['__collection_info__'] || {}),
+        ...(targetData['__collection_info__'] || {}),
+        ...infoUpdate,
+    };
+    memoryStorage.setMany(targetId, entries);
+
+    let vectorsCopied = false;
+    if (backend && hashes.length > 0) {
+        const result = await copyLanceDBCollection(sourceId, targetId, hashes);
+        vectorsCopied = result.success;
+        if (vectorsCopied) {
+            await backend.purge(sourceId).catch(e => {
+                console.warn(`[${MODULE_NAME}] Failed to purge backend collection ${sourceId}:`, e.message);
+                queueBackendOperation({ type: OUTBOX_OP.PURGE, collectionId: sourceId });
+            });
+        } else if (result.queued) {
+            // Replayed after the queued copy, so the source is only purged once its vectors were copied
+            queueBackendOperation({ type: OUTBOX_OP.PURGE, collectionId: sourceId });
+        }
+    }
+
+    const migratedData = memoryStorage.getCollection(targetId);
+    const verified = hashes.every(hash => migratedData[hash] !== undefined);
+    if (verified) {
+        memoryStorage.deleteCollection(sourceId);
+    }
+
+    if (settings.knownBranches?.[sourceId]) {
+        settings.knownBranches[targetId] = settings.knownBranches[sourceId];
+        delete settings.knownBranches[sourceId];
+    }
+    if (lastKnownCollectionId === sourceId) lastKnownCollectionId = targetId;
+    if (lastHydratedCollectionId === sourceId) lastHydratedCollectionId = null;
+
+    return { memories: hashes.length, vectorsCopied, verified };
+}
+
+/**
+ * Work out the current-format ID of a legacy collection.
+ * Chat and avatar names are recovered by matching legacy hashes against the character/group chat lists;
+ * for index-based IDs the owner is the character whose chat list contains the chat - the stored index
+ * may point at another character after the list shifted.
+ * @param {string} collectionId - Legacy collection ID
+ * @param {object} characterIndex - Result of buildCharacterIndex
+ * @returns {{targetId?: string, characterId?: number, chatId?: string, reason?: string, candidates?: string[]}}
+ */
+function resolveMigrationTarget(collectionId, characterIndex) {
+    const characters = getContext().characters || [];
+    const parsed = parseCollectionId(collectionId);
+    const info = memoryStorage.getCollection(collectionId)['__collection_info__'] || {};
+
+    if (parsed.type === 'group') {
+        const chatId = characterIndex.groupChatsByHash.get(parsed.chatHash);
+        if (!chatId) return { reason: 'No group has this chat' };
+        return { targetId: calculateSourceCollectionId(chatId, undefined), chatId };
+    }
+
+    let chats = characterIndex.chatsByHash.get(parsed.chatHash) || [];
+    if (parsed.type === 'character') {
+        const ownerId = characterIndex.idsByKey.get(parsed.characterKey);
+        if (ownerId === undefined) return { reason: 'Character not found' };
+        chats = chats.filter(chat => chat.characterId === ownerId);
+    } else if (chats.length > 1 && info.characterName) {
+        // Same chat file name under several characters - narrow down by the recorded name
+        const byName = chats.filter(chat => characters[chat.characterId]?.name === info.characterName);
+        if (byName.length > 0) chats = byName;
+    }
+
+    if (chats.length === 0) return { reason: 'No character has this chat' };
+    if (chats.length > 1) return { candidates: chats.map(chat => characters[chat.characterId]?.name || chat.characterId) };
+
+    const { characterId, chatId } = chats[0];
+    const avatar = characters[characterId].avatar;
+    return { targetId: `${COLLECTION_PREFIX}${getAvatarKey(avatar)}_${getIdHash(chatId)}`, characterId, chatId };
+}
+
+/**
+ * Re-key legacy collections to the current ID format: index-based (ctx_sum_c{characterId}_*) and
+ * 32-bit hash IDs become avatar-keyed SHA-256 IDs. Ambiguous or unowned collections are left as
+ * they are and listed in the report (and skipped on later automatic runs).
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Only build the report
+ * @param {boolean} options.force - Re-check collections a previous report could not resolve
+ * @returns {Promise<object>} Verification report
+ */
+async function migrateCollectionKeys({ dryRun = false, force = false } = {}) {
+    const previous = force ? null : loadKeyMigrationReport();
+    const skipped = new Set([...(previous?.ambiguous || []), ...(previous?.unresolved || [])].map(entry => entry.collectionId));
+    const legacyIds = memoryStorage.getCollectionIds()
+        .filter(id => parseCollectionId(id) && !isCurrentCollectionId(id) && !skipped.has(id));
+
+    const report = {
+        dryRun,
+        runAt: Date.now(),
+        checked: legacyIds.length,
+        migrated: [],
+        ambiguous: previous?.ambiguous || [],
+        unresolved: previous?.unresolved || [],
+        failed: [],
+    };
+    if (legacyIds.length === 0) return report;
+
+    const characters = getContext().characters || [];
+    if (Object.keys(characters).length === 0) {
+        report.error = 'Character list not loaded';
+        return report;
+    }
+
+    await syncMutex.acquire();
+    try {
+        const characterIndex = await buildCharacterIndex();
+
+        for (const collectionId of legacyIds) {
+            const parsed = parseCollectionId(collectionId);
+            const info = memoryStorage.getCollection(collectionId)['__collection_info__'] || {};
+            const chatName = info.chatName || parsed.chatHash;
+
+            const target = resolveMigrationTarget(collectionId, characterIndex);
+            if (target.candidates) {
+                report.ambiguous.push({ collectionId, chatName, candidates: target.candidates });
+                continue;
+            }
+            if (!target.targetId) {
+                report.unresolved.push({ collectionId, chatName, reason: target.reason });
+                continue;
+            }
+
+            const { targetId, characterId } = target;
+            const character = characterId !== undefined ? characters[characterId] : null;
+            const entry = {
+                collectionId,
+                targetId,
+                chatName,
+                characterName: character?.name || 'Group Chats',
+                // The old ID pointed at another character - its memories were shown for the wrong one
+                indexShifted: parsed.type === 'legacy' && characterId !== parsed.legacyCharacterId,
+            };
+
+            if (dryRun) {
+                report.migrated.push(entry);
+                continue;
+            }
+
+            try {
+                const result = await rekeyCollection(collectionId, targetId, character ? {
+                    characterId,
+                    characterName: character.name,
+                    characterAvatar: character.avatar,
+                } : {});
+                report[result.verified ? 'migrated' : 'failed'].push({ ...entry, ...result });
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Re-keying ${collectionId} failed:`, error);
+                report.failed.push({ ...entry, error: error.message });
+            }
+        }
+    } finally {
+        syncMutex.release();
+    }
+
+    if (!dryRun) {
+        saveSettings();
+        localStorage.setItem(KEY_MIGRATION_REPORT_KEY, JSON.stringify(report));
+    }
 
-    console.log(`[${MODULE_NAME}] Cleaning up collection for deleted group chat ${chatId}`);
-    // Also clean knownBranches for deleted group chat (chat no longer exists)
-    if (settings.knownBranches?.[targetCollectionId]) delete settings.knownBranches[targetCollectionId];
-    await deleteCollections([targetCollectionId]);
-    console.log(`[${MODULE_NAME}] Cleanup complete for group chat ${chatId}`);
+    return report;
 }
 
 /**
- * Get all collections data for Global Management UI
- * @returns {Promise<Array<object>>} Array of collection metadata objects
+ * Run the collection key migration once the character list is loaded and report the outcome
  */
-async function getAllCollectionsData() {
-    const context = getContext();
-    const collections = [];
-    const characters = context.characters || {};
-
-    // Build a map of valid chat hashes for each character
-    const validChatHashes = new Map();
-    for (const [charId, character] of Object.entries(characters)) {
-        const chatNames = await getCharacterChatNames(character);
-        const hashes = new Set(chatNames.map(name => calculateHash(name)));
-        validChatHashes.set(parseInt(charId), hashes);
-    }
-
-    for (const [collectionId, hashMap] of Object.entries(settings.memoryData || {})) {
-        // Parse collection ID: ctx_sum_c{charId}_{chatHash} or ctx_sum_group_{chatHash}
-        const match = collectionId.match(/^ctx_sum_(c(\d+)|group)_(.+)$/);
-        if (!match) continue;
-
-        const charPrefix = match[1];
-        const characterId = charPrefix === 'group' ? null : parseInt(match[2]);
-        const chatHash = match[3];
+async function runCollectionKeyMigration() {
+    try {
+        const report = await migrateCollectionKeys();
+        if (report.checked === 0 || report.error) return;
 
-        // Get character info
-        const character = characterId !== null ? characters[characterId] : null;
+        console.log(`[${MODULE_NAME}] Collection key migration: ${report.migrated.length} re-keyed, ${report.ambiguous.length} ambiguous, ${report.unresolved.length} unresolved, ${report.failed.length} failed`);
+        if (report.migrated.length > 0) console.table(report.migrated);
 
-        // Check orphaned status: character deleted OR chat deleted
-        let isOrphaned = false;
-        let orphanReason = null;
-
-        if (characterId !== null) {
-            if (!character) {
-                isOrphaned = true;
-                orphanReason = 'deleted_character';
-            } else if (validChatHashes.has(characterId)) {
-                const validHashes = validChatHashes.get(characterId);
-                if (!validHashes.has(chatHash)) {
-                    isOrphaned = true;
-                    orphanReason = 'deleted_chat';
-                }
-            }
+        const shifted = report.migrated.filter(entry => entry.indexShifted).length;
+        if (report.migrated.length > 0) {
+            toastr.info(`Re-keyed ${report.migrated.length} chats to the current collection ID format` +
+                (shifted > 0 ? ` (${shifted} had been attached to the wrong character)` : ''), 'UwU Memory');
+            await hydrateMetadataCache(true);
+        }
+        if (report.failed.length > 0 || report.ambiguous.length > 0) {
+            toastr.warning('Some chats could not be re-keyed - see uwuMemoryDebug.getKeyMigrationReport()', 'UwU Memory');
         }
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Collection key migration failed:`, error);
+    }
+}
 
-        // Get collection info (chat name, etc.) from __collection_info__
-        const collectionInfo = hashMap?.['__collection_info__'] || {};
-        const chatName = collectionInfo.chatName || `Chat ${chatHash.substring(0, 8)}`;
+/**
+ * Load the last message key migration report
+ * @returns {object|null}
+ */
+function loadMessageKeyMigrationReport() {
+    try {
+        return JSON.parse(localStorage.getItem(MESSAGE_KEY_MIGRATION_REPORT_KEY)) || null;
+    } catch {
+        return null;
+    }
+}
 
-        // Calculate stats from hashMap (exclude __collection_info__ from count)
-        const memories = Object.entries(hashMap || {})
-            .filter(([key]) => key !== '__collection_info__')
-            .map(([, value]) => value);
-        const memoryCount = memories.length;
-        const totalChars = memories.reduce((sum, m) => sum + ((m.summary || '').length || 0), 0);
-        const timestamps = memories.map(m => m.createdAt || 0).filter(t => t > 0);
+/**
+ * Check whether a memory record still uses a legacy 32-bit hash in its key or content hash
+ * @param {string} hash - Memory hash
+ * @param {object} metadata - Memory metadata
+ * @returns {boolean}
+ */
+function isLegacyMessageRecord(hash, metadata) {
+    if (!hash.startsWith('mem_') || !metadata) return false;
+    return /_[0-9a-f]{8}$/.test(hash) || /^[0-9a-f]{8}$/.test(metadata.contentHash || '');
+}
 
-        collections.push({
-            collectionId,
-            characterId,
-            characterName: character?.name || (charPrefix === 'group' ? 'Group Chats' : 'Deleted Character'),
-            characterAvatar: character?.avatar || null,
-            chatHash,
-            chatName: isOrphaned && orphanReason === 'deleted_chat' ? `${chatName} (Deleted)` : chatName,
-            isGroup: charPrefix === 'group',
-            isOrphaned,
-            orphanReason,
-            memoryCount,
-            totalChars,
-            oldestMemory: timestamps.length ? Math.min(...timestamps) : 0,
-            newestMemory: timestamps.length ? Math.max(...timestamps) : 0,
-        });
+/**
+ * Read a chat file from the server
+ * @param {string} chatId - Chat file name
+ * @param {number|undefined} characterId - Owning character (undefined for group chats)
+ * @returns {Promise<object[]>} Chat file lines (character chats start with a header holding chat_metadata)
+ */
+async function fetchChatFile(chatId, characterId) {
+    const context = getContext();
+    const character = characterId !== undefined ? context.characters[characterId] : null;
+    const response = await fetch(character ? '/api/chats/get' : '/api/chats/group/get', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify(character
+            ? { ch_name: character.name, file_name: chatId, avatar_url: character.avatar }
+            : { id: chatId }),
+    });
+    if (!response.ok) {
+        throw new Error(`Chat could not be loaded (${response.status})`);
     }
 
-    // Sort: Orphaned first, then by character name
-    return collections.sort((a, b) => {
-        if (a.isOrphaned !== b.isOrphaned) return a.isOrphaned ? -1 : 1;
-        return (a.characterName || '').localeCompare(b.characterName || '');
-    });
+    const data = await response.json();
+    return Array.isArray(data) ? data : Object.values(data || {});
 }
 
 /**
- * Get all existing chat names for a character
- * @param {object} character - Character object with avatar property
- * @returns {Promise<string[]>} Array of chat file names (without .jsonl extension)
+ * Load the messages of a chat (the open chat from memory, others from the server)
+ * @param {string} chatId - Chat file name
+ * @param {number|undefined} characterId - Owning character (undefined for group chats)
+ * @returns {Promise<object[]>} Chat messages
  */
-async function getCharacterChatNames(character) {
-    if (!character || !character.avatar) return [];
-
-    try {
-        const context = getContext();
-        const response = await fetch('/api/characters/chats', {
-            method: 'POST',
-            headers: context.getRequestHeaders(),
-            body: JSON.stringify({ avatar_url: character.avatar, simple: true }),
-        });
+async function loadChatMessages(chatId, characterId) {
+    const context = getContext();
+    if (chatId === context.getCurrentChatId()) return context.chat || [];
 
-        if (response.ok) {
-            const data = await response.json();
-            return Object.values(data).map(x => x.file_name.replace('.jsonl', ''));
-        }
-    } catch (e) {
-        console.warn(`[${MODULE_NAME}] Failed to get chat names:`, e);
+    // Character chats start with a header line without a message
+    const messages = (await fetchChatFile(chatId, characterId))
+        .filter(message => typeof message?.mes === 'string');
+    if (messages.length === 0) {
+        throw new Error('Chat is empty or missing');
     }
-
-    return [];
+    return messages;
 }
 
 /**
- * Cleanup orphaned collections (collections for deleted characters OR deleted chats)
- * @returns {Promise<number>} Number of cleaned collections
+ * Re-key memories stored under legacy 32-bit message IDs (mem_{send_date}_{8 hex}) to the SHA-256 format
+ * and rewrite legacy content hashes. Each chat is loaded to find the memory's message; a memory is only
+ * moved when its message still has the content the old ID was made from. Vectors are re-inserted under
+ * the new hash before the old ones are deleted (queued for replay while the backend is down).
+ * Memories that could not be resolved keep their old keys, are listed in the report and are skipped
+ * on later automatic runs; the legacy ID and content hash are still recognized for them.
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Only build the report
+ * @param {boolean} options.force - Re-check memories a previous report could not resolve
+ * @returns {Promise<object>} Migration report
  */
-async function cleanupOrphanedCollections() {
-    const context = getContext();
-    const characters = context.characters || {};
-    const validCharacterIds = new Set(
-        Object.keys(characters).map(id => parseInt(id))
-    );
+async function migrateMessageKeys({ dryRun = false, force = false } = {}) {
+    const previous = force ? null : loadMessageKeyMigrationReport();
+    const skipped = new Set((previous?.unresolved || []).map(entry => `${entry.collectionId}/${entry.hash}`));
+    const pending = new Map();
+    for (const collectionId of memoryStorage.getCollectionIds()) {
+        const hashes = Object.entries(memoryStorage.getCollection(collectionId))
+            .filter(([hash, metadata]) => isLegacyMessageRecord(hash, metadata) && !skipped.has(`${collectionId}/${hash}`))
+            .map(([hash]) => hash);
+        if (hashes.length > 0) pending.set(collectionId, hashes);
+    }
 
-    // Build a map of valid collection suffixes for each character
-    // Format: characterId -> Set of valid chatHashes
-    const validChatHashes = new Map();
+    const report = {
+        dryRun,
+        runAt: Date.now(),
+        checked: pending.size,
+        migrated: [],
+        unresolved: previous?.unresolved || [],
+        failed: [],
+    };
+    if (pending.size === 0) return report;
 
-    for (const [charId, character] of Object.entries(characters)) {
-        const chatNames = await getCharacterChatNames(character);
-        const hashes = new Set(chatNames.map(name => calculateHash(name)));
-        validChatHashes.set(parseInt(charId), hashes);
+    if (Object.keys(getContext().characters || []).length === 0) {
+        report.error = 'Character list not loaded';
+        return report;
     }
 
-    const collectionsToDelete = [];
-    const allCollections = Object.keys(settings.memoryData || {});
+    await syncMutex.acquire();
+    try {
+        const characterIndex = await buildCharacterIndex();
 
-    for (const collectionId of allCollections) {
-        // Only check character-specific collections (not groups)
-        const match = collectionId.match(/^ctx_sum_c(\d+)_(.+)$/);
-        if (!match) continue;
+        for (const [collectionId, legacyHashes] of pending) {
+            const unresolve = (hashes, reason) => hashes.forEach(hash => report.unresolved.push({ collectionId, hash, reason }));
+
+            const target = resolveMigrationTarget(collectionId, characterIndex);
+            if (!target.chatId) {
+                unresolve(legacyHashes, target.reason || 'Chat matches several characters');
+                continue;
+            }
+
+            let chat;
+            try {
+                chat = await loadChatMessages(target.chatId, target.characterId);
+            } catch (error) {
+                unresolve(legacyHashes, error.message);
+                continue;
+            }
 
-        const characterId = parseInt(match[1]);
-        const chatHash = match[2];
+            const messagesBySendDate = new Map();
+            chat.forEach((message, index) => {
+                const sendDate = message.is_system ? '' : extractSendDate(message);
+                if (sendDate && !messagesBySendDate.has(sendDate)) messagesBySendDate.set(sendDate, index);
+            });
 
-        let shouldDelete = false;
+            const persistentData = memoryStorage.getCollection(collectionId);
+            const entries = {};
+            const moved = new Map(); // old hash -> new hash
+            let contentHashes = 0;
 
-        // Case 1: Character no longer exists
-        if (!validCharacterIds.has(characterId)) {
-            shouldDelete = true;
-        }
-        // Case 2: Character exists but chat no longer exists
-        else if (validChatHashes.has(characterId)) {
-            const validHashes = validChatHashes.get(characterId);
-            if (!validHashes.has(chatHash)) {
-                shouldDelete = true;
+            for (const hash of legacyHashes) {
+                const metadata = persistentData[hash];
+                const index = messagesBySendDate.get(getMemorySendDate(hash));
+                if (index === undefined) {
+                    unresolve([hash], 'Message not in chat');
+                    continue;
+                }
+
+                const message = chat[index];
+                const msgId = normalizeMessageId(message);
+                if (!matchesMessageId(message, hash.substring(4))) {
+                    // Edited since it was summarized - re-summarized under the new ID on the next pass
+                    unresolve([hash], 'Message edited since it was summarized');
+                    continue;
+                }
+
+                const unitText = getUnitText(chat, index, metadata.unit);
+                const sameContent = matchesContentHash(metadata.contentHash, unitText);
+                if (sameContent && metadata.contentHash !== getStringHash(unitText)) contentHashes++;
+
+                const targetHash = `mem_${msgId}`;
+                if (targetHash !== hash) moved.set(hash, targetHash);
+                // A memory written under the new ID since the upgrade wins
+                if (targetHash !== hash && persistentData[targetHash]) continue;
+
+                entries[targetHash] = {
+                    ...metadata,
+                    msgId,
+                    contentHash: sameContent ? getStringHash(unitText) : metadata.contentHash,
+                };
             }
-        }
 
-        if (shouldDelete) {
-            collectionsToDelete.push(collectionId);
+            if (moved.size === 0 && Object.keys(entries).length === 0) continue;
+            const entry = { collectionId, chatName: target.chatId, rekeyed: moved.size, contentHashes };
+            if (dryRun) {
+                report.migrated.push(entry);
+                continue;
+            }
+
+            try {
+                memoryStorage.setMany(collectionId, entries);
+                for (const hash of moved.keys()) {
+                    memoryStorage.delete(collectionId, hash);
+                    memoryMetadataCache.delete(hash);
+                }
+
+                const newHashes = [...moved.values()].filter(hash => entries[hash]);
+                const oldHashes = [...moved.keys()];
+                if (backendHealthy && backend) {
+                    if (newHashes.length > 0) await bulkInsertToBackend(collectionId, newHashes, null, { upsert: true });
+                    if (oldHashes.length > 0) {
+                        await backend.delete(collectionId, oldHashes).catch(e => {
+                            console.warn(`[${MODULE_NAME}] Failed to delete legacy vectors of ${collectionId}:`, e.message);
+                            queueBackendOperation({ type: OUTBOX_OP.DELETE, collectionId, hashes: oldHashes });
+                        });
+                    }
+                } else if (backend) {
+                    if (newHashes.length > 0) queueBackendOperation({ type: OUTBOX_OP.INSERT, collectionId, hashes: newHashes });
+                    if (oldHashes.length > 0) queueBackendOperation({ type: OUTBOX_OP.DELETE, collectionId, hashes: oldHashes });
+                }
+
+                report.migrated.push(entry);
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Re-keying memories of ${collectionId} failed:`, error);
+                report.failed.push({ ...entry, error: error.message });
+            }
         }
+    } finally {
+        syncMutex.release();
     }
 
-    if (collectionsToDelete.length > 0) {
-        // Also clean knownBranches for orphaned collections (chat/character no longer exists)
-        for (const id of collectionsToDelete) {
-            if (settings.knownBranches?.[id]) delete settings.knownBranches[id];
-        }
-        await deleteCollections(collectionsToDelete);
+    if (!dryRun) {
+        localStorage.setItem(MESSAGE_KEY_MIGRATION_REPORT_KEY, JSON.stringify(report));
     }
 
-    return collectionsToDelete.length;
+    return report;
 }
 
 /**
- * Purge a specific collection (for Global Management UI)
- * @param {string} collectionId - Collection ID to purge
+ * Run the message key migration and report the outcome
  */
-async function purgeCollection(collectionId) {
-    await deleteCollections([collectionId]);
+async function runMessageKeyMigration() {
+    try {
+        const report = await migrateMessageKeys();
+        if (report.checked === 0 || report.error) return;
+
+        const rekeyed = report.migrated.reduce((sum, entry) => sum + entry.rekeyed, 0);
+        console.log(`[${MODULE_NAME}] Message key migration: ${rekeyed} memories re-keyed in ${report.migrated.length} chats, ${report.unresolved.length} unresolved, ${report.failed.length} failed`);
+        if (report.migrated.length > 0) {
+            await memoryStorage.whenIdle();
+            await hydrateMetadataCache(true);
+        }
+        if (report.failed.length > 0) {
+            toastr.warning('Some memories could not be re-keyed - see uwuMemoryDebug.getMessageKeyMigrationReport()', 'UwU Memory');
+        }
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Message key migration failed:`, error);
+    }
+}
+
+/**
+ * Run the key migrations once the character list is loaded: collection IDs first, then the message IDs inside them
+ */
+async function runKeyMigrations() {
+    await runCollectionKeyMigration();
+    await runMessageKeyMigration();
 }
 
 /**
@@ -2120,6 +5352,7 @@ function normalizeQueryResult(item) {
             text: cached.summary,
             index: cached.turnIndex || item.index || 0,
             score: item.score || 0,
+            ...getSummaryFields(cached),
         };
     }
 
@@ -2130,9 +5363,20 @@ function normalizeQueryResult(item) {
         text: metadata.summary || item.text || '',
         index: metadata.turnIndex || item.index || 0,
         score: item.score || 0,
+        ...getSummaryFields(metadata),
     };
 }
 
+/**
+ * Get the template fields of a summary item: its tier (chapters and arcs are formatted with their
+ * turn range) and its structured fields
+ * @param {object} metadata - Memory metadata
+ * @returns {{level: number, turnStart: number, characters: string[]}} (and the other ENTITY_FIELDS)
+ */
+function getSummaryFields(metadata) {
+    return { level: getMemoryLevel(metadata), turnStart: getTurnRange(metadata).turnStart, ...normalizeEntities(metadata) };
+}
+
 /**
  * Format summaries for injection
  * @param {Array} summaries - Array of summary objects (already normalized)
@@ -2147,11 +5391,21 @@ function formatSummaries(summaries) {
 
     return summaries
         .map((summary, idx) => {
+            const turnEnd = summary.index || 0;
+            const turns = summary.level > MEMORY_LEVEL.MEMORY && summary.turnStart !== turnEnd
+                ? `${summary.turnStart}-${turnEnd}`
+                : String(turnEnd);
+
             let formatted = settings.memoryTemplate;
             formatted = formatted.replace('{{index}}', String(idx + 1));
-            formatted = formatted.replace('{{turnIndex}}', String(summary.index || 0));
+            formatted = formatted.replace('{{level}}', getLevelLabel(summary.level));
+            formatted = formatted.replace('{{turnIndex}}', turns);
             formatted = formatted.replace('{{content}}', summary.text || '');
             formatted = formatted.replace('{{score}}', String(summary.score?.toFixed(2) || ''));
+            for (const field of ENTITY_FIELDS) {
+                const values = summary[field] || [];
+                formatted = formatted.replace(`{{${field}}}`, () => values.join(field === 'facts' ? '; ' : ', '));
+            }
             formatted = formatted.replace(/\{\{user\}\}/g, context.name1);
             formatted = formatted.replace(/\{\{char\}\}/g, context.name2);
             return formatted;
@@ -2179,7 +5433,7 @@ function updateFormattedMemoryFromCache() {
         const context = getContext();
         const chat = context.chat || [];
 
-        // Calculate current max turn in the chat (character turns only)
+        // Calculate current max turn in the chat (in the summary unit)
         const currentMaxTurn = chat.length > 0
             ? calculateTurnNumber(chat, chat.length - 1)
             : 0;
@@ -2204,6 +5458,7 @@ function updateFormattedMemoryFromCache() {
                         text: metadata.summary,
                         index: turnIndex,
                         score: 0,
+                        ...getSummaryFields(metadata),
                     });
                 }
             }
@@ -2220,6 +5475,7 @@ function updateFormattedMemoryFromCache() {
                         text: metadata.summary,
                         index: turnIndex,
                         score: 0,
+                        ...getSummaryFields(metadata),
                     });
                 }
             }
@@ -2230,8 +5486,8 @@ function updateFormattedMemoryFromCache() {
             return;
         }
 
-        // Sort by turn index (chronological order)
-        allSummaries.sort((a, b) => a.index - b.index);
+        // Sort by turn index (chronological order, a chapter after the last memory it covers)
+        allSummaries.sort((a, b) => a.index - b.index || a.level - b.level);
 
         // Take the most recent N summaries based on settings
         const maxRecent = settings.maxRetrievedSummaries || 10;
@@ -2245,12 +5501,86 @@ function updateFormattedMemoryFromCache() {
     }
 }
 
+/**
+ * Rank summaries by BM25 keyword relevance to the query
+ * @param {Array} summaries - Eligible summaries ({hash, text, index, score})
+ * @param {string} queryText - Query text
+ * @param {number} limit - Max results
+ * @returns {Array} Matching summaries, best first
+ */
+function searchKeywords(summaries, queryText, limit) {
+    if (!queryText || summaries.length === 0) return [];
+
+    const byHash = new Map(summaries.map(s => [s.hash, s]));
+    const index = new BM25Index().build(summaries.map(s => ({ id: s.hash, text: s.text })));
+
+    return index.search(queryText, limit).map(result => byHash.get(result.id));
+}
+
+/**
+ * Fuse vector and keyword rankings with reciprocal rank fusion.
+ * settings.keywordWeight (0-1) sets the keyword share; the vector list gets the rest.
+ * @param {Array} vectorResults - Normalized vector results, best first
+ * @param {Array} keywordResults - Keyword results, best first
+ * @returns {Array} Fused summaries, best first (vector similarity kept as score)
+ */
+function fuseRankings(vectorResults, keywordResults) {
+    const keywordWeight = Math.min(1, Math.max(0, settings.keywordWeight ?? 0.3));
+    const byHash = new Map();
+    for (const item of [...keywordResults, ...vectorResults]) {
+        byHash.set(item.hash, item);
+    }
+
+    return reciprocalRankFusion([
+        { ids: vectorResults.map(s => s.hash), weight: 1 - keywordWeight },
+        { ids: keywordResults.map(s => s.hash), weight: keywordWeight },
+    ]).map(result => byHash.get(result.id));
+}
+
+/**
+ * Select summaries for injection: always-include recent N, then ranked results,
+ * then more recent summaries if the ranked list runs short.
+ * @param {Array} rankedResults - Relevance-ranked summaries, best first (may be empty)
+ * @param {Array} allSummaries - Eligible summaries sorted most recent first
+ * @returns {Array} Selected summaries (unsorted)
+ */
+function selectSummaries(rankedResults, allSummaries) {
+    // Get always-include recent N
+    const recentSummaries = allSummaries.slice(0, settings.alwaysIncludeRecentN);
+    const recentHashes = new Set(recentSummaries.map(s => s.hash));
+
+    // Filter ranked results to exclude recent ones (already in recentSummaries)
+    const filteredRanked = rankedResults.filter(s => !recentHashes.has(s.hash));
+
+    // Calculate how many ranked results we need
+    const neededFromRanked = settings.maxRetrievedSummaries - recentSummaries.length;
+    const selectedRanked = filteredRanked.slice(0, Math.max(0, neededFromRanked));
+
+    // If we don't have enough ranked results, fill from additional recent
+    let additionalRecent = [];
+    if (selectedRanked.length < neededFromRanked) {
+        const shortage = neededFromRanked - selectedRanked.length;
+        const alreadySelected = new Set([
+            ...recentSummaries.map(s => s.hash),
+            ...selectedRanked.map(s => s.hash),
+        ]);
+
+        additionalRecent = allSummaries
+            .filter(s => !alreadySelected.has(s.hash))
+            .slice(0, shortage);
+    }
+
+    // Combine all selected summaries
+    return [...selectedRanked, ...recentSummaries, ...additionalRecent];
+}
+
 /**
  * Prepare memory content for macro injection
  * Called BEFORE generation to populate currentFormattedMemory
  * This ensures the macro returns actual content when evaluated
+ * @param {AbortSignal} signal - Cancels backend requests (generation stopped / chat changed)
  */
-async function prepareMemoryForGeneration() {
+async function prepareMemoryForGeneration(signal = undefined) {
     if (!settings) return;
     if (isPreparingMemory) return;
 
@@ -2279,7 +5609,7 @@ async function prepareMemoryForGeneration() {
             return;
         }
 
-        // Calculate current max turn (character turns only) and valid turnIndex threshold
+        // Calculate current max turn (in the summary unit) and valid turnIndex threshold
         // Only include summaries for turns that are "old enough" based on minTurnToStartSummary
         const currentMaxTurn = calculateTurnNumber(chat, chat.length - 1);
         const minTurns = settings.minTurnToStartSummary || 3;
@@ -2304,6 +5634,7 @@ async function prepareMemoryForGeneration() {
                 index: turnIndex,
                 score: 0,
                 turnIndex: turnIndex,
+                ...getSummaryFields(metadata),
             });
 
             // Also populate cache
@@ -2312,75 +5643,80 @@ async function prepareMemoryForGeneration() {
             }
         }
 
-        // Sort by turn index (most recent first)
-        allSummaries.sort((a, b) => b.index - a.index);
+        // Sort by turn index (most recent first; on ties memories before the chapters covering them,
+        // so the always-included recent slots go to memories)
+        allSummaries.sort((a, b) => b.index - a.index || a.level - b.level);
+
+        // Build query from recent messages
+        const queryText = buildQueryFromRecentMessages(chat);
+
+        // Keyword (BM25) ranking over eligible summaries - used for fusion and as fallback
+        const keywordResults = settings.hybridSearch
+            ? searchKeywords(allSummaries, queryText, settings.maxRetrievedSummaries * 2)
+            : [];
 
-        let similarResults = [];
         let allSelected = [];
 
         // Use vector search if backend is healthy, otherwise use fallback
         if (backendHealthy && backend) {
-            // Build query from recent messages
-            const queryText = buildQueryFromRecentMessages(chat);
-
             // Query for relevant summaries via vector search
             try {
+                // Fetch a larger candidate pool when fusing with keyword results
+                const vectorTopK = settings.hybridSearch
+                    ? settings.maxRetrievedSummaries * 2
+                    : settings.maxRetrievedSummaries;
+
+                // Exclude summaries that are too recent in the backend, so top-K counts eligible ones only
+                const filter = { turnRange: { max: maxValidTurnIndex } };
+
                 const rawResults = await backend.query(
                     collectionId,
                     queryText,
-                    settings.maxRetrievedSummaries,
-                    settings.scoreThreshold
+                    vectorTopK,
+                    settings.scoreThreshold,
+                    filter,
+                    { signal }
                 );
 
                 // Normalize query results to extract actual summary text from JSON metadata
-                // Also filter by turn validation - exclude summaries that are too recent
-                similarResults = rawResults
+                // Re-check against local metadata (backend items may lack filter fields)
+                const similarResults = rawResults
                     .map(normalizeQueryResult)
-                    .filter(s => (s.index || 0) <= maxValidTurnIndex);
-
-                // Get always-include recent N
-                const recentSummaries = allSummaries.slice(0, settings.alwaysIncludeRecentN);
-                const recentHashes = new Set(recentSummaries.map(s => s.hash));
-
-                // Filter similar results to exclude recent ones (already in recentSummaries)
-                const filteredSimilar = similarResults.filter(s => !recentHashes.has(s.hash));
-
-                // Calculate how many similar results we need
-                const neededFromSimilar = settings.maxRetrievedSummaries - settings.alwaysIncludeRecentN;
-                const selectedSimilar = filteredSimilar.slice(0, neededFromSimilar);
-
-                // If we don't have enough similar results, fill from additional recent
-                let additionalRecent = [];
-                if (selectedSimilar.length < neededFromSimilar) {
-                    const shortage = neededFromSimilar - selectedSimilar.length;
-                    const alreadySelected = new Set([
-                        ...recentSummaries.map(s => s.hash),
-                        ...selectedSimilar.map(s => s.hash),
-                    ]);
-
-                    additionalRecent = allSummaries
-                        .filter(s => !alreadySelected.has(s.hash))
-                        .slice(0, shortage);
-                }
+                    .filter(s => matchesFilter({ turnIndex: s.index || 0 }, filter));
 
-                // Combine all selected summaries
-                allSelected = [...selectedSimilar, ...recentSummaries, ...additionalRecent];
+                const rankedResults = settings.hybridSearch
+                    ? fuseRankings(similarResults, keywordResults)
+                    : similarResults;
+
+                allSelected = selectSummaries(rankedResults, allSummaries);
             } catch (error) {
+                if (error instanceof BackendAbortError) throw error;
+
+                // Outages switch to fallback mode so later generations don't wait on the same timeout
+                if (error instanceof BackendTimeoutError || (error instanceof BackendServerError && error.retryable)) {
+                    markBackendUnavailable(error);
+                }
+
                 console.warn(`[${MODULE_NAME}] Vector search failed, using fallback:`, error.message);
-                // Fall through to fallback mode
-                allSelected = allSummaries.slice(0, settings.maxRetrievedSummaries);
+                // Fall through to fallback mode (keyword ranking if available)
+                allSelected = selectSummaries(keywordResults, allSummaries);
             }
         } else {
-            // Fallback mode: just use recent memories (no semantic search)
-            allSelected = allSummaries.slice(0, settings.maxRetrievedSummaries);
+            // Fallback mode: keyword ranking if enabled, otherwise just recent memories (no semantic search)
+            allSelected = selectSummaries(keywordResults, allSummaries);
         }
 
         // Sort by turn index ascending (chronological order)
-        allSelected.sort((a, b) => a.index - b.index);
+        allSelected.sort((a, b) => a.index - b.index || a.level - b.level);
 
         // Format and store for macro injection
         currentFormattedMemory = formatSummaries(allSelected);
     } catch (error) {
+        if (error instanceof BackendAbortError) {
+            // Cancelled - keep the cache-based memory
+            console.log(`[${MODULE_NAME}] Memory retrieval cancelled`);
+            return;
+        }
         console.error(`[${MODULE_NAME}] Error preparing memory:`, error);
         currentFormattedMemory = '';
     } finally {
@@ -2409,7 +5745,10 @@ async function uwuMemory_interceptChat(chat, contextSize, abort, type) {
     try {
         // CRITICAL: Prepare memory with RAG search BEFORE prompts are combined
         // This is the only async entry point before macro evaluation
-        await prepareMemoryForGeneration();
+        // Backend requests are cancelled if the generation is stopped
+        cancelRetrieval();
+        retrievalController = new AbortController();
+        await prepareMemoryForGeneration(retrievalController.signal);
 
         // Get summarized message IDs
         const summarizedIds = await getSummarizedMessageIds();
@@ -2419,25 +5758,23 @@ async function uwuMemory_interceptChat(chat, contextSize, abort, type) {
 
         // Calculate maxValidTurnIndex — MUST match the filter used in prepareMemoryForGeneration
         // Only remove messages that are actually covered by retrieved summaries
-        const totalCharTurns = calculateTurnNumber(chat, chat.length - 1);
+        const totalTurns = calculateTurnNumber(chat, chat.length - 1);
         const minTurns = settings.minTurnToStartSummary || 3;
-        const maxValidTurnIndex = totalCharTurns - minTurns;
+        const maxValidTurnIndex = totalTurns - minTurns;
 
-        // Find the last assistant message index within the retrievable summary range.
+        // Find the last turn message index within the retrievable summary range.
         // Only remove messages up to this point — user messages after the last summarized
-        // assistant are kept as context for the first unsummarized response.
-        let charTurnCount = 0;
-        let lastSummarizedAssistantIndex = -1;
+        // assistant are kept as context for the first unsummarized response (they are part of
+        // its exchange). In 'separate' mode user messages are turns and are removed like replies.
+        let turnCount = 0;
+        let lastSummarizedTurnIndex = -1;
         for (let i = 0; i < chat.length; i++) {
-            const msg = chat[i];
-            if (msg.is_system) continue;
-            if (!msg.is_user) {
-                charTurnCount++;
-                if (charTurnCount > maxValidTurnIndex) break;
-                lastSummarizedAssistantIndex = i;
-            }
+            if (!isTurnMessage(chat[i])) continue;
+            turnCount++;
+            if (turnCount > maxValidTurnIndex) break;
+            lastSummarizedTurnIndex = i;
         }
-        const maxRemovableIndex = lastSummarizedAssistantIndex;
+        const maxRemovableIndex = lastSummarizedTurnIndex;
 
         if (maxRemovableIndex < 0) return;
 
@@ -2486,6 +5823,76 @@ function createSettingsHtml() {
                     </span>
                 </div>
 
+                <!-- Backend selection -->
+                <div class="flex-container flexFlowColumn marginTopBot5" title="Vector storage used for semantic search. Memories are re-synced when switching.">
+                    <label for="um-backend-select"><small>Vector Backend</small></label>
+                    <select id="um-backend-select" class="text_pole">
+                        ${BackendFactory.getAvailableBackends().map(name => `
+                        <option value="${name}" ${settings.backend === name ? 'selected' : ''}>${BackendFactory.getDisplayName(name)}</option>`).join('')}
+                    </select>
+                </div>
+
+                <!-- SillyTavern Vectors backend options -->
+                <div id="um-st-vectors-options" class="flex-container marginTopBot5" style="display: ${settings.backend === 'st-vectors' ? 'flex' : 'none'};">
+                    <div class="flex-container flex1 flexFlowColumn" title="Embedding source used by SillyTavern's /api/vector endpoints">
+                        <label for="um-st-vector-source"><small>Embedding Source</small></label>
+                        <select id="um-st-vector-source" class="text_pole">
+                            ${ST_VECTOR_SOURCES.map(source => `
+                            <option value="${source.value}" ${settings.stVectorSource === source.value ? 'selected' : ''}>${source.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Embedding model (leave empty for the source default)">
+                        <label for="um-st-vector-model"><small>Embedding Model</small></label>
+                        <input type="text" id="um-st-vector-model" class="text_pole" value="${settings.stVectorModel || ''}" placeholder="Default">
+                    </div>
+                </div>
+
+                <!-- In-browser backend embedding options -->
+                <div id="um-browser-embedding-options" class="flex-container flexFlowColumn marginTopBot5" style="display: ${settings.backend === 'indexeddb' ? 'flex' : 'none'};">
+                    <div class="flex-container flexFlowColumn" title="Built-in hashing only matches shared words (lexical fallback). Use an embeddings endpoint for semantic search.">
+                        <label for="um-browser-embedding-source"><small>Embedding Source</small></label>
+                        <select id="um-browser-embedding-source" class="text_pole">
+                            ${BROWSER_EMBEDDING_SOURCES.map(source => `
+                            <option value="${source.value}" ${settings.browserEmbeddingSource === source.value ? 'selected' : ''}>${source.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div id="um-browser-embedding-endpoint" class="flex-container" style="display: ${settings.browserEmbeddingSource === 'openai-compatible' ? 'flex' : 'none'};">
+                        <div class="flex-container flex1 flexFlowColumn" title="API base URL; /embeddings is appended">
+                            <label for="um-browser-embedding-url"><small>API URL</small></label>
+                            <input type="text" id="um-browser-embedding-url" class="text_pole" value="${settings.browserEmbeddingUrl || ''}" placeholder="http://localhost:11434/v1">
+                        </div>
+                        <div class="flex-container flex1 flexFlowColumn" title="Embedding model name, e.g. nomic-embed-text">
+                            <label for="um-browser-embedding-model"><small>Model</small></label>
+                            <input type="text" id="um-browser-embedding-model" class="text_pole" value="${settings.browserEmbeddingModel || ''}" placeholder="nomic-embed-text">
+                        </div>
+                        <div class="flex-container flex1 flexFlowColumn" title="Bearer token (leave empty for local servers). Saved in this browser only, not in settings.json">
+                            <label for="um-browser-embedding-key"><small>API Key</small></label>
+                            <input type="password" id="um-browser-embedding-key" class="text_pole" value="${loadEmbeddingApiKey()}" autocomplete="off">
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Bulk sync settings -->
+                <div class="flex-container marginTopBot5">
+                    <div class="flex-container flex1 flexFlowColumn" title="Memories sent per insert call when syncing or copying to the backend">
+                        <label for="um-sync-chunk-size"><small>Sync Chunk Size</small></label>
+                        <input type="number" id="um-sync-chunk-size" class="text_pole" min="1" value="${settings.syncChunkSize}">
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Insert calls running in parallel during sync">
+                        <label for="um-sync-concurrency"><small>Sync Concurrency</small></label>
+                        <input type="number" id="um-sync-concurrency" class="text_pole" min="1" value="${settings.syncConcurrency}">
+                    </div>
+                </div>
+
+                <!-- Memory storage location -->
+                <div class="flex-container flexFlowColumn marginTopBot5" title="Where summaries are saved. 'Chat file' keeps each chat's memories in its chat metadata, so they travel with exports, imports, renames and branches.">
+                    <label for="um-storage-mode"><small>Memory Storage</small></label>
+                    <select id="um-storage-mode" class="text_pole">
+                        <option value="${STORAGE_MODE.BROWSER}" ${settings.memoryStorageMode !== STORAGE_MODE.CHAT ? 'selected' : ''}>Browser (IndexedDB)</option>
+                        <option value="${STORAGE_MODE.CHAT}" ${settings.memoryStorageMode === STORAGE_MODE.CHAT ? 'selected' : ''}>Chat file (chat_metadata)</option>
+                    </select>
+                </div>
+
                 <hr>
                 <h4>Summarization</h4>
 
@@ -2515,10 +5922,110 @@ function createSettingsHtml() {
                     </div>
                 </div>
 
-                <!-- Summary Prompt -->
+                <!-- Summary unit -->
+                <div class="flex-container flexFlowColumn marginTopBot5" title="What one memory summarizes. Applies to new summaries; existing memories keep their turn numbers until regenerated.">
+                    <label for="um-summary-unit"><small>Summary Unit</small></label>
+                    <select id="um-summary-unit" class="text_pole">
+                        <option value="${SUMMARY_UNIT.CHARACTER}" ${getSummaryUnit() === SUMMARY_UNIT.CHARACTER ? 'selected' : ''}>Character messages</option>
+                        <option value="${SUMMARY_UNIT.EXCHANGE}" ${getSummaryUnit() === SUMMARY_UNIT.EXCHANGE ? 'selected' : ''}>Exchanges (user + character)</option>
+                        <option value="${SUMMARY_UNIT.SEPARATE}" ${getSummaryUnit() === SUMMARY_UNIT.SEPARATE ? 'selected' : ''}>User and character messages separately</option>
+                    </select>
+                </div>
+
+                <!-- Summary Prompt -->
+                <div class="flex-container flexFlowColumn marginTopBot5">
+                    <label for="um-summary-prompt"><small>Summary Prompt (ChatML Support)</small></label>
+                    <textarea id="um-summary-prompt" class="text_pole textarea_compact" rows="6">${settings.summaryPrompt}</textarea>
+                </div>
+
+                <!-- Batched summarization -->
+                <div class="flex-container marginTopBot5">
+                    <label class="checkbox_label flex1" for="um-batch-summarization" title="Summarize several nearby messages in one request (JSON keyed by turn). Falls back to one request per message when the response can't be parsed.">
+                        <input id="um-batch-summarization" type="checkbox" class="checkbox" ${settings.batchSummarization ? 'checked' : ''}>
+                        <span>Batch Summaries</span>
+                    </label>
+                    <div class="flex-container flex1 flexFlowColumn" title="Messages summarized per request (and per regenerate step)">
+                        <label for="um-batch-size"><small>Messages per Batch</small></label>
+                        <input type="number" id="um-batch-size" class="text_pole" min="1" value="${settings.batchSize}">
+                    </div>
+                </div>
+
+                <!-- Batch Summary Prompt -->
+                <div class="flex-container flexFlowColumn marginTopBot5">
+                    <label for="um-batch-summary-prompt"><small>Batch Summary Prompt ({{targets}}, {{context}})</small></label>
+                    <textarea id="um-batch-summary-prompt" class="text_pole textarea_compact" rows="6">${settings.batchSummaryPrompt}</textarea>
+                </div>
+
+                <!-- Summary validation -->
+                <div class="flex-container marginTopBot5">
+                    <label class="checkbox_label flex1" for="um-validation-enabled" title="Clean up generated summaries and retry ones that fail the checks below. Rejects are listed by uwuMemoryDebug.getSummaryRejects().">
+                        <input id="um-validation-enabled" type="checkbox" class="checkbox" ${settings.summaryValidation.enabled ? 'checked' : ''}>
+                        <span>Validate Summaries</span>
+                    </label>
+                    <label class="checkbox_label flex1" for="um-validation-language" title="Reject summaries written in another script than the summarized message">
+                        <input id="um-validation-language" type="checkbox" class="checkbox" ${settings.summaryValidation.checkLanguage ? 'checked' : ''}>
+                        <span>Language Match</span>
+                    </label>
+                </div>
+                <div class="flex-container marginTopBot5">
+                    <div class="flex-container flex1 flexFlowColumn" title="Extra requests after a rejected summary">
+                        <label for="um-validation-retries"><small>Retries</small></label>
+                        <input type="number" id="um-validation-retries" class="text_pole" min="0" value="${settings.summaryValidation.maxRetries}">
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Minimum summary length in characters (0 = no limit)">
+                        <label for="um-validation-min-length"><small>Min Length</small></label>
+                        <input type="number" id="um-validation-min-length" class="text_pole" min="0" value="${settings.summaryValidation.minLength}">
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Maximum summary length in characters (0 = no limit)">
+                        <label for="um-validation-max-length"><small>Max Length</small></label>
+                        <input type="number" id="um-validation-max-length" class="text_pole" min="0" value="${settings.summaryValidation.maxLength}">
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Maximum paragraphs (0 = no limit)">
+                        <label for="um-validation-max-paragraphs"><small>Max Paragraphs</small></label>
+                        <input type="number" id="um-validation-max-paragraphs" class="text_pole" min="0" value="${settings.summaryValidation.maxParagraphs}">
+                    </div>
+                </div>
+                <div class="flex-container flexFlowColumn marginTopBot5" title="One regex per line (case-insensitive). Matches are removed from the summary before the checks.">
+                    <label for="um-validation-cleanup"><small>Cleanup Patterns (one regex per line)</small></label>
+                    <textarea id="um-validation-cleanup" class="text_pole textarea_compact" rows="3">${settings.summaryValidation.cleanupPatterns.join('\n')}</textarea>
+                </div>
+                <div class="flex-container flexFlowColumn marginTopBot5" title="One regex per line (case-insensitive). A match rejects the summary.">
+                    <label for="um-validation-banned"><small>Banned Patterns (one regex per line)</small></label>
+                    <textarea id="um-validation-banned" class="text_pole textarea_compact" rows="3">${settings.summaryValidation.bannedPatterns.join('\n')}</textarea>
+                </div>
+
+                <!-- Chapter / Arc size row -->
+                <div class="flex-container marginTopBot5">
+                    <div class="flex-container flex1 flexFlowColumn" title="Summarize every N memories into a chapter (0 = off)">
+                        <label for="um-chapter-size"><small>Memories per Chapter</small></label>
+                        <input type="number" id="um-chapter-size" class="text_pole" min="0" value="${settings.chapterSize || 0}">
+                    </div>
+                    <div class="flex-container flex1 flexFlowColumn" title="Summarize every N chapters into an arc (0 = off, needs chapters)">
+                        <label for="um-arc-size"><small>Chapters per Arc</small></label>
+                        <input type="number" id="um-arc-size" class="text_pole" min="0" value="${settings.arcSize || 0}">
+                    </div>
+                </div>
+
+                <!-- Chapter Prompt -->
+                <div class="flex-container flexFlowColumn marginTopBot5">
+                    <label for="um-chapter-prompt"><small>Chapter / Arc Prompt ({{summaries}}, {{turnStart}}, {{turnEnd}}, {{level}})</small></label>
+                    <textarea id="um-chapter-prompt" class="text_pole textarea_compact" rows="6">${settings.chapterPrompt}</textarea>
+                </div>
+
+                <!-- Structured fields -->
+                <div class="flex-container marginTopBot5">
+                    <label class="checkbox_label" for="um-structured-extraction" title="One extra request per memory (per batch with batched summaries) extracts characters, locations, items, keywords and facts. Usable in the memory template and in query filters.">
+                        <input id="um-structured-extraction" type="checkbox" class="checkbox" ${settings.structuredExtraction ? 'checked' : ''}>
+                        <span>Extract Characters, Locations, Items, Keywords &amp; Facts</span>
+                    </label>
+                </div>
                 <div class="flex-container flexFlowColumn marginTopBot5">
-                    <label for="um-summary-prompt"><small>Summary Prompt (ChatML Support)</small></label>
-                    <textarea id="um-summary-prompt" class="text_pole textarea_compact" rows="6">${settings.summaryPrompt}</textarea>
+                    <label for="um-extraction-prompt"><small>Extraction Prompt ({{targetMessage}}, {{summary}})</small></label>
+                    <textarea id="um-extraction-prompt" class="text_pole textarea_compact" rows="6">${settings.extractionPrompt}</textarea>
+                </div>
+                <div class="flex-container flexFlowColumn marginTopBot5" title="Used instead of the extraction prompt when batched summaries are on: one request extracts the fields of the whole batch">
+                    <label for="um-batch-extraction-prompt"><small>Batch Extraction Prompt ({{targets}})</small></label>
+                    <textarea id="um-batch-extraction-prompt" class="text_pole textarea_compact" rows="6">${settings.batchExtractionPrompt}</textarea>
                 </div>
 
                 <!-- Context Format for Summary -->
@@ -2565,6 +6072,18 @@ function createSettingsHtml() {
                     </div>
                 </div>
 
+                <!-- Hybrid keyword search -->
+                <div class="flex-container marginTopBot5">
+                    <label class="checkbox_label flex1" for="um-hybrid-search" title="Fuse keyword (BM25) matches with vector results. Also ranks memories by keywords in fallback mode.">
+                        <input id="um-hybrid-search" type="checkbox" class="checkbox" ${settings.hybridSearch ? 'checked' : ''}>
+                        <span>Hybrid Keyword Search</span>
+                    </label>
+                    <div class="flex-container flex1 flexFlowColumn" title="Keyword share in rank fusion (0 = vector only, 1 = keyword only)">
+                        <label for="um-keyword-weight"><small>Keyword Weight</small></label>
+                        <input type="number" id="um-keyword-weight" class="text_pole" min="0" max="1" step="0.1" value="${settings.keywordWeight}">
+                    </div>
+                </div>
+
                 <hr>
                 <h4>Injection</h4>
 
@@ -2594,17 +6113,29 @@ function createSettingsHtml() {
                     <input id="um-delete-on-delete" type="checkbox" class="checkbox" ${settings.deleteMemoryOnMsgDelete ? 'checked' : ''}>
                     <span>Delete Memory on Message Delete</span>
                 </label>
+                <label class="checkbox_label marginTopBot5" for="um-auto-reindex" title="Rebuild a chat's vectors from its saved summaries when the backend's embedding model has changed">
+                    <input id="um-auto-reindex" type="checkbox" class="checkbox" ${settings.autoReindexOnModelChange ? 'checked' : ''}>
+                    <span>Auto Re-index on Embedding Model Change</span>
+                </label>
 
                 <hr>
                 <h4>Status</h4>
 
                 <!-- Status display -->
                 <div class="flex-container marginTopBot5">
-                    <div class="flex1"><small>Backend: <b id="um-status-backend">LanceDB</b></small></div>
+                    <div class="flex1"><small>Backend: <b id="um-status-backend">${getBackendDisplayName()}</b></small></div>
                     <div class="flex1"><small>Pending: <b id="um-status-pending">0</b></small></div>
                     <div class="flex1"><small>Cached: <b id="um-status-cached">0</b></small></div>
                 </div>
 
+                <!-- Bulk sync progress -->
+                <div id="um-sync-progress" class="um-progress-container" style="display: none;">
+                    <div class="um-progress-bar">
+                        <div id="um-sync-progress-fill" class="um-progress-fill" style="width: 0%;"></div>
+                    </div>
+                    <div id="um-sync-progress-text" class="um-progress-text"></div>
+                </div>
+
                 <!-- Action buttons -->
                 <div class="flex-container marginTopBot5">
                     <div id="um-btn-test" class="menu_button menu_button_icon" title="Test backend connection">
@@ -2629,6 +6160,10 @@ function createSettingsHtml() {
                         <i class="fa-solid fa-chart-bar"></i>
                         <span>Stats</span>
                     </div>
+                    <div id="um-btn-regenerate-all" class="menu_button menu_button_icon" title="Summarize this chat's memories again">
+                        <i class="fa-solid fa-rotate"></i>
+                        <span>Regenerate</span>
+                    </div>
                 </div>
             </div>
         </div>
@@ -2640,6 +6175,101 @@ function createSettingsHtml() {
  * Setup UI event handlers
  */
 function setupUIHandlers() {
+    // Vector backend
+    $('#um-backend-select').on('change', async function () {
+        const $select = $(this);
+        const name = $select.val();
+        if (name === backend?.getName()) return;
+
+        $select.prop('disabled', true);
+        try {
+            const healthy = await switchBackend(name);
+            if (healthy) {
+                toastr.success(`Switched to ${getBackendDisplayName()}`);
+            } else {
+                toastr.warning(`Switched to ${getBackendDisplayName()}, but it is not available. Using fallback mode.`);
+            }
+        } catch (error) {
+            toastr.error(`Backend switch failed: ${error.message}`);
+        } finally {
+            $select.val(backend?.getName());
+            $select.prop('disabled', false);
+            $('#um-st-vectors-options').toggle(backend?.getName() === 'st-vectors');
+            $('#um-browser-embedding-options').toggle(backend?.getName() === 'indexeddb');
+        }
+    });
+
+    // Memory storage mode - the open chat migrates now, others when opened
+    $('#um-storage-mode').on('change', async function () {
+        const $select = $(this);
+        $select.prop('disabled', true);
+        try {
+            const moved = await switchMemoryStorageMode($select.val());
+            const target = usesChatStorage() ? 'the chat file' : 'browser storage';
+            toastr.success(moved > 0 ? `Moved ${moved} memories to ${target}` : `Memories are now saved in ${target}`);
+        } catch (error) {
+            toastr.error(`Storage mode switch failed: ${error.message}`);
+        } finally {
+            $select.val(settings.memoryStorageMode);
+            $select.prop('disabled', false);
+        }
+    });
+
+    // SillyTavern Vectors source/model - vectors live per source, so re-sync into the new store
+    const onSTVectorOptionsChanged = async () => {
+        saveSettings();
+        if (backend?.getName() !== 'st-vectors') return;
+
+        try {
+            await switchBackend('st-vectors');
+        } catch (error) {
+            toastr.error(`Failed to apply embedding settings: ${error.message}`);
+        }
+    };
+
+    $('#um-st-vector-source').on('change', function () {
+        settings.stVectorSource = $(this).val();
+        onSTVectorOptionsChanged();
+    });
+
+    $('#um-st-vector-model').on('change', function () {
+        settings.stVectorModel = String($(this).val()).trim();
+        onSTVectorOptionsChanged();
+    });
+
+    // In-browser embedding source - a new model id re-indexes the chat's vectors (see checkEmbeddingModel)
+    const onBrowserEmbeddingChanged = async () => {
+        saveSettings();
+        $('#um-browser-embedding-endpoint').toggle(settings.browserEmbeddingSource === 'openai-compatible');
+        if (!backend?.setEmbeddingFunction) return;
+
+        backend.setEmbeddingFunction(getBrowserEmbeddingFunction());
+        const healthy = await checkBackendHealth();
+        if (!healthy) {
+            toastr.warning('Embedding endpoint is not reachable. Using fallback mode.');
+        }
+    };
+
+    $('#um-browser-embedding-source').on('change', function () {
+        settings.browserEmbeddingSource = $(this).val();
+        onBrowserEmbeddingChanged();
+    });
+
+    $('#um-browser-embedding-url').on('change', function () {
+        settings.browserEmbeddingUrl = String($(this).val()).trim();
+        onBrowserEmbeddingChanged();
+    });
+
+    $('#um-browser-embedding-model').on('change', function () {
+        settings.browserEmbeddingModel = String($(this).val()).trim();
+        onBrowserEmbeddingChanged();
+    });
+
+    $('#um-browser-embedding-key').on('change', function () {
+        saveEmbeddingApiKey(String($(this).val()).trim());
+        onBrowserEmbeddingChanged();
+    });
+
     // Connection profile
     $('#um-connection-profile').on('change', function () {
         settings.connectionProfile = $(this).val();
@@ -2663,6 +6293,73 @@ function setupUIHandlers() {
         saveSettings();
     });
 
+    $('#um-summary-unit').on('change', function () {
+        settings.summaryUnit = $(this).val();
+        saveSettings();
+        // Turn numbers changed: recency filtering follows the new unit
+        updateFormattedMemoryFromCache();
+    });
+
+    $('#um-batch-summarization').on('change', function () {
+        settings.batchSummarization = $(this).is(':checked');
+        saveSettings();
+    });
+
+    $('#um-batch-size').on('input', function () {
+        settings.batchSize = Math.max(1, parseInt($(this).val()) || 5);
+        saveSettings();
+    });
+
+    $('#um-validation-enabled').on('change', function () {
+        settings.summaryValidation.enabled = $(this).is(':checked');
+        saveSettings();
+    });
+
+    $('#um-validation-language').on('change', function () {
+        settings.summaryValidation.checkLanguage = $(this).is(':checked');
+        saveSettings();
+    });
+
+    $('#um-validation-retries').on('input', function () {
+        settings.summaryValidation.maxRetries = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
+    $('#um-validation-min-length').on('input', function () {
+        settings.summaryValidation.minLength = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
+    $('#um-validation-max-length').on('input', function () {
+        settings.summaryValidation.maxLength = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
+    $('#um-validation-max-paragraphs').on('input', function () {
+        settings.summaryValidation.maxParagraphs = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
+    $('#um-validation-cleanup').on('change', function () {
+        settings.summaryValidation.cleanupPatterns = $(this).val().split('\n').map(line => line.trim()).filter(Boolean);
+        saveSettings();
+    });
+
+    $('#um-validation-banned').on('change', function () {
+        settings.summaryValidation.bannedPatterns = $(this).val().split('\n').map(line => line.trim()).filter(Boolean);
+        saveSettings();
+    });
+
+    $('#um-chapter-size').on('input', function () {
+        settings.chapterSize = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
+    $('#um-arc-size').on('input', function () {
+        settings.arcSize = Math.max(0, parseInt($(this).val()) || 0);
+        saveSettings();
+    });
+
     $('#um-max-retrieved').on('input', function () {
         settings.maxRetrievedSummaries = parseInt($(this).val()) || 10;
         saveSettings();
@@ -2678,6 +6375,27 @@ function setupUIHandlers() {
         saveSettings();
     });
 
+    $('#um-sync-chunk-size').on('input', function () {
+        settings.syncChunkSize = Math.max(1, parseInt($(this).val()) || 50);
+        saveSettings();
+    });
+
+    $('#um-sync-concurrency').on('input', function () {
+        settings.syncConcurrency = Math.max(1, parseInt($(this).val()) || 2);
+        saveSettings();
+    });
+
+    $('#um-hybrid-search').on('change', function () {
+        settings.hybridSearch = $(this).is(':checked');
+        saveSettings();
+    });
+
+    $('#um-keyword-weight').on('input', function () {
+        const value = parseFloat($(this).val());
+        settings.keywordWeight = isNaN(value) ? 0.3 : Math.min(1, Math.max(0, value));
+        saveSettings();
+    });
+
     // Text inputs
     $('#um-injection-var').on('change', function () {
         settings.injectionVariable = $(this).val();
@@ -2689,6 +6407,31 @@ function setupUIHandlers() {
         saveSettings();
     });
 
+    $('#um-batch-summary-prompt').on('change', function () {
+        settings.batchSummaryPrompt = $(this).val() || defaultSettings.batchSummaryPrompt;
+        saveSettings();
+    });
+
+    $('#um-structured-extraction').on('change', function () {
+        settings.structuredExtraction = $(this).is(':checked');
+        saveSettings();
+    });
+
+    $('#um-extraction-prompt').on('change', function () {
+        settings.extractionPrompt = $(this).val() || defaultSettings.extractionPrompt;
+        saveSettings();
+    });
+
+    $('#um-batch-extraction-prompt').on('change', function () {
+        settings.batchExtractionPrompt = $(this).val() || defaultSettings.batchExtractionPrompt;
+        saveSettings();
+    });
+
+    $('#um-chapter-prompt').on('change', function () {
+        settings.chapterPrompt = $(this).val() || defaultSettings.chapterPrompt;
+        saveSettings();
+    });
+
     // Context format handlers
     $('#um-ctx-user').on('change', function () {
         if (!settings.contextFormat) settings.contextFormat = {};
@@ -2737,6 +6480,11 @@ function setupUIHandlers() {
         saveSettings();
     });
 
+    $('#um-auto-reindex').on('change', function () {
+        settings.autoReindexOnModelChange = $(this).is(':checked');
+        saveSettings();
+    });
+
     // Buttons
     $('#um-btn-test').on('click', async function () {
         $(this).prop('disabled', true);
@@ -2782,37 +6530,91 @@ function setupUIHandlers() {
     // View Stats button
     $('#um-btn-stats').on('click', async function () {
         const collectionId = getCollectionId();
-        let totalMemories = 0;
-        let backendHealthy = false;
 
-        try {
-            if (collectionId) {
-                const hashes = await backend.list(collectionId);
-                totalMemories = hashes.filter(h => h).length;
-            }
-            const health = await backend.healthCheck();
-            backendHealthy = health.healthy;
-        } catch (error) {
-            console.error(`[${MODULE_NAME}] Stats error:`, error);
+        showStatsPopup(await getCollectionStats(collectionId), {
+            onVectorizeMissing: async () => {
+                const result = await syncUnvectorizedToBackend(collectionId);
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+                toastr.success(`Vectorized ${result.synced} memories${result.failed ? ` (${result.failed} failed)` : ''}`);
+                return await getCollectionStats(collectionId);
+            },
+        });
+    });
+
+    // Regenerate all memories of the current chat
+    $('#um-btn-regenerate-all').on('click', async function () {
+        const collectionId = getCollectionId();
+        if (!collectionId) {
+            toastr.warning('No chat selected');
+            return;
+        }
+
+        const metadata = getCollectionMetadata(collectionId);
+        const items = Object.keys(metadata)
+            .filter(hash => hash.startsWith('mem_'))
+            .map(hash => ({ hash, msgId: hash.substring(4), turnIndex: metadata[hash].turnIndex || 0 }))
+            .sort((a, b) => a.turnIndex - b.turnIndex);
+        if (items.length === 0) {
+            toastr.info('No memories to regenerate');
+            return;
         }
 
-        showStatsPopup({
-            totalMemories,
-            withEmbeddings: totalMemories, // Assume all have embeddings
-            pending: pendingSummaries.size,
-            cacheSize: memoryMetadataCache.size,
-            backend: 'lancedb',
-            backendHealthy,
+        const result = await showBatchRegeneratePopup({
+            items,
+            batchSize: settings.batchSize,
+            delayMs: settings.batchDelayMs,
+            onProcessBatch: async (batch) => {
+                // Summarization and rollups write the same records - never run alongside them
+                await syncMutex.acquire();
+                try {
+                    const { skipped, result: regenerated = [] } = await withCollectionLock(collectionId,
+                        async () => (await regenerateMemories(collectionId, batch)).regenerated);
+                    if (skipped) {
+                        throw new Error('Another tab is summarizing this chat');
+                    }
+                    return { success: regenerated.length, failed: batch.length - regenerated.length };
+                } finally {
+                    syncMutex.release();
+                }
+            },
         });
+
+        if (result.success > 0) {
+            toastr.success(`Regenerated ${result.success} memories${result.failed ? ` (${result.failed} failed)` : ''}`);
+            // Rollups above the regenerated memories were invalidated
+            debouncedCheckAndSummarize();
+        }
     });
 
     // Global Manage button
     $('#um-btn-global-manage').on('click', async function () {
         await showGlobalMemoryManagementPopup({
             getAllCollections: () => getAllCollectionsData(),
+            exportAll: async (includeVectors) => {
+                const archive = await exportAllMemories({ includeVectors });
+                const collectionIds = Object.keys(archive.collections);
+                const memories = collectionIds.reduce((sum, id) => sum + countMemories(archive.collections[id]), 0);
+                return { archive, collections: collectionIds.length, memories };
+            },
+            importArchive: (fileText, policy) => importMemoryArchive(fileText, policy),
+            exportCollection: async (collectionId, includeVectors) => {
+                const archive = await exportAllMemories({ includeVectors, collectionIds: [collectionId] });
+                return { archive, memories: countMemories(archive.collections[collectionId]) };
+            },
+            attachCollection: (collectionId) => attachCollectionToCurrentChat(collectionId),
+            importToCurrentChat: (fileText) => importCollectionToCurrentChat(fileText),
             purgeCollection: async (collectionId) => {
                 await purgeCollection(collectionId);
             },
+            reindexCollection: async (collectionId) => {
+                const result = await reindexCollection(collectionId);
+                if (!result.success) {
+                    throw new Error(result.error || `${result.failed} memories failed`);
+                }
+                return result.reindexed;
+            },
             cleanupOrphaned: async () => {
                 return await cleanupOrphanedCollections();
             },
@@ -2836,35 +6638,22 @@ function setupUIHandlers() {
                         turnIndex: metadata.turnIndex || 0,
                         msgId: metadata.msgId || '',
                         createdAt: metadata.createdAt || 0,
+                        ...getTurnRange(metadata),
+                        level: getMemoryLevel(metadata),
+                        ...normalizeEntities(metadata),
                     });
                 }
 
                 return memories.sort((a, b) => (b.turnIndex || 0) - (a.turnIndex || 0));
             },
             deleteMemory: async (collectionId, hash) => {
-                // Delete from persistent storage first (primary source)
-                memoryMetadataCache.delete(hash);
-                deleteMetadataPersistent(collectionId, hash);
-                // Then try to delete from backend (if healthy)
-                if (backendHealthy && backend) {
-                    try {
-                        await backend.delete(collectionId, [hash]);
-                    } catch (e) {
-                        console.warn(`[${MODULE_NAME}] Backend delete failed (already deleted from persistent):`, e.message);
-                    }
-                }
+                await removeMemory(collectionId, hash);
             },
             editMemory: async (collectionId, hash, newText) => {
                 const persistentData = getCollectionMetadata(collectionId);
                 const metadata = persistentData[hash];
                 if (metadata) {
-                    metadata.summary = newText;
-                    metadata.updatedAt = Date.now();
-                    saveMetadataPersistent(collectionId, hash, metadata);
-                    // Also update in cache if present
-                    if (memoryMetadataCache.has(hash)) {
-                        memoryMetadataCache.set(hash, metadata);
-                    }
+                    await saveEditedSummary(collectionId, hash, metadata, newText);
                 }
             },
             regenerateMemory: async (collectionId, hash, msgId) => {
@@ -2874,32 +6663,18 @@ function setupUIHandlers() {
                     throw new Error('Can only regenerate for current chat. Please switch to this chat first.');
                 }
 
-                const context = getContext();
-                const chat = context.chat;
+                if (isRollupKey(hash)) {
+                    await regenerateRollup(collectionId, hash);
+                    return;
+                }
 
-                // Find original message (using index for unique ID matching)
-                const messageIndex = chat.findIndex((m, idx) => normalizeMessageId(m, idx) === msgId);
-                if (messageIndex < 0) {
+                const result = await regenerateMemories(collectionId, [{ hash, msgId }]);
+                if (result.missing.length > 0) {
                     throw new Error('Original message not found in current chat');
                 }
-
-                const message = chat[messageIndex];
-
-                // Generate new summary
-                const summary = await generateSummary(message, chat, messageIndex);
-                if (!summary) {
+                if (result.failed.length > 0) {
                     throw new Error('Failed to generate summary');
                 }
-
-                // Delete old memory
-                await backend.delete(collectionId, [hash]);
-                deleteMetadataPersistent(collectionId, hash);
-                memoryMetadataCache.delete(hash);
-
-                // Store new memory
-                const contentHash = getStringHash(message.mes);
-                const turnNumber = calculateTurnNumber(chat, messageIndex);
-                await storeMemory(msgId, summary, contentHash, turnNumber, context.chatId, context.characterId);
             },
         });
     });
@@ -3005,36 +6780,27 @@ function addChatControlButton() {
                         turnIndex: metadata.turnIndex || 0,
                         msgId: metadata.msgId || '',
                         createdAt: metadata.createdAt || 0,
+                        ...getTurnRange(metadata),
+                        level: getMemoryLevel(metadata),
+                        ...normalizeEntities(metadata),
                     });
                 }
 
                 return memories.sort((a, b) => (b.turnIndex || 0) - (a.turnIndex || 0));
             },
             onDelete: async (hash) => {
-                // Delete from persistent storage first (primary source)
-                memoryMetadataCache.delete(hash);
-                deleteMetadataPersistent(collectionId, hash);
-                // Then try to delete from backend (if healthy)
-                if (backendHealthy && backend) {
-                    try {
-                        await backend.delete(collectionId, [hash]);
-                    } catch (e) {
-                        console.warn(`[${MODULE_NAME}] Backend delete failed (already deleted from persistent):`, e.message);
-                    }
-                }
+                await removeMemory(collectionId, hash);
             },
             onEdit: async (hash, newText) => {
-                const metadata = memoryMetadataCache.get(hash);
+                const metadata = memoryMetadataCache.get(hash) || getCollectionMetadata(collectionId)[hash];
                 if (metadata) {
-                    metadata.summary = newText;
-                    metadata.updatedAt = Date.now();
-                    saveMetadataPersistent(collectionId, hash, metadata);
+                    await saveEditedSummary(collectionId, hash, metadata, newText);
                 }
             },
             onViewOriginal: (msgId) => {
                 const context = getContext();
                 const chat = context.chat;
-                const index = chat.findIndex((m, idx) => normalizeMessageId(m, idx) === msgId);
+                const index = chat.findIndex(m => matchesMessageId(m, msgId));
                 if (index >= 0) {
                     const messageElement = $(`.mes[mesid="${index}"]`);
                     if (messageElement.length) {
@@ -3047,32 +6813,18 @@ function addChatControlButton() {
                 }
             },
             onRegenerate: async (hash, msgId) => {
-                const context = getContext();
-                const chat = context.chat;
+                if (isRollupKey(hash)) {
+                    await regenerateRollup(collectionId, hash);
+                    return;
+                }
 
-                // Find original message (using index for unique ID matching)
-                const messageIndex = chat.findIndex((m, idx) => normalizeMessageId(m, idx) === msgId);
-                if (messageIndex < 0) {
+                const result = await regenerateMemories(collectionId, [{ hash, msgId }]);
+                if (result.missing.length > 0) {
                     throw new Error('Original message not found in current chat');
                 }
-
-                const message = chat[messageIndex];
-
-                // Generate new summary
-                const summary = await generateSummary(message, chat, messageIndex);
-                if (!summary) {
+                if (result.failed.length > 0) {
                     throw new Error('Failed to generate summary');
                 }
-
-                // Delete old memory
-                await backend.delete(collectionId, [hash]);
-                deleteMetadataPersistent(collectionId, hash);
-                memoryMetadataCache.delete(hash);
-
-                // Store new memory
-                const contentHash = getStringHash(message.mes);
-                const turnNumber = calculateTurnNumber(chat, messageIndex);
-                await storeMemory(msgId, summary, contentHash, turnNumber, context.chatId, context.characterId);
             },
         });
     });
@@ -3094,6 +6846,15 @@ jQuery(async () => {
     // Initialize settings
     initSettings();
 
+    // Load memories (migrates them out of extension settings on first run)
+    await initMemoryStorage();
+
+    // Hear about memories other tabs write
+    initMemoryChannel();
+
+    // Bring settings and stored memories up to the current schema
+    await runSchemaMigrations();
+
     // Initialize backend (async - checks health)
     await initBackend();
 
@@ -3128,12 +6889,24 @@ jQuery(async () => {
     registerHandler(eventTypes.MESSAGE_EDITED, handleMessageEdited);
     registerHandler(eventTypes.MESSAGE_DELETED, handleMessageDeleted);
     registerHandler(eventTypes.CHAT_CHANGED, handleChatChanged);
+    registerHandler(eventTypes.GENERATION_STOPPED, cancelRetrieval);
 
     // Register handlers for character/chat deletion events (data cleanup)
     registerHandler(eventTypes.CHARACTER_DELETED, handleCharacterDeleted);
     registerHandler(eventTypes.CHAT_DELETED, handleChatDeleted);
     registerHandler(eventTypes.GROUP_CHAT_DELETED, handleGroupChatDeleted);
 
+    // Buffered memory writes must not be lost when the tab closes
+    window.removeEventListener('beforeunload', flushPendingWritesInBackground);
+    window.addEventListener('beforeunload', flushPendingWritesInBackground);
+
+    // Re-key legacy collection and message IDs once the character list is loaded
+    if (eventTypes.APP_READY) {
+        registerHandler(eventTypes.APP_READY, runKeyMigrations);
+    } else {
+        runKeyMigrations();
+    }
+
     // Named handler for GENERATE_BEFORE_COMBINE_PROMPTS
     const handleBeforeCombinePrompts = () => {
         // CRITICAL: Update memory from cache SYNCHRONOUSLY first
@@ -3200,6 +6973,100 @@ jQuery(async () => {
             console.log(`Memory updated from cache: ${currentFormattedMemory.length} chars`);
             return currentFormattedMemory;
         },
+        /**
+         * Switch where memories are saved ('browser' or 'chat'); the open chat migrates immediately
+         * @param {string} mode - Storage mode
+         */
+        setStorageMode: async (mode) => {
+            if (!Object.values(STORAGE_MODE).includes(mode)) {
+                console.error(`Unknown storage mode "${mode}" (use ${Object.values(STORAGE_MODE).join(' or ')})`);
+                return null;
+            }
+            const moved = await switchMemoryStorageMode(mode);
+            $('#um-storage-mode').val(mode);
+            console.log(`Storage mode: ${mode} (${moved} memories moved)`);
+            return moved;
+        },
+        /**
+         * Re-key legacy index-based collections to avatar-based IDs
+         * @param {boolean} dryRun - Only report what would change
+         * @param {boolean} force - Re-check collections a previous run could not resolve
+         */
+        migrateCollectionKeys: async (dryRun = true, force = false) => {
+            const report = await migrateCollectionKeys({ dryRun, force });
+            console.log(`Key migration${dryRun ? ' (dry run)' : ''}: ${report.migrated.length} re-keyed, ${report.ambiguous.length} ambiguous, ${report.unresolved.length} unresolved, ${report.failed.length} failed`);
+            console.table(report.migrated);
+            return report;
+        },
+        getKeyMigrationReport: () => loadKeyMigrationReport(),
+        /**
+         * Re-key memories stored under legacy 32-bit message IDs
+         * @param {boolean} dryRun - Only report what would change
+         * @param {boolean} force - Re-check memories a previous run could not resolve
+         */
+        migrateMessageKeys: async (dryRun = true, force = false) => {
+            const report = await migrateMessageKeys({ dryRun, force });
+            console.log(`Message key migration${dryRun ? ' (dry run)' : ''}: ${report.migrated.length} chats re-keyed, ${report.unresolved.length} unresolved, ${report.failed.length} failed`);
+            console.table(report.unresolved);
+            return report;
+        },
+        getMessageKeyMigrationReport: () => loadMessageKeyMigrationReport(),
+        /**
+         * Build a backup archive of all memories (same content as Export All)
+         * @param {boolean} includeVectors - Include stored vectors (IndexedDB backend)
+         */
+        exportAll: (includeVectors = false) => exportAllMemories({ includeVectors }),
+        /**
+         * Restore a backup archive
+         * @param {string|object} archive - Archive JSON text or object
+         * @param {string} policy - 'merge', 'overwrite' or 'skip'
+         */
+        importArchive: async (archive, policy = IMPORT_POLICY.MERGE) => {
+            const report = await importMemoryArchive(archive, policy);
+            console.log(`Import result:`, report);
+            return report;
+        },
+        /**
+         * Attach a collection (e.g. an orphaned one) to the open chat, re-keyed by message send_date
+         * @param {string} collectionId - Source collection ID
+         */
+        attachCollection: async (collectionId) => {
+            const report = await attachCollectionToCurrentChat(collectionId);
+            console.log(`Attach result:`, report);
+            return report;
+        },
+        /**
+         * Write the chapters/arcs that are due in the open chat now (settings.chapterSize / arcSize)
+         */
+        rollUp: async () => {
+            const context = getContext();
+            const chatId = context.getCurrentChatId();
+            const collectionId = calculateSourceCollectionId(chatId, context.characterId);
+            if (!collectionId) return 0;
+
+            const { result = 0 } = await withCollectionLock(collectionId, () => rollUpMemories(chatId, context.characterId));
+            console.log(`Wrote ${result} chapters/arcs`);
+            return result;
+        },
+        /**
+         * Write buffered memory changes now instead of waiting for the flush timer
+         */
+        flush: async () => {
+            const written = await flushPendingWrites();
+            const { changes, flushes } = memoryStorage.stats;
+            console.log(`Flushed ${written} records (${changes} changes in ${flushes} flushes since load)`);
+            return written;
+        },
+        /**
+         * Dry-run the schema migrations and report what each step would change
+         * @param {number} fromVersion - Settings schema version to start from (default 0: all steps)
+         */
+        getMigrationReport: async (fromVersion = 0) => {
+            const report = await runMigrations(MIGRATIONS, fromVersion, { dryRun: true });
+            console.log(`Schema version: ${settings.schemaVersion || 0} (current: ${SETTINGS_SCHEMA_VERSION}), memory records: v${MEMORY_RECORD_VERSION}`);
+            console.table(report.steps.map(({ version, description, changes, error }) => ({ version, description, changes, error })));
+            return report;
+        },
         getPersistentData: () => {
             const collectionId = getCollectionId();
             if (!collectionId) return {};
@@ -3220,7 +7087,141 @@ jQuery(async () => {
             console.log(`Sync unvectorized result:`, result);
             return result;
         },
-        getBackendHealth: () => ({ healthy: backendHealthy, backend: backend ? 'LanceDB' : 'none', syncLocked: syncMutex.isLocked }),
+        /**
+         * Local vs vectorized statistics for a collection
+         * @param {string} collectionId - Collection ID (default: current chat)
+         */
+        getStats: async (collectionId = null) => {
+            const stats = await getCollectionStats(collectionId || getCollectionId());
+            console.log(`Local: ${stats.totalMemories}, vectorized: ${stats.withEmbeddings}, unvectorized: ${stats.unvectorized.length}, orphaned vectors: ${stats.orphanedVectors}`);
+            return stats;
+        },
+        /**
+         * List collections indexed with a different embedding model than the backend's current one
+         */
+        getModelMismatches: () => {
+            const mismatches = findEmbeddingModelMismatches();
+            console.log(`Current embedding model: ${currentEmbeddingModel || '(not reported)'}`);
+            console.table(mismatches);
+            return mismatches;
+        },
+        /**
+         * Rebuild a collection's vectors from saved summaries
+         * @param {string} collectionId - Collection ID (default: current chat)
+         */
+        reindexCollection: async (collectionId = null) => {
+            const result = await reindexCollection(collectionId);
+            console.log(`Re-index result:`, result);
+            return result;
+        },
+        /**
+         * Show bulk syncs saved for resume after a reload
+         */
+        getPendingSyncs: () => {
+            const state = loadSyncState();
+            console.table(Object.entries(state).map(([collectionId, entry]) => ({
+                collectionId,
+                backend: entry.backend,
+                remaining: entry.remaining?.length || 0,
+                total: entry.total,
+            })));
+            return state;
+        },
+        /**
+         * List backend operations queued during outages (all backends)
+         */
+        getOutbox: () => {
+            const entries = backendOutbox.load();
+            console.table(entries.map(({ type, backend: name, collectionId, sourceId, hashes, queuedAt }) => ({
+                type, backend: name, collectionId, sourceId, hashes: hashes?.length, queuedAt: new Date(queuedAt).toLocaleString(),
+            })));
+            return entries;
+        },
+        replayOutbox: async () => {
+            const result = await replayBackendOutbox();
+            console.log(`Outbox replay:`, result);
+            return result;
+        },
+        /**
+         * Drop queued backend operations (leftover vectors can still be removed with syncStorage)
+         * @param {string|null} backendName - Only this backend's operations (default: all)
+         */
+        clearOutbox: (backendName = null) => {
+            const dropped = backendOutbox.clear(backendName);
+            console.log(`Dropped ${dropped} queued backend operations`);
+            return dropped;
+        },
+        /**
+         * List summaries rejected by summary validation (oldest first)
+         */
+        getSummaryRejects: () => {
+            const rejects = loadSummaryRejects();
+            console.table(rejects.map(({ rejectedAt, collectionId, level, turn, attempt, reason, summary }) => ({
+                rejectedAt: new Date(rejectedAt).toLocaleString(), collectionId, level, turn, attempt, reason, summary,
+            })));
+            return rejects;
+        },
+        clearSummaryRejects: () => {
+            localStorage.removeItem(SUMMARY_REJECTS_KEY);
+            console.log('Rejected summaries cleared');
+        },
+        /**
+         * List memories skipped by automatic runs because their summaries kept being rejected
+         */
+        getSummaryBackoff: () => loadSummaryBackoff(),
+        /**
+         * Retry every backed-off memory on the next run
+         */
+        clearSummaryBackoff: () => {
+            localStorage.removeItem(SUMMARY_BACKOFF_KEY);
+            console.log('Summary backoff cleared');
+        },
+        /**
+         * Resume interrupted bulk syncs now
+         */
+        resumePendingSyncs: async () => {
+            const synced = await resumePendingSyncs();
+            console.log(`Resumed sync: ${synced} summaries inserted`);
+            return synced;
+        },
+        /**
+         * Keyword (BM25) search over the current chat's summaries
+         * @param {string} query - Search query
+         * @param {number} limit - Number of results (default: 10)
+         */
+        searchKeywords: (query, limit = 10) => {
+            const collectionId = getCollectionId();
+            if (!collectionId) return [];
+
+            const summaries = Object.entries(getCollectionMetadata(collectionId))
+                .filter(([hash, metadata]) => hash !== '__collection_info__' && metadata?.summary)
+                .map(([hash, metadata]) => ({ hash, text: metadata.summary, index: metadata.turnIndex || 0, score: 0 }));
+            const results = searchKeywords(summaries, query, limit);
+
+            results.forEach((r, i) => console.log(`#${i + 1} [Turn ${r.index}] ${r.text}`));
+            console.log(`Total: ${results.length} results`);
+            return results;
+        },
+        getBackendHealth: () => ({ healthy: backendHealthy, backend: backend ? backend.getName() : 'none', syncLocked: syncMutex.isLocked }),
+        getAvailableBackends: () => BackendFactory.getAvailableBackends(),
+        /**
+         * Set the embedding function used by in-browser backends (e.g. IndexedDB)
+         * @param {Function|null} fn - (texts: string[]) => Promise<number[][]>, optional `modelId` property. Null restores the embedder from settings.
+         */
+        setEmbeddingFunction: async (fn) => {
+            customEmbeddingFunction = typeof fn === 'function' ? fn : null;
+            if (backend?.setEmbeddingFunction) {
+                backend.setEmbeddingFunction(getBrowserEmbeddingFunction());
+                // Picks up the new model id, so collections embedded with the old one are re-indexed
+                await checkBackendHealth();
+                console.log(`Embedding function updated (model: ${currentEmbeddingModel})`);
+            }
+        },
+        switchBackend: async (name) => {
+            const healthy = await switchBackend(name);
+            console.log(`Switched backend to ${getBackendDisplayName()} (healthy: ${healthy})`);
+            return healthy;
+        },
         // RAG debugging tools
         testRAG: async () => {
             const context = getContext();
@@ -3297,8 +7298,9 @@ jQuery(async () => {
          * Custom RAG query - 커스텀 쿼리로 검색
          * @param {string} query - 검색 쿼리
          * @param {number} limit - 검색 결과 수 (기본값: 10)
+         * @param {object|null} filter - Metadata filter ({turnRange, tags, speaker, createdAt, entities})
          */
-        queryRAG: async (query, limit = 10) => {
+        queryRAG: async (query, limit = 10, filter = null) => {
             const collectionId = getCollectionId();
             if (!collectionId || !backend || !backendHealthy) {
                 console.error('Backend not available');
@@ -3307,10 +7309,10 @@ jQuery(async () => {
 
             console.log('=== Custom RAG Query ===');
             console.log(`Query: "${query}"`);
-            console.log(`Limit: ${limit}\n`);
+            console.log(`Limit: ${limit}${filter ? `, Filter: ${JSON.stringify(filter)}` : ''}\n`);
 
             try {
-                const results = await backend.query(collectionId, query, limit, 0);
+                const results = await backend.query(collectionId, query, limit, 0, filter);
 
                 results.forEach((r, i) => {
                     const pct = (r.score * 100).toFixed(1);
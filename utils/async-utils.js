@@ -99,9 +99,10 @@ export class RateLimiter {
 }
 
 /**
- * Calculate MD5 hash of string (simple implementation for content hashing)
+ * Legacy 32-bit string hash (Java-style).
+ * New IDs use SHA-256 (sha256Hex in text-utils.js); this is kept to resolve IDs written by older versions.
  * @param {string} str - String to hash
- * @returns {string} - Hash string
+ * @returns {string} - 8 hex characters
  */
 export function calculateHash(str) {
     let hash = 0;
@@ -208,3 +209,41 @@ export class AsyncMutex {
         }
     }
 }
+
+/**
+ * Split an array into chunks
+ * @param {Array} array - Array to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>}
+ */
+export function chunkArray(array, size) {
+    const chunkSize = Math.max(1, size || 1);
+    const chunks = [];
+    for (let i = 0; i < array.length; i += chunkSize) {
+        chunks.push(array.slice(i, i + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * Map items through an async function with limited concurrency (results keep input order)
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
@@ -0,0 +1,149 @@
+/**
+ * Persisted log of backend operations that could not run (backend down or the call failed)
+ *
+ * Entries are kept in localStorage per backend name and replayed in order once that backend
+ * is healthy again, so deletes and purges made during an outage do not come back as orphans.
+ * Inserts and copies only carry hashes - the memories are read from persistent storage at replay.
+ */
+
+export const OUTBOX_OP = Object.freeze({
+    INSERT: 'insert', // {collectionId, hashes} - (re-)embed these memories
+    DELETE: 'delete', // {collectionId, hashes}
+    PURGE: 'purge', // {collectionId}
+    COPY: 'copy', // {sourceId, collectionId, hashes} - collectionId is the copy target
+});
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Create a unique entry ID
+ * @returns {string}
+ */
+function createEntryId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Ordered, compacting operation log
+ */
+export class BackendOutbox {
+    /**
+     * @param {object} options - Options
+     * @param {string} options.storageKey - localStorage key
+     * @param {number} options.maxEntries - Oldest entries are dropped beyond this
+     */
+    constructor({ storageKey, maxEntries = DEFAULT_MAX_ENTRIES }) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Read all entries
+     * @returns {Array<object>}
+     */
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Write all entries
+     * @param {Array<object>} entries - Entries
+     */
+    save(entries) {
+        try {
+            if (entries.length === 0) {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            }
+        } catch (error) {
+            console.warn('BackendOutbox: failed to save:', error.message);
+        }
+    }
+
+    /**
+     * Count entries waiting for a backend
+     * @param {string|null} backendName - Backend name (null: all backends)
+     * @returns {number}
+     */
+    size(backendName = null) {
+        return this.load().filter(entry => !backendName || entry.backend === backendName).length;
+    }
+
+    /**
+     * Append an operation.
+     * Consecutive inserts/deletes of one collection are merged, and a purge drops the earlier
+     * inserts, deletes and copies into the purged collection (copies out of it still run first).
+     * @param {{type: string, backend: string, collectionId: string, hashes?: string[], sourceId?: string}} operation
+     */
+    enqueue(operation) {
+        let entries = this.load();
+        const sameTarget = entry => entry.backend === operation.backend && entry.collectionId === operation.collectionId;
+
+        if (operation.type === OUTBOX_OP.PURGE) {
+            entries = entries.filter(entry => !sameTarget(entry));
+        }
+
+        const last = entries[entries.length - 1];
+        const mergeable = operation.type === OUTBOX_OP.INSERT || operation.type === OUTBOX_OP.DELETE;
+        if (mergeable && last && last.type === operation.type && sameTarget(last)) {
+            last.hashes = [...new Set([...last.hashes, ...operation.hashes])];
+            // New ID: a replay running this entry right now must not remove the merged hashes
+            last.id = createEntryId();
+        } else {
+            entries.push({ ...operation, id: createEntryId(), queuedAt: Date.now() });
+        }
+
+        if (entries.length > this.maxEntries) {
+            const dropped = entries.splice(0, entries.length - this.maxEntries);
+            console.warn(`BackendOutbox: dropped ${dropped.length} oldest operations (limit ${this.maxEntries})`);
+        }
+
+        this.save(entries);
+    }
+
+    /**
+     * Replay the entries of one backend in order. Stops at the first failure so later
+     * operations never overtake earlier ones; the failed entry is retried next time.
+     * @param {string} backendName - Backend name
+     * @param {(entry: object) => Promise<void>} execute - Runs one operation (throws on failure)
+     * @returns {Promise<{replayed: number, remaining: number, error?: string}>}
+     */
+    async replay(backendName, execute) {
+        let replayed = 0;
+
+        for (;;) {
+            const entry = this.load().find(e => e.backend === backendName);
+            if (!entry) break;
+
+            try {
+                await execute(entry);
+            } catch (error) {
+                return { replayed, remaining: this.size(backendName), error: error.message };
+            }
+
+            // Reload: operations may have been queued (or merged into this one) while it ran
+            this.save(this.load().filter(e => e.id !== entry.id));
+            replayed++;
+        }
+
+        return { replayed, remaining: 0 };
+    }
+
+    /**
+     * Drop entries
+     * @param {string|null} backendName - Backend name (null: all backends)
+     * @returns {number} Number of entries dropped
+     */
+    clear(backendName = null) {
+        const entries = this.load();
+        const kept = backendName ? entries.filter(entry => entry.backend !== backendName) : [];
+        this.save(kept);
+        return entries.length - kept.length;
+    }
+}
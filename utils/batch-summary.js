@@ -0,0 +1,84 @@
+/**
+ * Batched summarization: grouping target messages and parsing per-turn summaries from one response
+ */
+
+/**
+ * Split summarization targets into batches for one request each.
+ * A batch ends when it is full or the next target is far from the previous one
+ * (everything in between would be sent as reference).
+ * @param {Array<{index: number}>} items - Targets sorted by chat index
+ * @param {number} size - Max targets per batch
+ * @param {number} maxGap - Max messages between two targets of one batch
+ * @returns {Array<Array<object>>}
+ */
+export function splitIntoBatches(items, size, maxGap) {
+    const batches = [];
+    let batch = [];
+
+    for (const item of items) {
+        const previous = batch[batch.length - 1];
+        if (batch.length >= size || (previous && item.index - previous.index - 1 > maxGap)) {
+            batches.push(batch);
+            batch = [];
+        }
+        batch.push(item);
+    }
+    if (batch.length > 0) batches.push(batch);
+
+    return batches;
+}
+
+/**
+ * Extract the JSON value from a model response. Code fences and text around the JSON are ignored.
+ * @param {string} text - Model response
+ * @returns {*} Parsed object or array
+ * @throws {Error} If the response holds no parsable JSON
+ */
+export function parseJsonResponse(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+    const objectStart = cleaned.indexOf('{');
+    const arrayStart = cleaned.indexOf('[');
+    const isArray = arrayStart >= 0 && (objectStart < 0 || arrayStart < objectStart);
+    const start = isArray ? arrayStart : objectStart;
+    const end = cleaned.lastIndexOf(isArray ? ']' : '}');
+    if (start < 0 || end <= start) {
+        throw new Error('No JSON in response');
+    }
+
+    try {
+        return JSON.parse(cleaned.substring(start, end + 1));
+    } catch (error) {
+        throw new Error(`Invalid JSON in response: ${error.message}`);
+    }
+}
+
+/**
+ * Parse a batched summary response: a JSON object keyed by turn number
+ * ({"12": "summary", ...}), or an array of {turn, summary}. Code fences and text around
+ * the JSON are ignored.
+ * @param {string} text - Model response
+ * @param {number[]} turns - Expected turn numbers
+ * @returns {Map<number, string>} Summaries of the expected turns that were found (may be partial)
+ * @throws {Error} If the response holds no parsable JSON
+ */
+export function parseBatchSummaries(text, turns) {
+    const parsed = parseJsonResponse(text);
+
+    const byTurn = {};
+    if (Array.isArray(parsed)) {
+        for (const entry of parsed) {
+            if (entry && entry.turn !== undefined) byTurn[String(entry.turn)] = entry.summary;
+        }
+    } else if (parsed && typeof parsed === 'object') {
+        Object.assign(byTurn, parsed);
+    }
+
+    const summaries = new Map();
+    for (const turn of turns) {
+        const summary = byTurn[String(turn)];
+        if (typeof summary === 'string' && summary.trim()) {
+            summaries.set(turn, summary.trim());
+        }
+    }
+    return summaries;
+}
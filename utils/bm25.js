@@ -0,0 +1,117 @@
+/**
+ * BM25 keyword index and reciprocal rank fusion for hybrid retrieval
+ */
+
+import { tokenize } from './text-utils.js';
+
+/**
+ * In-memory BM25 (Okapi) index over short documents
+ */
+export class BM25Index {
+    /**
+     * @param {object} options - BM25 parameters
+     * @param {number} options.k1 - Term frequency saturation
+     * @param {number} options.b - Length normalization
+     */
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.documents = []; // { id, termFreqs: Map, length }
+        this.docFreqs = new Map();
+        this.avgDocLength = 0;
+    }
+
+    /**
+     * Build the index (replaces any previous content)
+     * @param {Array<{id: string, text: string}>} documents - Documents to index
+     * @returns {BM25Index}
+     */
+    build(documents) {
+        this.documents = [];
+        this.docFreqs = new Map();
+        let totalLength = 0;
+
+        for (const doc of documents) {
+            const tokens = tokenize(doc.text);
+            const termFreqs = new Map();
+            for (const token of tokens) {
+                termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+            }
+            for (const term of termFreqs.keys()) {
+                this.docFreqs.set(term, (this.docFreqs.get(term) || 0) + 1);
+            }
+
+            this.documents.push({ id: doc.id, termFreqs, length: tokens.length });
+            totalLength += tokens.length;
+        }
+
+        this.avgDocLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+        return this;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.length;
+    }
+
+    /**
+     * Search the index
+     * @param {string} queryText - Query text
+     * @param {number} topK - Maximum results
+     * @returns {Array<{id: string, score: number}>} Matches with score > 0, best first
+     */
+    search(queryText, topK = 10) {
+        const queryTerms = [...new Set(tokenize(queryText))].filter(term => this.docFreqs.has(term));
+        if (queryTerms.length === 0 || this.documents.length === 0) {
+            return [];
+        }
+
+        const docCount = this.documents.length;
+        const idf = new Map(queryTerms.map(term => {
+            const df = this.docFreqs.get(term);
+            return [term, Math.log(1 + (docCount - df + 0.5) / (df + 0.5))];
+        }));
+
+        const results = [];
+        for (const doc of this.documents) {
+            let score = 0;
+            const lengthNorm = 1 - this.b + this.b * (doc.length / (this.avgDocLength || 1));
+
+            for (const term of queryTerms) {
+                const tf = doc.termFreqs.get(term);
+                if (!tf) continue;
+                score += idf.get(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+            }
+
+            if (score > 0) {
+                results.push({ id: doc.id, score });
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, topK);
+    }
+}
+
+/**
+ * Fuse ranked lists with weighted reciprocal rank fusion: score(d) = Σ weight / (k + rank)
+ * @param {Array<{ids: string[], weight?: number}>} rankings - Ranked id lists (best first)
+ * @param {number} k - Rank constant (60 is the usual choice)
+ * @returns {Array<{id: string, score: number}>} Fused ranking, best first
+ */
+export function reciprocalRankFusion(rankings, k = 60) {
+    const scores = new Map();
+
+    for (const { ids, weight = 1 } of rankings) {
+        if (!weight) continue;
+        ids.forEach((id, rank) => {
+            scores.set(id, (scores.get(id) || 0) + weight / (k + rank + 1));
+        });
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+}
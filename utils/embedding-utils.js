@@ -0,0 +1,117 @@
+/**
+ * Embedding utilities for in-browser vector search
+ */
+
+import { tokenize, fnv1a } from './text-utils.js';
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]|Float32Array} a - First vector
+ * @param {number[]|Float32Array} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 if either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Build a feature-hashed vector from words and character trigrams
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} L2-normalized vector
+ */
+function hashingVector(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+
+    const addFeature = (feature, weight) => {
+        const hash = fnv1a(feature);
+        // Top bit picks the sign so colliding features tend to cancel out
+        const sign = hash & 0x80000000 ? -1 : 1;
+        vector[hash % dimensions] += sign * weight;
+    };
+
+    for (const token of tokenize(text)) {
+        addFeature(`w:${token}`, 1);
+
+        const padded = `#${token}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            addFeature(`t:${padded.substring(i, i + 3)}`, 0.5);
+        }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Embedding sources for in-browser backends (value stored in settings.browserEmbeddingSource)
+ */
+export const BROWSER_EMBEDDING_SOURCES = Object.freeze([
+    { value: 'hashing', label: 'Built-in hashing (lexical fallback)' },
+    { value: 'openai-compatible', label: 'OpenAI-compatible /embeddings (Ollama, LM Studio, OpenAI...)' },
+]);
+
+/**
+ * Create the built-in embedding function (feature hashing, no model download).
+ * This is a lexical fallback: it matches shared words and spellings, not meaning.
+ * An embedding function takes an array of texts (and {signal}) and resolves to an array of vectors;
+ * `modelId` identifies the model that produced the vectors.
+ * @param {number} dimensions - Vector size
+ * @returns {((texts: string[], options?: {signal?: AbortSignal}) => Promise<number[][]>) & {modelId: string}}
+ */
+export function createHashingEmbedder(dimensions = 512) {
+    const embed = async (texts) => texts.map(text => hashingVector(text, dimensions));
+    embed.modelId = `hashing-${dimensions}`;
+    return embed;
+}
+
+/**
+ * Create an embedding function backed by an OpenAI-compatible embeddings endpoint
+ * (POST {baseUrl}/embeddings with {model, input}). Works with Ollama, LM Studio, llama.cpp, OpenAI.
+ * @param {object} options - Options
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} options.model - Embedding model name
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @returns {((texts: string[], options?: {signal?: AbortSignal}) => Promise<number[][]>) & {modelId: string, remote: boolean}}
+ *   The request is cancelled through options.signal (backends link it to their timeout)
+ */
+export function createHttpEmbedder({ baseUrl, model, apiKey = '' }) {
+    const url = `${String(baseUrl).replace(/\/+$/, '')}/embeddings`;
+
+    const embed = async (texts, { signal } = {}) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({ model, input: texts }),
+            signal,
+        });
+        if (!response.ok) {
+            throw new Error(`Embedding request failed: HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        const data = Array.isArray(result?.data) ? [...result.data] : [];
+        // Entries carry their input position; keep the vectors in input order
+        data.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+        return data.map(entry => entry.embedding);
+    };
+    embed.modelId = `openai-compatible:${model}`;
+    // Needs a reachable server: backends probe it in their health check
+    embed.remote = true;
+    return embed;
+}
@@ -0,0 +1,60 @@
+/**
+ * Promise wrappers for IndexedDB requests and transactions
+ */
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>}
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IDBTransaction to complete
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+export function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Key range covering every record of a collection (primary key is [collectionId, hash])
+ * @param {string} collectionId - Collection identifier
+ * @returns {IDBKeyRange}
+ */
+export function collectionKeyRange(collectionId) {
+    // Arrays sort after strings, so [id, []] is an upper bound for any [id, hash]
+    return IDBKeyRange.bound([collectionId], [collectionId, []]);
+}
+
+/**
+ * Open (or create) a database
+ * @param {string} name - Database name
+ * @param {number} version - Database version
+ * @param {(db: IDBDatabase) => void} onUpgrade - Creates object stores and indexes
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openIndexedDB(name, version, onUpgrade) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => onUpgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+}
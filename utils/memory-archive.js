@@ -0,0 +1,137 @@
+/**
+ * Portable backup archive of all memories (format, validation and import planning)
+ */
+
+import { MEMORY_RECORD_VERSION, isMemoryRecordKey, upgradeMemoryRecord } from './schema-migrations.js';
+
+export const ARCHIVE_FORMAT = 'uwu-memory-archive';
+
+/**
+ * Current archive format version. Bump it (and handle the old shape in parseArchive)
+ * when the archive layout changes - record fields are versioned by schemaVersion instead.
+ */
+export const ARCHIVE_VERSION = 1;
+
+export const IMPORT_POLICY = Object.freeze({
+    MERGE: 'merge', // Add missing memories, newer updatedAt wins for memories in both
+    OVERWRITE: 'overwrite', // Replace collections that exist with the archived ones
+    SKIP: 'skip', // Only import collections that do not exist yet
+});
+
+/**
+ * Build an archive
+ * @param {object} data - Archive content
+ * @param {object} data.collections - collectionId -> hash -> metadata (including __collection_info__)
+ * @param {object} data.knownBranches - Branch tracking (collectionId -> timestamp)
+ * @param {{backend: string, model: string|null, collections: object}|null} data.vectors - Stored vectors
+ *        (collections: collectionId -> hash -> vector), or null when not included
+ * @returns {object} Archive
+ */
+export function createArchive({ collections, knownBranches = {}, vectors = null }) {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        recordSchemaVersion: MEMORY_RECORD_VERSION,
+        collections,
+        knownBranches,
+        vectors,
+    };
+}
+
+/**
+ * Parse and validate an archive, upgrading its memory records to the current record schema
+ * @param {string|object} input - Archive JSON text or parsed object
+ * @returns {object} Archive
+ * @throws {Error} If the input is not a supported archive
+ */
+export function parseArchive(input) {
+    let archive = input;
+    if (typeof input === 'string') {
+        try {
+            archive = JSON.parse(input);
+        } catch {
+            throw new Error('File is not valid JSON');
+        }
+    }
+
+    if (archive?.format !== ARCHIVE_FORMAT) {
+        throw new Error('File is not a UwU Memory backup');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Backup version ${archive.version} is not supported (newest supported: ${ARCHIVE_VERSION}) - update the extension`);
+    }
+    if (!archive.collections || typeof archive.collections !== 'object') {
+        throw new Error('Backup has no collections');
+    }
+
+    const collections = {};
+    for (const [collectionId, memories] of Object.entries(archive.collections)) {
+        if (!memories || typeof memories !== 'object') continue;
+
+        collections[collectionId] = {};
+        for (const [hash, record] of Object.entries(memories)) {
+            if (!record || typeof record !== 'object') continue;
+            collections[collectionId][hash] = isMemoryRecordKey(hash) ? upgradeMemoryRecord(record, hash).record : record;
+        }
+    }
+
+    return {
+        ...archive,
+        collections,
+        knownBranches: archive.knownBranches && typeof archive.knownBranches === 'object' ? archive.knownBranches : {},
+        vectors: archive.vectors?.collections ? archive.vectors : null,
+    };
+}
+
+/**
+ * Count memory records (not collection info) in a hash -> metadata map
+ * @param {object} memories - Hash -> metadata map
+ * @returns {number}
+ */
+export function countMemories(memories) {
+    return Object.keys(memories || {}).filter(isMemoryRecordKey).length;
+}
+
+/**
+ * Work out what an import writes
+ * @param {object} archive - Parsed archive
+ * @param {(collectionId: string) => object} getExisting - Local hash -> metadata map of a collection
+ * @param {string} policy - IMPORT_POLICY value
+ * @returns {Array<{collectionId: string, entries: object, replace: boolean, skipped: boolean}>}
+ *          entries: hash -> metadata to write; replace: drop the local collection first
+ */
+export function planImport(archive, getExisting, policy) {
+    if (!Object.values(IMPORT_POLICY).includes(policy)) {
+        throw new Error(`Unknown import policy "${policy}"`);
+    }
+
+    return Object.entries(archive.collections).map(([collectionId, memories]) => {
+        const existing = getExisting(collectionId) || {};
+        const exists = countMemories(existing) > 0;
+
+        if (!exists || policy === IMPORT_POLICY.OVERWRITE) {
+            return { collectionId, entries: { ...memories }, replace: exists, skipped: false };
+        }
+        if (policy === IMPORT_POLICY.SKIP) {
+            return { collectionId, entries: {}, replace: false, skipped: true };
+        }
+
+        const entries = {};
+        for (const [hash, record] of Object.entries(memories)) {
+            if (!isMemoryRecordKey(hash)) continue;
+
+            const local = existing[hash];
+            if (!local || (record.updatedAt || 0) > (local.updatedAt || 0)) {
+                entries[hash] = record;
+            }
+        }
+
+        // Local collection info wins, the archive only fills in missing fields
+        if (memories['__collection_info__'] && Object.keys(entries).length > 0) {
+            entries['__collection_info__'] = { ...memories['__collection_info__'], ...(existing['__collection_info__'] || {}) };
+        }
+
+        return { collectionId, entries, replace: false, skipped: false };
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * Structured memory fields: characters, locations, items, keywords and facts extracted from a summary
+ */
+
+import { parseJsonResponse } from './batch-summary.js';
+
+/**
+ * Structured fields of a memory record (each a string array)
+ */
+export const ENTITY_FIELDS = Object.freeze(['characters', 'locations', 'items', 'keywords', 'facts']);
+
+/**
+ * Fields usable in query filters (facts are sentences, not tags)
+ */
+export const FILTERABLE_ENTITY_FIELDS = Object.freeze(['characters', 'locations', 'items', 'keywords']);
+
+// Values kept per field (a runaway response should not bloat the record)
+const MAX_VALUES_PER_FIELD = 20;
+
+/**
+ * Build empty structured fields
+ * @returns {{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}}
+ */
+export function emptyEntities() {
+    return Object.fromEntries(ENTITY_FIELDS.map(field => [field, []]));
+}
+
+/**
+ * Normalize structured fields: trimmed strings, duplicates (case-insensitive) and empty values removed
+ * @param {object} source - Object holding the fields (extraction result or memory record)
+ * @returns {{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}}
+ */
+export function normalizeEntities(source) {
+    const entities = emptyEntities();
+
+    for (const field of ENTITY_FIELDS) {
+        const values = Array.isArray(source?.[field]) ? source[field] : [];
+        const seen = new Set();
+
+        for (const value of values) {
+            if (typeof value !== 'string' && typeof value !== 'number') continue;
+            const text = String(value).trim();
+            const key = text.toLowerCase();
+            if (!text || seen.has(key)) continue;
+
+            seen.add(key);
+            entities[field].push(text);
+            if (entities[field].length >= MAX_VALUES_PER_FIELD) break;
+        }
+    }
+
+    return entities;
+}
+
+/**
+ * Read the fields of one parsed extraction object
+ * @param {object} parsed - Parsed extraction object
+ * @returns {{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}}
+ */
+function readEntityObject(parsed) {
+    const source = {};
+    for (const field of ENTITY_FIELDS) {
+        const value = parsed[field];
+        source[field] = typeof value === 'string' && field !== 'facts' ? value.split(',') : value;
+    }
+    return normalizeEntities(source);
+}
+
+/**
+ * Parse an extraction response: a JSON object with one array per field.
+ * Missing fields are empty; a field given as a comma-separated string is split.
+ * @param {string} text - Model response
+ * @returns {{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}}
+ * @throws {Error} If the response holds no JSON object
+ */
+export function parseEntityExtraction(text) {
+    const parsed = parseJsonResponse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Extraction response is not a JSON object');
+    }
+    return readEntityObject(parsed);
+}
+
+/**
+ * Parse a batched extraction response: a JSON object keyed by turn number
+ * ({"12": {"characters": [...], ...}, ...}), or an array of {turn, characters, ...}
+ * @param {string} text - Model response
+ * @param {number[]} turns - Expected turn numbers
+ * @returns {Map<number, object>} Fields of the expected turns that were found (may be partial)
+ * @throws {Error} If the response holds no parsable JSON
+ */
+export function parseBatchEntityExtraction(text, turns) {
+    const parsed = parseJsonResponse(text);
+
+    const byTurn = {};
+    if (Array.isArray(parsed)) {
+        for (const entry of parsed) {
+            if (entry && entry.turn !== undefined) byTurn[String(entry.turn)] = entry;
+        }
+    } else if (parsed && typeof parsed === 'object') {
+        Object.assign(byTurn, parsed);
+    }
+
+    const fields = new Map();
+    for (const turn of turns) {
+        const entry = byTurn[String(turn)];
+        if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+            fields.set(turn, readEntityObject(entry));
+        }
+    }
+    return fields;
+}
+
+/**
+ * Combine the filterable fields of several records (chapters and arcs list what their sources mention).
+ * Facts are not combined.
+ * @param {Array<object>} records - Memory records
+ * @returns {{characters: string[], locations: string[], items: string[], keywords: string[], facts: string[]}}
+ */
+export function mergeEntities(records) {
+    const source = emptyEntities();
+    for (const record of records) {
+        for (const field of FILTERABLE_ENTITY_FIELDS) {
+            if (Array.isArray(record?.[field])) source[field].push(...record[field]);
+        }
+    }
+    return normalizeEntities(source);
+}
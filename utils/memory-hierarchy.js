@@ -0,0 +1,144 @@
+/**
+ * Memory tiers: leaf memories (one per summarized message) rolled up into chapters and arcs
+ */
+
+export const MEMORY_LEVEL = Object.freeze({
+    MEMORY: 0, // One summarized message (mem_{msgId})
+    CHAPTER: 1, // Summary of consecutive memories (chapter_{turnStart}_{turnEnd})
+    ARC: 2, // Summary of consecutive chapters (arc_{turnStart}_{turnEnd})
+});
+
+const ROLLUP_PREFIXES = Object.freeze({
+    [MEMORY_LEVEL.CHAPTER]: 'chapter_',
+    [MEMORY_LEVEL.ARC]: 'arc_',
+});
+
+const LEVEL_LABELS = Object.freeze({
+    [MEMORY_LEVEL.MEMORY]: 'Memory',
+    [MEMORY_LEVEL.CHAPTER]: 'Chapter',
+    [MEMORY_LEVEL.ARC]: 'Arc',
+});
+
+/**
+ * Build the hash of a rollup record
+ * @param {number} level - MEMORY_LEVEL.CHAPTER or MEMORY_LEVEL.ARC
+ * @param {number} turnStart - First covered turn
+ * @param {number} turnEnd - Last covered turn
+ * @returns {string}
+ */
+export function getRollupHash(level, turnStart, turnEnd) {
+    return `${ROLLUP_PREFIXES[level]}${turnStart}_${turnEnd}`;
+}
+
+/**
+ * Check whether a key holds a rollup (chapter or arc) rather than a message memory
+ * @param {string} hash - Key in the collection's hash -> metadata map
+ * @returns {boolean}
+ */
+export function isRollupKey(hash) {
+    return Object.values(ROLLUP_PREFIXES).some(prefix => hash.startsWith(prefix));
+}
+
+/**
+ * Get the tier of a memory record
+ * @param {object} metadata - Memory metadata
+ * @returns {number} MEMORY_LEVEL value
+ */
+export function getMemoryLevel(metadata) {
+    return Number.isInteger(metadata?.level) ? metadata.level : MEMORY_LEVEL.MEMORY;
+}
+
+/**
+ * Get the display name of a tier ({{level}} in the memory template)
+ * @param {number} level - MEMORY_LEVEL value
+ * @returns {string}
+ */
+export function getLevelLabel(level) {
+    return LEVEL_LABELS[level] || LEVEL_LABELS[MEMORY_LEVEL.MEMORY];
+}
+
+/**
+ * Get the turns a memory record covers (a single turn for leaf memories)
+ * @param {object} metadata - Memory metadata
+ * @returns {{turnStart: number, turnEnd: number}}
+ */
+export function getTurnRange(metadata) {
+    const turnIndex = metadata?.turnIndex || 0;
+    if (getMemoryLevel(metadata) === MEMORY_LEVEL.MEMORY) {
+        return { turnStart: turnIndex, turnEnd: turnIndex };
+    }
+    return { turnStart: metadata.turnStart ?? turnIndex, turnEnd: metadata.turnEnd ?? turnIndex };
+}
+
+/**
+ * Group records that no rollup covers yet into new rollups.
+ * Uncovered records are split into runs at existing rollups. A run that ends at an existing rollup
+ * (a rollup was invalidated, or a late memory filled a gap) is closed and regrouped into groups of
+ * about groupSize; the open run at the end only yields full groups, the rest waits for more records.
+ * A closed run shorter than groupSize is re-planned together with the records of the rollup that
+ * follows it, which the new groups replace (no rollup of a single late memory).
+ * @param {Array<{hash: string, turnStart: number, turnEnd: number}>} items - Records of the tier below
+ * @param {Array<{hash: string, turnStart: number, turnEnd: number}>} rollups - Existing rollups of this tier
+ * @param {number} groupSize - Records per rollup
+ * @returns {Array<{items: Array<object>, replaces: string[]}>} One entry per rollup to create: its items
+ *   (chronological) and the hashes of existing rollups to remove once it is written
+ */
+export function planRollups(items, rollups, groupSize) {
+    if (!(groupSize > 1)) return [];
+
+    const contains = (rollup, item) => rollup.turnStart <= item.turnStart && item.turnEnd <= rollup.turnEnd;
+    const sorted = [...items].sort((a, b) => a.turnStart - b.turnStart);
+
+    const plans = [];
+    let run = [];
+    const splitClosed = (records, neighbour = null) => {
+        const count = Math.max(1, Math.round(records.length / groupSize));
+        const size = Math.ceil(records.length / count);
+        const groups = [];
+        for (let i = 0; i < count; i++) {
+            const group = records.slice(i * size, (i + 1) * size);
+            if (group.length > 0) groups.push(group);
+        }
+
+        // A group landing on the neighbour's exact range would rewrite it unchanged: keep the neighbour
+        const keepsNeighbour = neighbour && groups.some(group =>
+            group[0].turnStart === neighbour.turnStart && group[group.length - 1].turnEnd === neighbour.turnEnd);
+        for (const group of groups) {
+            if (keepsNeighbour && group[0].turnStart === neighbour.turnStart) continue;
+            plans.push({ items: group, replaces: neighbour && !keepsNeighbour ? [neighbour.hash] : [] });
+        }
+    };
+    const closeRun = (neighbour) => {
+        if (run.length === 0) return;
+
+        if (!neighbour) {
+            for (let i = 0; i + groupSize <= run.length; i += groupSize) {
+                plans.push({ items: run.slice(i, i + groupSize), replaces: [] });
+            }
+        } else if (run.length >= groupSize) {
+            splitClosed(run);
+        } else {
+            const merged = [...run, ...sorted.filter(item => contains(neighbour, item))]
+                .sort((a, b) => a.turnStart - b.turnStart);
+            splitClosed(merged, neighbour);
+        }
+        run = [];
+    };
+
+    for (const item of sorted) {
+        const rollup = rollups.find(r => contains(r, item));
+        if (rollup) {
+            closeRun(rollup);
+        } else {
+            run.push(item);
+        }
+    }
+    // A rollup past the last uncovered record also closes the run
+    const lastTurn = run.length > 0 ? run[run.length - 1].turnEnd : 0;
+    const next = rollups
+        .filter(r => r.turnStart > lastTurn)
+        .sort((a, b) => a.turnStart - b.turnStart)[0];
+    closeRun(next);
+
+    return plans;
+}
@@ -0,0 +1,449 @@
+/**
+ * Persistent storage for memory metadata (collectionId -> hash -> metadata)
+ *
+ * Memories are kept in an in-memory mirror so reads stay synchronous. Changes are written
+ * behind: touched memories are marked dirty and flushed together (one IndexedDB transaction,
+ * one record per memory) after flushIntervalMs, on flush() or on page unload. When IndexedDB
+ * is unavailable the mirror is persisted through the extension settings instead (the legacy layout).
+ */
+
+import {
+    requestToPromise,
+    transactionToPromise,
+    collectionKeyRange,
+    openIndexedDB,
+} from './idb-utils.js';
+
+const DB_NAME = 'uwu-memory-data';
+const DB_VERSION = 1;
+const STORE_NAME = 'memories';
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000; // Upper bound of the backoff between retries of a failed flush
+
+export const STORAGE_MODE_INDEXEDDB = 'indexeddb';
+export const STORAGE_MODE_SETTINGS = 'settings';
+
+/**
+ * Memory metadata store with IndexedDB persistence
+ */
+export class MemoryStorage {
+    /**
+     * @param {object} options - Options
+     * @param {Function} options.onSettingsWrite - Persists the settings blob (used in settings mode)
+     * @param {number} options.flushIntervalMs - How long changes are collected before they are written
+     * @param {Function} options.onFlush - Called with {collections: {collectionId: hashes[]}, purged: collectionIds[]}
+     *        after a flush was committed to IndexedDB (used to notify other tabs)
+     */
+    constructor({ onSettingsWrite = () => {}, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS, onFlush = () => {} } = {}) {
+        this.collections = {};
+        this.mode = STORAGE_MODE_INDEXEDDB;
+        this.db = null;
+        this.pendingWrites = new Set();
+        this.onSettingsWrite = onSettingsWrite;
+        this.onFlush = onFlush;
+        this.flushIntervalMs = flushIntervalMs;
+        this.flushTimer = null;
+        // collectionId -> Set of hashes changed since the last flush (written from the mirror)
+        this.dirty = new Map();
+        // Collections deleted since the last flush (cleared before their dirty records are written)
+        this.purged = new Set();
+        // Flush sequence number, and collectionId -> sequence of the last flush that wrote records to it
+        this.flushSeq = 0;
+        this.lastWrite = new Map();
+        // Delay before a failed flush is retried (doubles on every failure, reset by a committed flush)
+        this.retryDelayMs = 0;
+        this.stats = { changes: 0, flushes: 0 };
+    }
+
+    /**
+     * Open the database and load every memory into the mirror.
+     * Falls back to settings mode (using legacyData as the store) if IndexedDB cannot be opened.
+     * @param {object} legacyData - memoryData from extension settings
+     * @returns {Promise<{mode: string, migrated: number}>} Storage mode and number of memories migrated from settings
+     */
+    async init(legacyData = {}) {
+        try {
+            this.db = await openIndexedDB(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: ['collectionId', 'hash'] });
+                }
+            });
+        } catch (error) {
+            console.warn('MemoryStorage: IndexedDB unavailable, keeping memories in extension settings:', error.message);
+            this.mode = STORAGE_MODE_SETTINGS;
+            this.collections = legacyData || {};
+            return { mode: this.mode, migrated: 0 };
+        }
+
+        const records = await requestToPromise(
+            this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll(),
+        );
+
+        this.collections = {};
+        for (const { collectionId, hash, metadata } of records) {
+            if (!this.collections[collectionId]) this.collections[collectionId] = {};
+            this.collections[collectionId][hash] = metadata;
+        }
+
+        const migrated = await this.importLegacy(legacyData);
+        return { mode: this.mode, migrated };
+    }
+
+    /**
+     * One-time migration of settings memoryData into IndexedDB.
+     * Memories already in IndexedDB win, so re-running after a partial migration is safe.
+     * @param {object} legacyData - collectionId -> hash -> metadata
+     * @returns {Promise<number>} Number of memories written
+     */
+    async importLegacy(legacyData) {
+        const records = [];
+        for (const [collectionId, hashMap] of Object.entries(legacyData || {})) {
+            for (const [hash, metadata] of Object.entries(hashMap || {})) {
+                if (this.collections[collectionId]?.[hash] !== undefined) continue;
+                records.push({ collectionId, hash, metadata });
+            }
+        }
+
+        if (records.length === 0) return 0;
+
+        const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        for (const record of records) {
+            store.put(record);
+        }
+        await transactionToPromise(transaction);
+
+        for (const { collectionId, hash, metadata } of records) {
+            if (!this.collections[collectionId]) this.collections[collectionId] = {};
+            this.collections[collectionId][hash] = metadata;
+        }
+
+        return records.length;
+    }
+
+    /**
+     * Whether memories are persisted inside the extension settings
+     * @returns {boolean}
+     */
+    usesSettings() {
+        return this.mode === STORAGE_MODE_SETTINGS;
+    }
+
+    /**
+     * Get the live hash -> metadata map of a collection
+     * @param {string} collectionId - Collection ID
+     * @returns {object} Map (empty object if the collection does not exist)
+     */
+    getCollection(collectionId) {
+        return this.collections[collectionId] || {};
+    }
+
+    /**
+     * Check whether a collection exists
+     * @param {string} collectionId - Collection ID
+     * @returns {boolean}
+     */
+    hasCollection(collectionId) {
+        return Boolean(this.collections[collectionId]);
+    }
+
+    /**
+     * List all collection IDs
+     * @returns {string[]}
+     */
+    getCollectionIds() {
+        return Object.keys(this.collections);
+    }
+
+    /**
+     * Save one memory
+     * @param {string} collectionId - Collection ID
+     * @param {string} hash - Memory hash
+     * @param {object} metadata - Metadata object
+     */
+    set(collectionId, hash, metadata) {
+        this.setMany(collectionId, { [hash]: metadata });
+    }
+
+    /**
+     * Save several memories of a collection in one write
+     * @param {string} collectionId - Collection ID
+     * @param {object} entries - hash -> metadata
+     */
+    setMany(collectionId, entries) {
+        const hashes = Object.keys(entries);
+        if (hashes.length === 0) return;
+
+        if (!this.collections[collectionId]) this.collections[collectionId] = {};
+        Object.assign(this.collections[collectionId], entries);
+
+        this.markDirty(collectionId, hashes);
+    }
+
+    /**
+     * Delete one memory
+     * @param {string} collectionId - Collection ID
+     * @param {string} hash - Memory hash
+     */
+    delete(collectionId, hash) {
+        if (!this.collections[collectionId]) return;
+
+        delete this.collections[collectionId][hash];
+        this.markDirty(collectionId, [hash]);
+    }
+
+    /**
+     * Delete a whole collection
+     * @param {string} collectionId - Collection ID
+     */
+    deleteCollection(collectionId) {
+        if (!this.collections[collectionId]) return;
+
+        delete this.collections[collectionId];
+        this.dirty.delete(collectionId);
+        this.purged.add(collectionId);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Record changed memories and arm the flush timer
+     * @param {string} collectionId - Collection ID
+     * @param {string[]} hashes - Changed (saved or deleted) hashes
+     */
+    markDirty(collectionId, hashes) {
+        let dirtyHashes = this.dirty.get(collectionId);
+        if (!dirtyHashes) {
+            dirtyHashes = new Set();
+            this.dirty.set(collectionId, dirtyHashes);
+        }
+        for (const hash of hashes) {
+            dirtyHashes.add(hash);
+        }
+        this.stats.changes += hashes.length;
+        this.scheduleFlush();
+    }
+
+    /**
+     * Start the flush timer unless one is already running (waits out the retry backoff after a failed flush)
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), Math.max(this.flushIntervalMs, this.retryDelayMs));
+    }
+
+    /**
+     * Whether there are changes not yet handed to the persistent store
+     * @returns {boolean}
+     */
+    hasPendingChanges() {
+        return this.dirty.size > 0 || this.purged.size > 0;
+    }
+
+    /**
+     * Write all pending changes now.
+     * The transaction is started synchronously, so calling this from beforeunload still commits it.
+     * @returns {Promise<number>} Number of records written or deleted
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.hasPendingChanges()) return Promise.resolve(0);
+
+        const dirty = this.dirty;
+        const purged = this.purged;
+        this.dirty = new Map();
+        this.purged = new Set();
+        this.stats.flushes++;
+        const seq = ++this.flushSeq;
+
+        let count = purged.size;
+        for (const hashes of dirty.values()) {
+            count += hashes.size;
+        }
+
+        if (this.usesSettings()) {
+            this.onSettingsWrite();
+            return Promise.resolve(count);
+        }
+
+        if (!this.db) return Promise.resolve(0);
+
+        let transaction;
+        try {
+            transaction = this.db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            for (const collectionId of purged) {
+                store.delete(collectionKeyRange(collectionId));
+            }
+            for (const [collectionId, hashes] of dirty) {
+                this.lastWrite.set(collectionId, seq);
+                const collection = this.collections[collectionId];
+                for (const hash of hashes) {
+                    const metadata = collection?.[hash];
+                    if (metadata === undefined) {
+                        store.delete([collectionId, hash]);
+                    } else {
+                        store.put({ collectionId, hash, metadata });
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('MemoryStorage flush failed:', error);
+            this.requeue(dirty, purged, seq);
+            return Promise.resolve(0);
+        }
+
+        const changes = {
+            collections: Object.fromEntries([...dirty].map(([collectionId, hashes]) => [collectionId, [...hashes]])),
+            purged: [...purged],
+        };
+        const write = transactionToPromise(transaction)
+            .then(() => {
+                this.retryDelayMs = 0;
+                this.onFlush(changes);
+                return count;
+            })
+            .catch((error) => {
+                // Records are written from the mirror, so re-queueing them writes their latest state
+                console.error('MemoryStorage write failed:', error);
+                this.requeue(dirty, purged, seq);
+                return 0;
+            })
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+        return write;
+    }
+
+    /**
+     * Put the changes of a failed flush back into the queue and retry it with a growing delay.
+     * A purge is only re-queued as is when no newer flush has written to the collection since; otherwise
+     * the purge would delete those records, so the collection's current records are queued after it.
+     * @param {Map<string, Set<string>>} dirty - Dirty hashes of the failed flush
+     * @param {Set<string>} purged - Purged collections of the failed flush
+     * @param {number} seq - Sequence number of the failed flush
+     */
+    requeue(dirty, purged, seq) {
+        const requeueHashes = (collectionId, hashes) => {
+            const current = this.dirty.get(collectionId) || new Set();
+            for (const hash of hashes) {
+                current.add(hash);
+            }
+            this.dirty.set(collectionId, current);
+        };
+
+        for (const collectionId of purged) {
+            this.purged.add(collectionId);
+            if ((this.lastWrite.get(collectionId) || 0) > seq) {
+                requeueHashes(collectionId, Object.keys(this.collections[collectionId] || {}));
+            }
+        }
+        for (const [collectionId, hashes] of dirty) {
+            requeueHashes(collectionId, hashes);
+        }
+
+        this.retryDelayMs = Math.min(MAX_RETRY_DELAY_MS, Math.max(this.flushIntervalMs, this.retryDelayMs * 2));
+        this.scheduleFlush();
+    }
+
+    /**
+     * Re-read records another tab changed (the onFlush changes of that tab) into the mirror.
+     * Local changes that are not flushed yet win over the remote ones.
+     * @param {{collections?: object, purged?: string[]}} changes - collectionId -> hashes, purged collection IDs
+     * @returns {Promise<number>} Number of records re-read
+     */
+    async reloadRecords({ collections = {}, purged = [] } = {}) {
+        if (this.usesSettings() || !this.db) return 0;
+
+        for (const collectionId of purged) {
+            const localHashes = this.dirty.get(collectionId);
+            if (!localHashes) {
+                delete this.collections[collectionId];
+                continue;
+            }
+            const current = this.collections[collectionId] || {};
+            this.collections[collectionId] = Object.fromEntries([...localHashes]
+                .filter(hash => current[hash] !== undefined)
+                .map(hash => [hash, current[hash]]));
+        }
+
+        const keys = [];
+        for (const [collectionId, hashes] of Object.entries(collections)) {
+            if (this.purged.has(collectionId)) continue;
+            for (const hash of hashes) {
+                keys.push([collectionId, hash]);
+            }
+        }
+        if (keys.length === 0) return 0;
+
+        const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const records = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+
+        keys.forEach(([collectionId, hash], i) => {
+            // Changed locally while reading (or purged) - the local state is written next
+            if (this.dirty.get(collectionId)?.has(hash) || this.purged.has(collectionId)) return;
+
+            const record = records[i];
+            if (record) {
+                if (!this.collections[collectionId]) this.collections[collectionId] = {};
+                this.collections[collectionId][hash] = record.metadata;
+            } else if (this.collections[collectionId]) {
+                delete this.collections[collectionId][hash];
+            }
+        });
+
+        return keys.length;
+    }
+
+    /**
+     * Re-read one collection from IndexedDB into the mirror, e.g. after taking the collection's
+     * cross-tab lock, when another tab's change notices may still be in flight.
+     * Local changes that are not flushed yet win over the stored records.
+     * @param {string} collectionId - Collection ID
+     * @returns {Promise<string[]>} Hashes whose record was added, changed or removed
+     */
+    async reloadCollection(collectionId) {
+        if (this.usesSettings() || !this.db || this.purged.has(collectionId)) return [];
+
+        // Started after any running flush, so committed and in-flight writes are both read back
+        const records = await requestToPromise(
+            this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll(collectionKeyRange(collectionId)),
+        );
+        if (this.purged.has(collectionId)) return [];
+
+        const current = this.collections[collectionId] || {};
+        const reloaded = {};
+        for (const { hash, metadata } of records) {
+            reloaded[hash] = metadata;
+        }
+        for (const hash of this.dirty.get(collectionId) || []) {
+            if (current[hash] !== undefined) {
+                reloaded[hash] = current[hash];
+            } else {
+                delete reloaded[hash];
+            }
+        }
+
+        const changed = [...new Set([...Object.keys(current), ...Object.keys(reloaded)])]
+            .filter(hash => current[hash]?.updatedAt !== reloaded[hash]?.updatedAt
+                || (current[hash] === undefined) !== (reloaded[hash] === undefined));
+        if (Object.keys(reloaded).length > 0) {
+            this.collections[collectionId] = reloaded;
+        } else {
+            delete this.collections[collectionId];
+        }
+        return changed;
+    }
+
+    /**
+     * Flush pending changes and wait until all started writes have finished
+     * @returns {Promise<void>}
+     */
+    async whenIdle() {
+        await this.flush();
+        while (this.pendingWrites.size > 0) {
+            await Promise.all([...this.pendingWrites]);
+        }
+    }
+}
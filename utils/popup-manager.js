@@ -4,6 +4,17 @@
  */
 
 import { sleep } from './async-utils.js';
+import { MEMORY_LEVEL, getLevelLabel } from './memory-hierarchy.js';
+import { ENTITY_FIELDS } from './memory-entities.js';
+
+// Label and icon of each structured memory field in memory lists
+const ENTITY_DISPLAY = Object.freeze({
+    characters: { label: 'Characters', icon: 'fa-user' },
+    locations: { label: 'Locations', icon: 'fa-location-dot' },
+    items: { label: 'Items', icon: 'fa-box' },
+    keywords: { label: 'Keywords', icon: 'fa-tag' },
+    facts: { label: 'Facts', icon: 'fa-circle-info' },
+});
 
 // Batch processing state
 let batchState = {
@@ -74,13 +85,15 @@ function createDialogPopup(innerHtml, options = {}) {
  * Show batch regeneration popup
  * @param {object} options - Options
  * @param {Function} options.onProcess - Process callback (item) => Promise
+ * @param {Function} [options.onProcessBatch] - Process a whole batch in one call
+ *        (items) => Promise<{success: number, failed: number}>; used instead of onProcess when given
  * @param {Array} options.items - Items to process
  * @param {number} options.batchSize - Batch size
  * @param {number} options.delayMs - Delay between batches
  * @returns {Promise<{success: number, failed: number, total: number}>} Results when popup closes
  */
 export function showBatchRegeneratePopup(options) {
-    const { onProcess, items, batchSize = 5, delayMs = 500 } = options;
+    const { onProcess, onProcessBatch, items, batchSize = 5, delayMs = 500 } = options;
 
     return new Promise((resolve) => {
         const popupHtml = `
@@ -182,19 +195,33 @@ export function showBatchRegeneratePopup(options) {
 
                 const batch = itemsToProcess.slice(i, i + batchSize);
 
-                for (const item of batch) {
-                    if (batchState.shouldStop) break;
-
+                if (onProcessBatch) {
                     try {
-                        await onProcess(item);
-                        batchState.success++;
+                        const result = await onProcessBatch(batch);
+                        batchState.success += result.success;
+                        batchState.failed += result.failed;
                     } catch (error) {
                         console.error('Batch process error:', error);
-                        batchState.failed++;
+                        batchState.failed += batch.length;
                     }
 
-                    batchState.processed++;
+                    batchState.processed += batch.length;
                     updateProgress();
+                } else {
+                    for (const item of batch) {
+                        if (batchState.shouldStop) break;
+
+                        try {
+                            await onProcess(item);
+                            batchState.success++;
+                        } catch (error) {
+                            console.error('Batch process error:', error);
+                            batchState.failed++;
+                        }
+
+                        batchState.processed++;
+                        updateProgress();
+                    }
                 }
 
                 // Delay between batches
@@ -360,15 +387,16 @@ export async function showMemoryManagementPopup(options) {
                     <div class="um-memory-item" data-hash="${mem.hash}">
                         <div class="um-memory-item-header">
                             <input type="checkbox" class="um-item-checkbox" data-hash="${mem.hash}" ${isChecked}>
-                            <span class="um-memory-item-turn">Turn ${mem.turnIndex || mem.index || '?'}</span>
+                            <span class="um-memory-item-turn">${formatMemoryTurn(mem)}</span>
                             <span class="um-memory-item-date">${date}</span>
                         </div>
                         <div class="um-memory-item-content">${escapeHtml(mem.text || mem.summary || '')}</div>
+                        ${formatMemoryEntities(mem)}
                         <div class="um-memory-item-actions">
-                            <button class="menu_button um-btn-regenerate" data-hash="${mem.hash}" data-msgid="${mem.msgId || ''}" title="Regenerate summary">
+                            <button class="menu_button um-btn-regenerate" data-hash="${mem.hash}" data-msgid="${mem.msgId || ''}" data-level="${mem.level || 0}" title="Regenerate summary">
                                 <i class="fa-solid fa-recycle"></i>
                             </button>
-                            <button class="menu_button um-btn-view" data-msgid="${mem.msgId || ''}">View</button>
+                            ${mem.level > MEMORY_LEVEL.MEMORY ? '' : `<button class="menu_button um-btn-view" data-msgid="${mem.msgId || ''}">View</button>`}
                             <button class="menu_button um-btn-edit" data-hash="${mem.hash}">Edit</button>
                             <button class="menu_button um-btn-delete" data-hash="${mem.hash}">Delete</button>
                         </div>
@@ -505,7 +533,8 @@ export async function showMemoryManagementPopup(options) {
 
                 const hash = this.dataset.hash;
                 const msgId = this.dataset.msgid;
-                if (!msgId) {
+                // Chapters and arcs are rewritten from the memories they cover
+                if (!msgId && Number(this.dataset.level) === MEMORY_LEVEL.MEMORY) {
                     toastr.warning('Cannot regenerate: original message ID not found');
                     return;
                 }
@@ -613,49 +642,116 @@ export async function showMemoryManagementPopup(options) {
     });
 }
 
+/**
+ * Format a byte count for display
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'N/A';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Show statistics popup
- * @param {object} stats - Statistics object
+ * @param {object} stats - Statistics (see getCollectionStats in index.js)
+ * @param {object} options - Options
+ * @param {Function} options.onVectorizeMissing - Insert unvectorized memories () => Promise<object> (returns refreshed stats)
  */
-export function showStatsPopup(stats) {
+export function showStatsPopup(stats, options = {}) {
+    const { onVectorizeMissing } = options;
+
     const popupHtml = `
         <div class="um-stats-popup">
             <h3>Context Summarizer Statistics</h3>
+            <div id="um-stats-body"></div>
+            <div class="um-stats-actions">
+                <button class="menu_button" id="um-stats-vectorize" style="display: none;">
+                    <i class="fa-solid fa-cloud-arrow-up"></i> Vectorize Missing
+                </button>
+                <button class="menu_button" id="um-stats-close">Close</button>
+            </div>
+        </div>
+    `;
+
+    const dialog = createDialogPopup(popupHtml);
+    const vectorizeBtn = dialog.querySelector('#um-stats-vectorize');
+
+    const render = (current) => {
+        const unvectorized = current.unvectorized || [];
+        const lastWrite = current.lastWrite ? new Date(current.lastWrite).toLocaleString() : 'N/A';
+
+        dialog.querySelector('#um-stats-body').innerHTML = `
             <div class="um-stats-grid">
                 <div class="um-stats-item">
                     <span class="um-stats-label">Total Memories</span>
-                    <span class="um-stats-value">${stats.totalMemories || 0}</span>
+                    <span class="um-stats-value">${current.totalMemories || 0}</span>
                 </div>
                 <div class="um-stats-item">
                     <span class="um-stats-label">With Embeddings</span>
-                    <span class="um-stats-value">${stats.withEmbeddings || 0}</span>
+                    <span class="um-stats-value">${current.withEmbeddings || 0}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Unvectorized</span>
+                    <span class="um-stats-value ${unvectorized.length > 0 ? 'um-unhealthy' : ''}">${unvectorized.length}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Orphaned Vectors</span>
+                    <span class="um-stats-value">${current.orphanedVectors || 0}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Vector Storage</span>
+                    <span class="um-stats-value">${formatBytes(current.sizeBytes)}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Dimension</span>
+                    <span class="um-stats-value">${current.dimension || 'N/A'}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Last Write</span>
+                    <span class="um-stats-value">${lastWrite}</span>
                 </div>
                 <div class="um-stats-item">
                     <span class="um-stats-label">Pending</span>
-                    <span class="um-stats-value">${stats.pending || 0}</span>
+                    <span class="um-stats-value">${current.pending || 0}</span>
                 </div>
                 <div class="um-stats-item">
                     <span class="um-stats-label">Cache Size</span>
-                    <span class="um-stats-value">${stats.cacheSize || 0}</span>
+                    <span class="um-stats-value">${current.cacheSize || 0}</span>
                 </div>
                 <div class="um-stats-item">
                     <span class="um-stats-label">Backend</span>
-                    <span class="um-stats-value">${stats.backend || 'unknown'}</span>
+                    <span class="um-stats-value">${current.backend || 'unknown'}</span>
+                </div>
+                <div class="um-stats-item">
+                    <span class="um-stats-label">Embedding Model</span>
+                    <span class="um-stats-value">${escapeHtml(current.embeddingModel || 'unknown')}</span>
                 </div>
                 <div class="um-stats-item">
                     <span class="um-stats-label">Backend Health</span>
-                    <span class="um-stats-value ${stats.backendHealthy ? 'um-healthy' : 'um-unhealthy'}">
-                        ${stats.backendHealthy ? 'OK' : 'Error'}
+                    <span class="um-stats-value ${current.backendHealthy ? 'um-healthy' : 'um-unhealthy'}">
+                        ${current.backendHealthy ? 'OK' : 'Error'}
                     </span>
                 </div>
             </div>
-            <div class="um-stats-actions">
-                <button class="menu_button" id="um-stats-close">Close</button>
-            </div>
-        </div>
-    `;
+            ${current.error ? `<p class="um-unhealthy">${escapeHtml(current.error)}</p>` : ''}
+            ${unvectorized.length > 0 ? `
+            <div class="um-stats-unvectorized">
+                <span class="um-stats-label">Unvectorized memories</span>
+                <ul>
+                    ${unvectorized.map(item => `
+                    <li title="${escapeHtml(item.hash)}">Turn ${item.turnIndex}: ${escapeHtml((item.summary || '').substring(0, 80))}</li>`).join('')}
+                </ul>
+            </div>` : ''}
+        `;
 
-    const dialog = createDialogPopup(popupHtml);
+        const canVectorize = onVectorizeMissing && current.backendHealthy && unvectorized.length > 0;
+        vectorizeBtn.style.display = canVectorize ? '' : 'none';
+    };
+
+    render(stats);
     dialog.showModal();
 
     const closePopup = () => {
@@ -663,6 +759,21 @@ export function showStatsPopup(stats) {
         dialog.remove();
     };
 
+    vectorizeBtn.addEventListener('click', async () => {
+        vectorizeBtn.disabled = true;
+        vectorizeBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Vectorizing...';
+
+        try {
+            render(await onVectorizeMissing());
+        } catch (error) {
+            console.error('Failed to vectorize missing memories:', error);
+            toastr.error(`Failed to vectorize: ${error.message}`);
+        } finally {
+            vectorizeBtn.disabled = false;
+            vectorizeBtn.innerHTML = '<i class="fa-solid fa-cloud-arrow-up"></i> Vectorize Missing';
+        }
+    });
+
     dialog.querySelector('#um-stats-close').addEventListener('click', closePopup);
     dialog.addEventListener('close', () => {
         if (document.body.contains(dialog)) {
@@ -677,14 +788,24 @@ export function showStatsPopup(stats) {
  * @param {object} options - Options
  * @param {Function} options.getAllCollections - Get all collections data
  * @param {Function} options.purgeCollection - Purge a collection (collectionId) => Promise
+ * @param {Function} options.reindexCollection - Rebuild a collection's vectors with the current embedding model (collectionId) => Promise<number>
  * @param {Function} options.cleanupOrphaned - Cleanup orphaned collections () => Promise<number>
  * @param {Function} options.getCharacterName - Get character name by ID (characterId) => string
  * @param {Function} options.getMemoriesForCollection - Get memories for specific collection (collectionId) => Promise<Array>
  * @param {Function} options.deleteMemory - Delete a memory (collectionId, hash) => Promise
  * @param {Function} options.editMemory - Edit a memory (collectionId, hash, newText) => Promise
+ * @param {Function} options.exportAll - Build a backup archive (includeVectors) => Promise<{archive: object, collections: number, memories: number}>
+ * @param {Function} options.importArchive - Restore a backup (fileText, policy) => Promise<{collections, skipped, memories, failed}>
+ * @param {Function} options.exportCollection - Export one collection (collectionId, includeVectors) => Promise<{archive: object, memories: number}>
+ * @param {Function} options.attachCollection - Attach a collection to the open chat (collectionId) => Promise<{attached, unmatched, existing}>
+ * @param {Function} options.importToCurrentChat - Import a single-collection file into the open chat (fileText) => Promise<{attached, unmatched, existing}>
  */
 export async function showGlobalMemoryManagementPopup(options) {
-    const { getAllCollections, purgeCollection, cleanupOrphaned, getCharacterName, getMemoriesForCollection, deleteMemory, editMemory, regenerateMemory } = options;
+    const {
+        getAllCollections, purgeCollection, reindexCollection, cleanupOrphaned, getCharacterName,
+        getMemoriesForCollection, deleteMemory, editMemory, regenerateMemory,
+        exportAll, importArchive, exportCollection, attachCollection, importToCurrentChat,
+    } = options;
 
     let collections = [];
     let filteredCollections = [];
@@ -728,6 +849,30 @@ export async function showGlobalMemoryManagementPopup(options) {
                     <button id="um-refresh-global" class="menu_button">
                         <i class="fa-solid fa-sync"></i> Refresh
                     </button>
+                    ${exportAll && importArchive ? `
+                    <div class="um-global-backup">
+                        <button id="um-export-all" class="menu_button" title="Download a backup of every collection">
+                            <i class="fa-solid fa-file-export"></i> Export All
+                        </button>
+                        <label class="checkbox_label" title="Also back up stored vectors (backends that support it); otherwise memories are re-embedded on import">
+                            <input type="checkbox" id="um-export-vectors">
+                            <span>Vectors</span>
+                        </label>
+                        <button id="um-import" class="menu_button" title="Restore memories from a backup file">
+                            <i class="fa-solid fa-file-import"></i> Import
+                        </button>
+                        <select id="um-import-policy" class="text_pole" title="What to do with collections that already exist">
+                            <option value="merge">Merge</option>
+                            <option value="overwrite">Overwrite existing</option>
+                            <option value="skip">Skip existing</option>
+                        </select>
+                        <input type="file" id="um-import-file" accept=".json,application/json" hidden>
+                        ${importToCurrentChat ? `
+                        <button id="um-import-to-chat" class="menu_button" title="Import an exported collection into the open chat (matched by message send date)">
+                            <i class="fa-solid fa-file-arrow-down"></i> Import to Open Chat
+                        </button>
+                        <input type="file" id="um-import-to-chat-file" accept=".json,application/json" hidden>` : ''}
+                    </div>` : ''}
                 </div>
 
                 <!-- Collection list -->
@@ -786,6 +931,7 @@ export async function showGlobalMemoryManagementPopup(options) {
         const totalCollections = collections.length;
         const totalMemories = collections.reduce((sum, c) => sum + (c.memoryCount || 0), 0);
         const orphanedCount = collections.filter(c => c.isOrphaned).length;
+        const mismatchCount = collections.filter(c => c.modelMismatch).length;
         const uniqueCharacters = new Set(collections.filter(c => !c.isOrphaned && c.characterId !== null).map(c => c.characterId)).size;
 
         dialog.querySelector('#um-global-stats').innerHTML = `
@@ -793,6 +939,7 @@ export async function showGlobalMemoryManagementPopup(options) {
             <span>Memories: <strong>${totalMemories}</strong></span>
             <span>Characters: <strong>${uniqueCharacters}</strong></span>
             ${orphanedCount > 0 ? `<span class="um-orphaned-warning">Orphaned: <strong>${orphanedCount}</strong></span>` : ''}
+            ${mismatchCount > 0 ? `<span class="um-orphaned-warning" title="Indexed with a different embedding model">Model changed: <strong>${mismatchCount}</strong></span>` : ''}
         `;
     };
 
@@ -885,6 +1032,7 @@ export async function showGlobalMemoryManagementPopup(options) {
                             <i class="fa-solid ${typeIcon}"></i>
                             <span class="um-collection-name">${escapeHtml(col.characterName || 'Unknown')}</span>
                             ${col.isOrphaned ? '<span class="um-orphaned-badge">Orphaned</span>' : ''}
+                            ${col.modelMismatch ? `<span class="um-orphaned-badge" title="Indexed with ${escapeHtml(col.embeddingModel || 'another model')}">Model changed</span>` : ''}
                         </div>
                         <div class="um-collection-item-stats">
                             <span title="Memory count">${col.memoryCount} memories</span>
@@ -893,6 +1041,18 @@ export async function showGlobalMemoryManagementPopup(options) {
                     </div>
                     <div class="um-collection-item-chat">${escapeHtml(col.chatName || 'Unnamed Chat')}</div>
                     <div class="um-collection-item-actions">
+                        ${col.modelMismatch && reindexCollection ? `
+                        <button class="menu_button um-btn-reindex-collection" data-collection-id="${col.collectionId}" title="Rebuild vectors with the current embedding model">
+                            <i class="fa-solid fa-rotate"></i> Re-index
+                        </button>` : ''}
+                        ${col.isOrphaned && attachCollection ? `
+                        <button class="menu_button um-btn-attach-collection" data-collection-id="${col.collectionId}" title="Move these memories to the open chat (matched by message send date)">
+                            <i class="fa-solid fa-link"></i> Attach to Open Chat
+                        </button>` : ''}
+                        ${exportCollection ? `
+                        <button class="menu_button um-btn-export-collection" data-collection-id="${col.collectionId}" title="Download this collection">
+                            <i class="fa-solid fa-file-export"></i> Export
+                        </button>` : ''}
                         <button class="menu_button um-btn-purge-collection" data-collection-id="${col.collectionId}">
                             <i class="fa-solid fa-trash"></i> Purge
                         </button>
@@ -950,8 +1110,8 @@ export async function showGlobalMemoryManagementPopup(options) {
         // Bind collection item click (excluding purge button)
         listEl.querySelectorAll('.um-collection-item').forEach(item => {
             item.addEventListener('click', async function(e) {
-                // Don't navigate if clicking the purge button
-                if (e.target.closest('.um-btn-purge-collection')) return;
+                // Don't navigate if clicking an action button
+                if (e.target.closest('.um-collection-item-actions')) return;
 
                 const collectionId = this.dataset.collectionId;
                 const col = collections.find(c => c.collectionId === collectionId);
@@ -961,6 +1121,86 @@ export async function showGlobalMemoryManagementPopup(options) {
             });
         });
 
+        // Bind re-index buttons
+        listEl.querySelectorAll('.um-btn-reindex-collection').forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const collectionId = this.dataset.collectionId;
+                const col = collections.find(c => c.collectionId === collectionId);
+                const name = col?.characterName || collectionId;
+
+                this.disabled = true;
+                this.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Re-indexing...';
+
+                try {
+                    const count = await reindexCollection(collectionId);
+                    toastr.success(`Re-indexed ${count} memories for ${name}`);
+                    await loadCollections();
+                } catch (error) {
+                    console.error('Failed to re-index collection:', error);
+                    toastr.error(`Failed to re-index: ${error.message}`);
+                    this.disabled = false;
+                    this.innerHTML = '<i class="fa-solid fa-rotate"></i> Re-index';
+                }
+            });
+        });
+
+        // Bind export buttons
+        listEl.querySelectorAll('.um-btn-export-collection').forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const collectionId = this.dataset.collectionId;
+                const col = collections.find(c => c.collectionId === collectionId);
+                const includeVectors = dialog.querySelector('#um-export-vectors')?.checked || false;
+
+                this.disabled = true;
+                try {
+                    const result = await exportCollection(collectionId, includeVectors);
+                    const name = `${col?.characterName || 'collection'} ${col?.chatName || ''}`.trim().replace(/[^\w-]+/g, '_');
+                    downloadJson(`uwu-memory-${name}.json`, result.archive);
+                    toastr.success(`Exported ${result.memories} memories`);
+                } catch (error) {
+                    console.error('Failed to export collection:', error);
+                    toastr.error(`Export failed: ${error.message}`);
+                }
+                this.disabled = false;
+            });
+        });
+
+        // Bind attach buttons (orphaned collections)
+        listEl.querySelectorAll('.um-btn-attach-collection').forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const collectionId = this.dataset.collectionId;
+                const col = collections.find(c => c.collectionId === collectionId);
+                const name = col?.chatName || collectionId;
+
+                if (!confirm(`Attach the memories of "${name}" to the open chat?\n\nMemories are matched to the open chat's messages by send date. Matched memories move to the open chat; the others stay here.`)) {
+                    return;
+                }
+
+                this.disabled = true;
+                this.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Attaching...';
+
+                try {
+                    const report = await attachCollection(collectionId);
+                    showAttachResult(report);
+                    await loadCollections();
+                } catch (error) {
+                    console.error('Failed to attach collection:', error);
+                    toastr.error(`Attach failed: ${error.message}`);
+                    this.disabled = false;
+                    this.innerHTML = '<i class="fa-solid fa-link"></i> Attach to Open Chat';
+                }
+            });
+        });
+
         // Bind purge buttons
         listEl.querySelectorAll('.um-btn-purge-collection').forEach(btn => {
             btn.addEventListener('click', async function(e) {
@@ -992,6 +1232,20 @@ export async function showGlobalMemoryManagementPopup(options) {
         });
     };
 
+    const showAttachResult = (report) => {
+        const attached = report.attached.length - report.existing;
+        const details = [
+            report.existing > 0 ? `${report.existing} already present` : '',
+            report.unmatched.length > 0 ? `${report.unmatched.length} had no matching message` : '',
+        ].filter(Boolean).join(', ');
+        const message = `Attached ${attached} memories to the open chat${details ? ` (${details})` : ''}`;
+        if (attached > 0) {
+            toastr.success(message);
+        } else {
+            toastr.warning(message);
+        }
+    };
+
     const loadCollections = async () => {
         try {
             collections = await getAllCollections();
@@ -1080,12 +1334,13 @@ export async function showGlobalMemoryManagementPopup(options) {
                 <div class="um-memory-item" data-hash="${mem.hash}">
                     <div class="um-memory-item-header">
                         <input type="checkbox" class="um-item-checkbox" data-hash="${mem.hash}" ${isChecked}>
-                        <span class="um-memory-item-turn">Turn ${mem.turnIndex || mem.index || '?'}</span>
+                        <span class="um-memory-item-turn">${formatMemoryTurn(mem)}</span>
                         <span class="um-memory-item-date">${date}</span>
                     </div>
                     <div class="um-memory-item-content">${escapeHtml(mem.text || mem.summary || '')}</div>
+                    ${formatMemoryEntities(mem)}
                     <div class="um-memory-item-actions">
-                        <button class="menu_button um-btn-regenerate" data-hash="${mem.hash}" data-msgid="${mem.msgId || ''}" title="Regenerate summary">
+                        <button class="menu_button um-btn-regenerate" data-hash="${mem.hash}" data-msgid="${mem.msgId || ''}" data-level="${mem.level || 0}" title="Regenerate summary">
                             <i class="fa-solid fa-recycle"></i>
                         </button>
                         <button class="menu_button um-btn-edit" data-hash="${mem.hash}">Edit</button>
@@ -1204,7 +1459,8 @@ export async function showGlobalMemoryManagementPopup(options) {
 
                 const hash = this.dataset.hash;
                 const msgId = this.dataset.msgid;
-                if (!msgId) {
+                // Chapters and arcs are rewritten from the memories they cover
+                if (!msgId && Number(this.dataset.level) === MEMORY_LEVEL.MEMORY) {
                     toastr.warning('Cannot regenerate: original message ID not found');
                     return;
                 }
@@ -1330,6 +1586,82 @@ export async function showGlobalMemoryManagementPopup(options) {
         this.innerHTML = '<i class="fa-solid fa-broom"></i> Cleanup Orphaned';
     });
 
+    dialog.querySelector('#um-export-all')?.addEventListener('click', async function() {
+        const includeVectors = dialog.querySelector('#um-export-vectors').checked;
+
+        this.disabled = true;
+        this.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Exporting...';
+
+        try {
+            const result = await exportAll(includeVectors);
+            const date = new Date().toISOString().substring(0, 10);
+            downloadJson(`uwu-memory-backup-${date}.json`, result.archive);
+            toastr.success(`Exported ${result.memories} memories from ${result.collections} collections`);
+        } catch (error) {
+            console.error('Failed to export memories:', error);
+            toastr.error(`Export failed: ${error.message}`);
+        }
+
+        this.disabled = false;
+        this.innerHTML = '<i class="fa-solid fa-file-export"></i> Export All';
+    });
+
+    dialog.querySelector('#um-import')?.addEventListener('click', () => {
+        dialog.querySelector('#um-import-file').click();
+    });
+
+    dialog.querySelector('#um-import-file')?.addEventListener('change', async function() {
+        const file = this.files?.[0];
+        this.value = '';
+        if (!file) return;
+
+        const policy = dialog.querySelector('#um-import-policy').value;
+        if (policy === 'overwrite' && !confirm(`Collections in "${file.name}" that already exist will be replaced.\n\nContinue?`)) {
+            return;
+        }
+
+        const importBtn = dialog.querySelector('#um-import');
+        importBtn.disabled = true;
+        importBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Importing...';
+
+        try {
+            const report = await importArchive(await file.text(), policy);
+            const skipped = report.skipped > 0 ? `, ${report.skipped} existing skipped` : '';
+            const failed = report.failed > 0 ? ` (${report.failed} not vectorized yet)` : '';
+            toastr.success(`Imported ${report.memories} memories into ${report.collections} collections${skipped}${failed}`);
+            await loadCollections();
+        } catch (error) {
+            console.error('Failed to import memories:', error);
+            toastr.error(`Import failed: ${error.message}`);
+        }
+
+        importBtn.disabled = false;
+        importBtn.innerHTML = '<i class="fa-solid fa-file-import"></i> Import';
+    });
+
+    dialog.querySelector('#um-import-to-chat')?.addEventListener('click', () => {
+        dialog.querySelector('#um-import-to-chat-file').click();
+    });
+
+    dialog.querySelector('#um-import-to-chat-file')?.addEventListener('change', async function() {
+        const file = this.files?.[0];
+        this.value = '';
+        if (!file) return;
+
+        const importBtn = dialog.querySelector('#um-import-to-chat');
+        importBtn.disabled = true;
+
+        try {
+            showAttachResult(await importToCurrentChat(await file.text()));
+            await loadCollections();
+        } catch (error) {
+            console.error('Failed to import collection:', error);
+            toastr.error(`Import failed: ${error.message}`);
+        }
+
+        importBtn.disabled = false;
+    });
+
     dialog.querySelector('#um-refresh-global').addEventListener('click', loadCollections);
     dialog.querySelector('#um-global-close').addEventListener('click', closePopup);
 
@@ -1340,6 +1672,52 @@ export async function showGlobalMemoryManagementPopup(options) {
     });
 }
 
+/**
+ * Save an object as a JSON file download
+ * @param {string} fileName - File name
+ * @param {object} data - Data to serialize
+ */
+export function downloadJson(fileName, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Format the turn label of a memory list item (chapters and arcs show their turn range)
+ * @param {object} mem - Memory list item
+ * @returns {string}
+ */
+function formatMemoryTurn(mem) {
+    if (mem.level > MEMORY_LEVEL.MEMORY) {
+        return `${getLevelLabel(mem.level)} · Turns ${mem.turnStart}-${mem.turnEnd}`;
+    }
+    return `Turn ${mem.turnIndex || mem.index || '?'}`;
+}
+
+/**
+ * Format the structured fields of a memory list item (empty fields are left out)
+ * @param {object} mem - Memory list item
+ * @returns {string} HTML ('' if the memory has no fields)
+ */
+function formatMemoryEntities(mem) {
+    const rows = ENTITY_FIELDS
+        .filter(field => mem[field]?.length > 0)
+        .map(field => `
+            <div class="um-memory-entity" title="${ENTITY_DISPLAY[field].label}">
+                <i class="fa-solid ${ENTITY_DISPLAY[field].icon}"></i>
+                <span>${escapeHtml(mem[field].join(field === 'facts' ? '; ' : ', '))}</span>
+            </div>`);
+
+    return rows.length > 0 ? `<div class="um-memory-item-entities">${rows.join('')}</div>` : '';
+}
+
 /**
  * Escape HTML
  * @param {string} str - String to escape
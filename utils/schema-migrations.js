@@ -0,0 +1,143 @@
+/**
+ * Versioned memory record schema and an ordered migration runner
+ */
+
+import { normalizeEntities } from './memory-entities.js';
+
+/**
+ * Current memory record schema version (stored as record.schemaVersion)
+ */
+export const MEMORY_RECORD_VERSION = 4;
+
+/**
+ * Ordered record upgrades: each step takes a record at (version - 1) to version.
+ * Add new fields (tags, importance, ...) as a new step with defaults, never by editing old steps.
+ * Stored records are upgraded through these by a single settings-level migration in index.js.
+ */
+const RECORD_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in missing base fields and normalize their types',
+        migrate: (record, hash) => {
+            const createdAt = Number(record.createdAt) || 0;
+            const turnIndex = Number(record.turnIndex);
+            return {
+                ...record,
+                msgId: record.msgId ? String(record.msgId) : (hash.startsWith('mem_') ? hash.substring(4) : hash),
+                summary: typeof record.summary === 'string' ? record.summary : String(record.summary ?? ''),
+                turnIndex: Number.isFinite(turnIndex) ? turnIndex : 0,
+                contentHash: record.contentHash || '',
+                chatId: record.chatId || '',
+                speaker: record.speaker || null,
+                tags: Array.isArray(record.tags) ? record.tags : [],
+                createdAt,
+                updatedAt: Number(record.updatedAt) || createdAt,
+            };
+        },
+    },
+    {
+        version: 2,
+        description: 'Add the memory tier (level: 0 = message memory, 1 = chapter, 2 = arc)',
+        migrate: (record) => ({
+            ...record,
+            level: Number.isInteger(record.level) ? record.level : 0,
+        }),
+    },
+    {
+        version: 3,
+        description: 'Add the summarized unit (character message, exchange or user message)',
+        migrate: (record) => ({
+            ...record,
+            unit: record.unit || 'character',
+        }),
+    },
+    {
+        version: 4,
+        description: 'Add the structured fields (characters, locations, items, keywords, facts)',
+        migrate: (record) => ({
+            ...record,
+            ...normalizeEntities(record),
+        }),
+    },
+];
+
+/**
+ * Check whether a key in a collection holds a memory record (not collection info)
+ * @param {string} hash - Key in the collection's hash -> metadata map
+ * @returns {boolean}
+ */
+export function isMemoryRecordKey(hash) {
+    return Boolean(hash) && hash !== '__collection_info__';
+}
+
+/**
+ * Upgrade a memory record to MEMORY_RECORD_VERSION.
+ * Records written by a newer version are returned unchanged.
+ * @param {object} record - Stored metadata
+ * @param {string} hash - Memory hash (used to derive missing fields)
+ * @returns {{record: object, changed: boolean}}
+ */
+export function upgradeMemoryRecord(record, hash) {
+    const fromVersion = Number(record?.schemaVersion) || 0;
+    if (fromVersion >= MEMORY_RECORD_VERSION) {
+        return { record, changed: false };
+    }
+
+    let upgraded = { ...record };
+    for (const step of RECORD_MIGRATIONS) {
+        if (step.version > fromVersion) {
+            upgraded = step.migrate(upgraded, hash);
+        }
+    }
+    upgraded.schemaVersion = MEMORY_RECORD_VERSION;
+
+    return { record: upgraded, changed: true };
+}
+
+/**
+ * Upgrade every memory record of a collection
+ * @param {object} collectionData - Hash -> metadata map
+ * @returns {object} Hash -> upgraded metadata, only for records that changed
+ */
+export function upgradeCollectionRecords(collectionData) {
+    const changed = {};
+    for (const [hash, record] of Object.entries(collectionData || {})) {
+        if (!isMemoryRecordKey(hash) || !record) continue;
+
+        const result = upgradeMemoryRecord(record, hash);
+        if (result.changed) {
+            changed[hash] = result.record;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Run ordered migration steps newer than fromVersion
+ * @param {Array<{version: number, description: string, run: Function}>} migrations - Steps sorted by version;
+ *        run({dryRun}) returns {changes: number, details?: any}
+ * @param {number} fromVersion - Version the data is at
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Only report what each step would change
+ * @returns {Promise<{fromVersion: number, toVersion: number, dryRun: boolean, steps: Array<object>, error?: string}>}
+ */
+export async function runMigrations(migrations, fromVersion, { dryRun = false } = {}) {
+    const report = { fromVersion, toVersion: fromVersion, dryRun, steps: [] };
+
+    for (const step of migrations) {
+        if (step.version <= fromVersion) continue;
+
+        try {
+            const result = await step.run({ dryRun });
+            report.steps.push({ version: step.version, description: step.description, ...result });
+            report.toVersion = step.version;
+        } catch (error) {
+            // Later steps may depend on this one - stop here and retry from this version next time
+            report.steps.push({ version: step.version, description: step.description, error: error.message });
+            report.error = `Migration ${step.version} failed: ${error.message}`;
+            break;
+        }
+    }
+
+    return report;
+}
@@ -0,0 +1,152 @@
+/**
+ * Summary validation: regex cleanup and checks that reject refusals, echoed prompts,
+ * runaway outputs and summaries in the wrong language
+ */
+
+export const DEFAULT_CLEANUP_PATTERNS = Object.freeze([
+    '<think(?:ing)?>[\\s\\S]*?(?:</think(?:ing)?>|$)', // Reasoning blocks (unclosed when the response was cut off)
+    '^\\s*(?:\\*\\*)?(?:summary|turn \\d+)(?:\\*\\*)?\\s*:\\s*(?:\\*\\*)?', // "Summary:" / "Turn 12:" prefixes
+]);
+
+export const DEFAULT_BANNED_PATTERNS = Object.freeze([
+    '^\\s*(?:I\'m sorry|I am sorry|I apologi[sz]e|Sorry, (?:but )?I)',
+    '\\bI (?:can(?:\'|no)t|am unable to|won\'t|will not) (?:help|assist|provide|summari[sz]e|comply|continue|do that)',
+    '\\bas an AI\\b',
+    '<\\|im_(?:start|end)\\|>',
+    '</?(?:target|context|messages)>',
+]);
+
+// Echoes shorter than this may be legitimate (a summary quoting a short line)
+const MIN_ECHO_LENGTH = 40;
+// Letters needed before a text's script counts as detected
+const MIN_SCRIPT_LETTERS = 10;
+
+const SCRIPT_PATTERNS = Object.freeze({
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    cjk: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    hangul: /\p{Script=Hangul}/u,
+    arabic: /\p{Script=Arabic}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    thai: /\p{Script=Thai}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+});
+
+/**
+ * Compile regex sources, skipping invalid ones
+ * @param {string[]} patterns - Regex sources
+ * @param {string} flags - Regex flags
+ * @returns {RegExp[]}
+ */
+function compilePatterns(patterns, flags) {
+    const compiled = [];
+    for (const pattern of patterns || []) {
+        if (!pattern) continue;
+        try {
+            compiled.push(new RegExp(pattern, flags));
+        } catch (error) {
+            console.warn(`SummaryValidator: skipping invalid pattern ${pattern}:`, error.message);
+        }
+    }
+    return compiled;
+}
+
+/**
+ * Remove every match of the cleanup patterns
+ * @param {string} text - Model response
+ * @param {string[]} patterns - Regex sources (case-insensitive)
+ * @returns {string} Cleaned, trimmed text
+ */
+export function cleanSummary(text, patterns) {
+    let cleaned = String(text || '');
+    for (const regex of compilePatterns(patterns, 'gi')) {
+        cleaned = cleaned.replace(regex, '');
+    }
+    return cleaned.trim();
+}
+
+/**
+ * Detect the dominant writing system of a text
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Script name, or null if the text has too few letters
+ */
+export function detectScript(text) {
+    const counts = {};
+    let letters = 0;
+
+    for (const char of String(text || '')) {
+        for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+            if (pattern.test(char)) {
+                counts[script] = (counts[script] || 0) + 1;
+                letters++;
+                break;
+            }
+        }
+    }
+    if (letters < MIN_SCRIPT_LETTERS) return null;
+
+    return Object.keys(counts).reduce((best, script) => (counts[script] > counts[best] ? script : best));
+}
+
+/**
+ * Normalize text for echo comparison
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeForEcho(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Clean a summary and check it against the validation rules
+ * @param {string} text - Model response
+ * @param {object} options - Options
+ * @param {string[]} options.cleanupPatterns - Regex sources whose matches are removed
+ * @param {string[]} options.bannedPatterns - Regex sources that reject the summary (case-insensitive)
+ * @param {number} options.minLength - Min characters (0 = no limit)
+ * @param {number} options.maxLength - Max characters (0 = no limit)
+ * @param {number} options.maxParagraphs - Max paragraphs (0 = no limit)
+ * @param {boolean} options.checkLanguage - Reject summaries in another script than the target
+ * @param {string} options.targetText - Summarized text (language match)
+ * @param {string} options.prompt - Prompt that was sent (echo detection)
+ * @returns {{valid: boolean, summary: string, reason: string|null}} Cleaned summary; reason when invalid
+ */
+export function validateSummary(text, options = {}) {
+    const summary = cleanSummary(text, options.cleanupPatterns);
+    const reject = reason => ({ valid: false, summary, reason });
+
+    if (!summary) return reject('empty');
+
+    if (options.minLength > 0 && summary.length < options.minLength) {
+        return reject(`too short (${summary.length} < ${options.minLength} characters)`);
+    }
+    if (options.maxLength > 0 && summary.length > options.maxLength) {
+        return reject(`too long (${summary.length} > ${options.maxLength} characters)`);
+    }
+    if (options.maxParagraphs > 0) {
+        const paragraphs = summary.split(/\n\s*\n/).filter(p => p.trim()).length;
+        if (paragraphs > options.maxParagraphs) {
+            return reject(`too many paragraphs (${paragraphs} > ${options.maxParagraphs})`);
+        }
+    }
+
+    const banned = compilePatterns(options.bannedPatterns, 'i').find(regex => regex.test(summary));
+    if (banned) return reject(`banned pattern ${banned.source}`);
+
+    // A summary found verbatim in the prompt copies the target, the context or the instructions
+    const normalized = normalizeForEcho(summary);
+    if (options.prompt && normalized.length >= MIN_ECHO_LENGTH && normalizeForEcho(options.prompt).includes(normalized)) {
+        return reject('echoes the prompt');
+    }
+
+    if (options.checkLanguage && options.targetText) {
+        const expected = detectScript(options.targetText);
+        const actual = detectScript(summary);
+        if (expected && actual && expected !== actual) {
+            return reject(`language mismatch (${actual} instead of ${expected})`);
+        }
+    }
+
+    return { valid: true, summary, reason: null };
+}